@@ -11,7 +11,7 @@ module.exports = function (server) {
 	server.use(function (req, res, next) {
 	    res.setHeader('Access-Control-Allow-Origin', '*');
 	    res.setHeader('Access-Control-Allow-Methods', 'OPTIONS, POST, GET');
-	    res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With,Content-type,Authorization');
+	    res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With,Content-type,Authorization,Idempotency-Key');
 	    res.setHeader('Access-Control-Allow-Credentials', true);
 	    next();
 	});
@@ -23,8 +23,15 @@ module.exports = function (server) {
 	require('./routes/Campaign')(server);
 	require('./routes/Update')(server);
 	require('./routes/Post')(server);
+	require('./routes/Comment')(server);
+	require('./routes/Reaction')(server);
+	require('./routes/Notification')(server);
 	require('./routes/Donation')(server);
+	require('./routes/RecurringDonation')(server);
+	require('./routes/MatchingPledge')(server);
+	require('./routes/Payment')(server);
 	require('./routes/List')(server);
+	require('./routes/Admin')(server);
 
 	// Middleware: Handle errors
 	server.use(function (err, req, res, next) {
@@ -32,6 +39,11 @@ module.exports = function (server) {
 		// Initialize response variables
 		var code, message;
 
+		// Release idempotency key so failed request can be retried
+		if (req.idempotencyKey) req.idempotencyKey.release(function (err) {
+			if (err) console.log(err);
+		});
+
 		// Process handled errors
 		if (err.handledError) {
 			code = err.code;
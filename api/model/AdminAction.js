@@ -0,0 +1,185 @@
+/** @namespace model/AdminAction */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+
+// Initialize external models
+const User = require('./User.js');
+
+// Admin Action Properties: configures properties for database object
+function AdminActionProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "adminAction"
+		},
+
+		// Admin: GUID of the administrator who performed the action
+		'admin': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Action: admin action type string
+		'action': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Target: GUID of the object the action was performed on
+		'target': {
+			'type': String,
+			'index': true,
+			'default': null,
+		},
+
+		// Target Type: object type of the object the action was performed on
+		'targetType': {
+			'type': String,
+			'default': null,
+		},
+
+		// Details: short description of the action (e.g. an invited email)
+		'details': {
+			'type': String,
+			'default': "",
+		},
+
+    });
+};
+
+// Admin Action Static Methods: attaches functionality used by the schema in general
+function AdminActionStaticMethods (schema) {
+
+	/**
+	 * Records an administrator action in the database
+	 * @memberof model/AdminAction
+	 * @param {Object} params
+	 * @param {Object} params.admin User object of administrator
+	 * @param {String} params.action Admin action type string
+	 * @param {Object} [params.target] Object the action was performed on
+	 * @param {String} [params.details] Short description of the action
+	 * @param {function(err, adminAction)} callback Callback function
+	 */
+	schema.statics.record = function ({admin, action, target, details}, callback) {
+
+		// Save reference to model
+		var AdminAction = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Generate a unique GUID
+			function (callback) {
+				AdminAction.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Write new adminAction to the database
+			function (GUID, callback) {
+
+				// Setup query with GUID
+				var query = {
+					'guid': GUID
+				};
+
+				// Setup database update
+				var set = {
+					'guid': GUID,
+					'admin': admin.guid,
+					'action': action,
+					'dateCreated': Dates.now(),
+				};
+				if (target) {
+					set.target = target.guid;
+					set.targetType = target.objectType;
+				}
+				if (details) set.details = details;
+				var update = {
+					'$set': set
+				};
+
+				// Make database update
+				Database.update({
+					'model': AdminAction,
+					'query': query,
+					'update': update,
+				}, function (err, adminAction) {
+					callback(err, adminAction);
+				});
+			},
+
+		], function (err, adminAction) {
+			callback(err, adminAction);
+		});
+	};
+};
+
+// Admin Action Instance Methods: attaches functionality related to existing instances of the object
+function AdminActionInstanceMethods (schema) {
+
+	/**
+	 * Formats an admin action object to be returned to the client
+	 * @memberof model/AdminAction#
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {function(err, formattedObject)} callback Callback function
+	 */
+	schema.methods.format = function ({req, res}, callback) {
+
+		// Initialize formatted object
+		var thisObject = this.toObject();
+
+		Async.waterfall([
+
+			// Attach admin metadata
+			function (callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': thisObject.admin,
+					}
+				}, function (err, user) {
+					if (user) {
+						thisObject.adminName = user.name;
+					}
+					callback();
+				});
+			},
+
+		], function (err) {
+			callback(err, thisObject);
+		})
+	};
+
+};
+
+// Export adminAction model object
+module.exports = function () {
+
+	// Make schema for new adminAction object...
+	var adminActionSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(adminActionSchema);
+
+	// Add adminAction properties and methods to schema
+	AdminActionProperties(adminActionSchema);
+	AdminActionStaticMethods(adminActionSchema);
+	AdminActionInstanceMethods(adminActionSchema);
+
+	// Create new model object with schema
+	var adminAction = Mongoose.model('AdminAction', adminActionSchema);
+
+	// Return new model object
+	return adminAction;
+}();
\ No newline at end of file
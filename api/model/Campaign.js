@@ -6,9 +6,17 @@ const Async = require('async');
 const Tokens = require('jsonwebtoken');
 const Database = require('./../tools/Database');
 const Dates = require('./../tools/Dates');
+const Authentication = require('./../tools/Authentication');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
+const Currency = require('./../tools/Currency');
 
 // Initialize external models
 const Charity = require('./Charity.js');
+const MatchingPledge = require('./MatchingPledge.js');
+const Reaction = require('./Reaction.js');
+const Notification = require('./Notification.js');
 
 // Initialize config
 const config = require('./../../config');
@@ -21,7 +29,19 @@ const config = require('./../../config');
  * @return {Boolean} True if user can edit campaign
  */
 function authenticatedToken (campaign, token) {
-	if (token.charity == campaign.charity) return true;
+	if (token.charity == campaign.charity && Authentication.hasCharityRole(token, Types.charityRoles.editor)) return true;
+	return false;
+};
+
+/**
+ * Checks if a campaign has ended (past its end date or ended early by the charity)
+ * @memberof model/Campaign
+ * @param {Object} campaign Campaign object
+ * @return {Boolean} True if campaign no longer accepts donations
+ */
+function isEnded (campaign) {
+	if (campaign.dateEnded) return true;
+	if (campaign.endDate && campaign.endDate <= Dates.now()) return true;
 	return false;
 };
 
@@ -85,6 +105,30 @@ function CampaignProperties (schema) {
 			'index': true,
 		},
 
+		// Goal: number of cents the campaign aims to raise
+		'goal': {
+			'type': Number,
+			'default': null,
+		},
+
+		// Currency: currency code of goal, amount raised is totaled in this currency
+		'currency': {
+			'type': String,
+			'default': Currency.defaultCurrency,
+		},
+
+		// End Date: date when the campaign stops accepting donations
+		'endDate': {
+			'type': Number,
+			'default': null,
+		},
+
+		// Date Ended: date when the campaign was ended early by the charity
+		'dateEnded': {
+			'type': Number,
+			'default': null,
+		},
+
     });
 
 	schema.index({'name': 'text', 'description': 'text'});
@@ -101,10 +145,13 @@ function CampaignStaticMethods (schema) {
 	 * @param {String} params.cateogry Category of campaign
 	 * @param {String} [params.description] Campaign description
 	 * @param {Array} [params.pictures] Array of image URLs
+	 * @param {Number} [params.goal] Number of cents the campaign aims to raise
+	 * @param {String} [params.currency] Currency code of goal (defaults to the default currency)
+	 * @param {Number} [params.endDate] Date when the campaign stops accepting donations
 	 * @param {Object} params.charity Charity object
 	 * @param {function(err, campaign)} callback Callback function
 	 */
-	schema.statics.create = function ({name, category, description, pictures, charity}, callback) {
+	schema.statics.create = function ({name, category, description, pictures, goal, currency, endDate, charity}, callback) {
 
 		// Save reference to model
 		var Campaign = this;
@@ -133,10 +180,13 @@ function CampaignStaticMethods (schema) {
 					'name': name,
 					'category': category,
 					'charity': charity.guid,
+					'currency': currency || Currency.defaultCurrency,
 					'dateCreated': Dates.now(),
 				};
 				if (description) set.description = description;
 				if (pictures) set.pictures = pictures;
+				if (goal) set.goal = goal;
+				if (endDate) set.endDate = endDate;
 				var update = {
 					'$set': set
 				};
@@ -151,10 +201,104 @@ function CampaignStaticMethods (schema) {
 				});
 			},
 
+			// Notify charity's followers (notifications are best-effort, errors don't fail the campaign)
+			function (campaign, callback) {
+				Notification.notifyCharityFollowers({
+					'charity': charity.guid,
+					'type': Types.notificationTypes.campaign,
+					'target': campaign,
+				}, function () {
+					callback(null, campaign);
+				});
+			},
+
 		], function (err, campaign) {
 			callback(err, campaign);
 		});
 	};
+
+	/**
+	 * Loads what's needed to format a page of campaigns at once (called by Secretary before formatting them)
+	 * @memberof model/Campaign
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {Array} params.objects Array of campaign objects being formatted
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.prepareFormat = function ({req, res, objects}, callback) {
+
+		// Save reference to model
+		var Campaign = this;
+
+		// Save GUIDs of objects
+		var targets = objects.map(function (object) {
+			return object.guid;
+		});
+
+		// Load reaction summaries and fundraising progress (formatting falls back to loading each object's)
+		Async.parallel([
+			function (callback) {
+				Reaction.loadSummaries({
+					'req': req,
+					'res': res,
+					'targets': targets,
+				}, function (err) {
+					callback();
+				});
+			},
+			function (callback) {
+				Campaign.loadProgress({
+					'res': res,
+					'campaigns': targets,
+				}, function (err) {
+					callback();
+				});
+			},
+		], function (err) {
+			callback();
+		});
+	};
+
+	/**
+	 * Loads the donation sums and active matching pledges of a page of campaigns being formatted for a response (with
+	 * one query each)
+	 * @memberof model/Campaign
+	 * @param {Object} params
+	 * @param {Object} params.res Express.js response object (progress is saved to res.campaignProgress)
+	 * @param {Array} params.campaigns Array of GUIDs of campaigns
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.loadProgress = function ({res, campaigns}, callback) {
+		const Donation = require('./Donation.js');
+
+		// Find donation sums and matching pledges at the same time
+		Async.parallel({
+			'amounts': function (callback) {
+				Donation.sumByCurrency({
+					'key': "campaign",
+					'targets': campaigns,
+				}, callback);
+			},
+			'matchingPledges': function (callback) {
+				MatchingPledge.findActiveForCampaigns({
+					'campaigns': campaigns,
+				}, callback);
+			},
+		}, function (err, results) {
+			if (err) return callback(err);
+
+			// Save progress to response
+			if (!res.campaignProgress) res.campaignProgress = {};
+			for (var i in campaigns) {
+				res.campaignProgress[campaigns[i]] = {
+					'amounts': results.amounts[campaigns[i]],
+					'matchingPledges': results.matchingPledges[campaigns[i]],
+				};
+			}
+			callback();
+		});
+	};
 };
 
 // Campaign Instance Methods: attaches functionality related to existing instances of the object
@@ -170,6 +314,9 @@ function CampaignInstanceMethods (schema) {
 	 */
 	schema.methods.format = function ({req, res}, callback) {
 
+		// Reference object
+		var Campaign = this.constructor;
+
 		// Initialize formatted object
 		var thisObject = this.toObject();
 
@@ -192,6 +339,80 @@ function CampaignInstanceMethods (schema) {
 				});
 			},
 
+			// Load fundraising progress unless it was loaded with campaign's page
+			function (callback) {
+				if (res.campaignProgress && res.campaignProgress[thisObject.guid]) return callback();
+				Campaign.loadProgress({
+					'res': res,
+					'campaigns': [thisObject.guid],
+				}, function (err) {
+					callback();
+				});
+			},
+
+			// Attach fundraising progress in campaign's currency (refunds excluded from amount raised)
+			function (callback) {
+				if (!res.campaignProgress || !res.campaignProgress[thisObject.guid]) return callback();
+				Currency.total({
+					'amounts': res.campaignProgress[thisObject.guid].amounts,
+					'currency': thisObject.currency,
+				}, function (err, total) {
+					if (!err) {
+						thisObject.amountRaised = total;
+						thisObject.percentOfGoal = thisObject.goal ? Math.floor(total * 100 / thisObject.goal) : null;
+					}
+					callback();
+				});
+			},
+
+			// Attach sponsor matching still available (remaining match is totaled in campaign's currency)
+			function (callback) {
+				if (!res.campaignProgress || !res.campaignProgress[thisObject.guid]) return callback();
+				var matchingPledges = res.campaignProgress[thisObject.guid].matchingPledges;
+				thisObject.matchingPledges = [];
+				var remainingAmounts = [];
+				for (var i in matchingPledges) {
+					remainingAmounts.push({
+						'amount': matchingPledges[i].remaining(),
+						'currency': matchingPledges[i].currency,
+					});
+					thisObject.matchingPledges.push({
+						'guid': matchingPledges[i].guid,
+						'sponsorName': matchingPledges[i].sponsorName,
+						'ratio': matchingPledges[i].ratio,
+						'remaining': matchingPledges[i].remaining(),
+						'currency': matchingPledges[i].currency,
+						'expiryDate': matchingPledges[i].expiryDate,
+					});
+				}
+				Currency.total({
+					'amounts': remainingAmounts,
+					'currency': thisObject.currency,
+				}, function (err, total) {
+					if (!err) thisObject.remainingMatch = total;
+					callback();
+				});
+			},
+
+			// Attach deadline status
+			function (callback) {
+				thisObject.ended = isEnded(thisObject);
+				thisObject.daysRemaining = null;
+				if (thisObject.endDate) thisObject.daysRemaining = thisObject.ended ? 0 : Math.ceil((thisObject.endDate - Dates.now()) / 86400);
+				callback();
+			},
+
+			// Attach reaction counts and currentUserReaction
+			function (callback) {
+				Reaction.attachSummary({
+					'req': req,
+					'res': res,
+					'object': thisObject,
+				}, function (err) {
+					callback();
+				});
+			},
+
 		], function (err) {
 			callback(err, thisObject);
 		})
@@ -231,6 +452,52 @@ function CampaignInstanceMethods (schema) {
 		});
 	};
 
+	/**
+	 * Checks if the campaign has ended (past its end date or ended early by the charity)
+	 * @memberof model/Campaign#
+	 * @return {Boolean} True if campaign no longer accepts donations
+	 */
+	schema.methods.isEnded = function () {
+		return isEnded(this);
+	};
+
+	/**
+	 * Ends a campaign early, it stops accepting donations
+	 * @memberof model/Campaign#
+	 * @param {Object} params
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {function(err, campaign)} callback Callback function
+	 */
+	schema.methods.end = function ({token}, callback) {
+
+		// Authenicate user
+		if (!authenticatedToken(this, token))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Error: Campaign already ended
+		if (isEnded(this))
+			return callback(Secretary.conflictError(Messages.conflictErrors.campaignEnded));
+
+		// Save reference to model
+		var Campaign = this;
+
+		// Make database update
+		Database.update({
+			'model': Campaign.constructor,
+			'query': {
+				'guid': this.guid,
+			},
+			'update': {
+				'$set': {
+					'dateEnded': Dates.now(),
+					'lastModified': Dates.now(),
+				},
+			},
+		}, function (err, campaign) {
+			callback(err, campaign);
+		});
+	};
+
 	/**
 	 * Adds a donation to the donation array
 	 * @memberof model/Campaign#
@@ -250,7 +517,7 @@ function CampaignInstanceMethods (schema) {
 
 		// Setup database update
 		var update = {
-			'$push': {
+			'$addToSet': {
 				'donations': donation.guid,
 			}
 		};
@@ -273,14 +540,17 @@ function CampaignInstanceMethods (schema) {
 	 * @param {String} [params.category] Category of campaign
 	 * @param {String} [params.description] Campaign description
 	 * @param {Array} [params.pictures] Array of image URLs
+	 * @param {Number} [params.goal] Number of cents the campaign aims to raise (null removes goal)
+	 * @param {String} [params.currency] Currency code of goal (amount raised is converted)
+	 * @param {Number} [params.endDate] Date when the campaign stops accepting donations (null removes end date)
 	 * @param {Object} params.token Decoded authentication token object
 	 * @param {function(err, campaign)} callback Callback function
 	 */
-	schema.methods.edit = function ({name, description, category, pictures, token}, callback) {
+	schema.methods.edit = function ({name, description, category, pictures, goal, currency, endDate, token}, callback) {
 
 		// Authenicate user
 		if (!authenticatedToken(this, token))
-			return callback(Secretary.authenticationError(Messages.authErrors.noAccess));
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
 
 		// Save reference to model
 		var Campaign = this;
@@ -298,6 +568,9 @@ function CampaignInstanceMethods (schema) {
 		if (category) set.category = category;
 		if (description) set.description = description;
 		if (pictures) set.pictures = pictures;
+		if (goal !== undefined) set.goal = goal;
+		if (currency) set.currency = currency;
+		if (endDate !== undefined) set.endDate = endDate;
 		var update = {
 			'$set': set
 		};
@@ -7,6 +7,10 @@ const Tokens = require('jsonwebtoken');
 const Database = require('./../tools/Database');
 const Authentication = require('./../tools/Authentication');
 const Dates = require('./../tools/Dates');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
+const Currency = require('./../tools/Currency');
 
 const User = require('./User.js');
 
@@ -18,13 +22,60 @@ const config = require('./../../config');
  * @memberof model/Charity
  * @param {Object} charity Charity object
  * @param {Object} token Decoded token object
+ * @param {String} role Minimum charity role required
  * @return {Boolean} True if user can edit charity
  */
-function authenticatedToken (charity, token) {
-	if (token.charity == charity.guid) return true;
+function authenticatedToken (charity, token, role) {
+	if (token.charity == charity.guid && Authentication.hasCharityRole(token, role)) return true;
 	return false;
 };
 
+/**
+ * Removes every users array entry for a user (entries with and without roles)
+ * @memberof model/Charity
+ * @param {Object} model Charity model object
+ * @param {Object} query MongoDB query object
+ * @param {String} user GUID of user to be removed
+ * @param {function(err, charity)} callback Callback function
+ */
+function pullUser (model, query, user, callback) {
+	Async.waterfall([
+
+		function (callback) {
+			Database.update({
+				'model': model,
+				'query': query,
+				'update': {
+					'$pull': {
+						'users': user,
+					},
+				},
+			}, function (err, charity) {
+				callback(err);
+			});
+		},
+
+		function (callback) {
+			Database.update({
+				'model': model,
+				'query': query,
+				'update': {
+					'$pull': {
+						'users': {
+							'user': user,
+						},
+					},
+				},
+			}, function (err, charity) {
+				callback(err, charity);
+			});
+		},
+
+	], function (err, charity) {
+		callback(err, charity);
+	});
+};
+
 // Charity Properties: configures properties for database object
 function CharityProperties (schema) {
     schema.add({
@@ -61,12 +112,18 @@ function CharityProperties (schema) {
 			'required': true,
 		},
 
-		// Users: GUID of the users that can access this charity
+		// Users: staff that can access this charity, as {user: GUID, role: charity role}
 		'users': {
 			'type': Array,
 			'default': [],
 		},
 
+		// Require Two Factor: true if staff must use two-factor authentication to act for charity
+		'requireTwoFactor': {
+			'type': Boolean,
+			'default': false,
+		},
+
 		// Campaigns: GUID of the campaigns that belong to this charity
 		'campaigns': {
 			'type': Array,
@@ -155,6 +212,65 @@ function CharityStaticMethods (schema) {
 			callback(err, charity);
 		});
 	};
+
+	/**
+	 * Removes a user from every charity it belongs to (used when a user is deleted)
+	 * @memberof model/Charity
+	 * @param {Object} params
+	 * @param {String} params.user GUID of user
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.removeUserFromAll = function ({user}, callback) {
+
+		// Save reference to model
+		var Charity = this;
+
+		// Remove users array entries without roles, then with roles
+		Async.eachSeries([
+			{'query': {'users': user}, 'entry': user},
+			{'query': {'users.user': user}, 'entry': {'user': user}},
+		], function ({query, entry}, callback) {
+			Database.updateAll({
+				'model': Charity,
+				'query': query,
+				'update': {
+					'$pull': {
+						'users': entry,
+					},
+				},
+			}, function (err) {
+				callback(err);
+			});
+		}, function (err) {
+			callback(err);
+		});
+	};
+
+	/**
+	 * Finds every charity a user belongs to
+	 * @memberof model/Charity
+	 * @param {Object} params
+	 * @param {String} params.user GUID of user
+	 * @param {function(err, charities)} callback Callback function
+	 */
+	schema.statics.findForUser = function ({user}, callback) {
+
+		// Save reference to model
+		var Charity = this;
+
+		// Query charities with user in users array (with or without roles)
+		Database.find({
+			'model': Charity,
+			'query': {
+				'$or': [
+					{'users': user},
+					{'users.user': user},
+				],
+			},
+		}, function (err, charities) {
+			callback(err, charities);
+		});
+	};
 };
 
 // Charity Instance Methods: attaches functionality related to existing instances of the object
@@ -175,9 +291,10 @@ function CharityInstanceMethods (schema) {
 
 		Async.waterfall([
 
-			// Get request authorization
+			// Get request authorization, attach currentUserRole if user is charity staff
 			function (callback) {
 				Authentication.authenticateUser(req, function (err, token) {
+					if (token && token.charity == thisObject.guid) thisObject.currentUserRole = token.role;
 					callback(null, token);
 				});
 			},
@@ -219,21 +336,70 @@ function CharityInstanceMethods (schema) {
 				})
 			},
 
+			// Attach total donation amount in default currency (excluding refunds)
+			function (callback) {
+				const Donation = require('./Donation.js');
+				Donation.totalAmount({
+					'query': {
+						'charity': thisObject.guid,
+					},
+					'currency': Currency.defaultCurrency,
+				}, function (err, total) {
+					if (!err) {
+						thisObject.totalDonationAmount = total;
+						thisObject.totalDonationCurrency = Currency.defaultCurrency;
+					}
+					callback();
+				});
+			},
+
 		], function (err) {
 			callback(err, thisObject);
 		})
 	};
 
+	/**
+	 * Gets a user's role in the charity
+	 * @memberof model/Charity#
+	 * @param {Object} params
+	 * @param {String} params.user GUID of user
+	 * @return {String} Charity role (or null if user isn't staff)
+	 */
+	schema.methods.getRole = function ({user}) {
+		for (var i in this.users) {
+
+			// Staff added before roles existed are owners
+			if (this.users[i] == user) return Types.charityRoles.owner;
+			if (this.users[i] && this.users[i].user == user) return this.users[i].role;
+		}
+		return null;
+	};
+
+	/**
+	 * Counts the charity's owners
+	 * @memberof model/Charity#
+	 * @return {Number} Number of staff with the owner role
+	 */
+	schema.methods.countOwners = function () {
+		var owners = 0;
+		for (var i in this.users) {
+			var user = this.users[i].user || this.users[i];
+			if (this.getRole({'user': user}) == Types.charityRoles.owner) owners++;
+		}
+		return owners;
+	};
+
 	/**
 	 * Adds a user to the users array
 	 * @memberof model/Charity#
 	 * @param {Object} params
 	 * @param {Object} params.user User object to be added
+	 * @param {String} [params.role] Charity role of user (defaults to owner)
 	 * @param {function(err, charity)} callback Callback function
 	 */
-	schema.methods.addUser = function ({user}, callback) {
+	schema.methods.addUser = function ({user, role}, callback) {
 
-		// Note: doesn't require authorization (addUser called after create)
+		// Note: doesn't require authorization (addUser called after create or charity token redemption)
 
 		// Save reference to model
 		var Charity = this;
@@ -246,7 +412,10 @@ function CharityInstanceMethods (schema) {
 		// Setup database update
 		var update = {
 			'$push': {
-				'users': user.guid,
+				'users': {
+					'user': user.guid,
+					'role': role || Types.charityRoles.owner,
+				},
 			}
 		};
 
@@ -260,6 +429,88 @@ function CharityInstanceMethods (schema) {
 		});
 	};
 
+	/**
+	 * Removes a user from the users array
+	 * @memberof model/Charity#
+	 * @param {Object} params
+	 * @param {String} params.user GUID of user to be removed
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {function(err, charity)} callback Callback function
+	 */
+	schema.methods.removeUser = function ({user, token}, callback) {
+
+		// Authenicate user (staff can always remove themselves)
+		if (!authenticatedToken(this, token, Types.charityRoles.owner) && !(token.charity == this.guid && token.user == user))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Save reference to model
+		var Charity = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Make database update
+		pullUser(Charity.constructor, query, user, function (err, charity) {
+			callback(err, charity);
+		});
+	};
+
+	/**
+	 * Changes the role of a user in the users array
+	 * @memberof model/Charity#
+	 * @param {Object} params
+	 * @param {String} params.user GUID of user
+	 * @param {String} params.role New charity role of user
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {function(err, charity)} callback Callback function
+	 */
+	schema.methods.setUserRole = function ({user, role, token}, callback) {
+
+		// Authenicate user
+		if (!authenticatedToken(this, token, Types.charityRoles.owner))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Save reference to model
+		var Charity = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Replace user's entry with one for the new role
+		Async.waterfall([
+
+			function (callback) {
+				pullUser(Charity.constructor, query, user, function (err, charity) {
+					callback(err);
+				});
+			},
+
+			function (callback) {
+				Database.update({
+					'model': Charity.constructor,
+					'query': query,
+					'update': {
+						'$push': {
+							'users': {
+								'user': user,
+								'role': role,
+							},
+						},
+					},
+				}, function (err, charity) {
+					callback(err, charity);
+				});
+			},
+
+		], function (err, charity) {
+			callback(err, charity);
+		})
+	};
+
 	/**
 	 * Adds a campaign and a category to the appropriate arrays
 	 * @memberof model/Charity#
@@ -272,8 +523,8 @@ function CharityInstanceMethods (schema) {
 	schema.methods.addCampaignAndCategory = function ({campaign, category, token}, callback) {
 
 		// Authenicate user
-		if (!authenticatedToken(this, token))
-			return callback(Secretary.authenticationError(Messages.authErrors.noAccess));
+		if (!authenticatedToken(this, token, Types.charityRoles.editor))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
 
 		// Save reference to model
 		var Charity = this;
@@ -315,8 +566,8 @@ function CharityInstanceMethods (schema) {
 	schema.methods.swapCategories = function ({categoryToAdd, categoryToRemove, token}, callback) {
 
 		// Authenicate user
-		if (!authenticatedToken(this, token))
-			return callback(Secretary.authenticationError(Messages.authErrors.noAccess));
+		if (!authenticatedToken(this, token, Types.charityRoles.editor))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
 
 		// Save reference to model
 		var Charity = this;
@@ -374,8 +625,8 @@ function CharityInstanceMethods (schema) {
 	schema.methods.addUpdate = function ({update, token}, callback) {
 
 		// Authenicate user
-		if (!authenticatedToken(this, token))
-			return callback(Secretary.authenticationError(Messages.authErrors.noAccess));
+		if (!authenticatedToken(this, token, Types.charityRoles.editor))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
 
 		// Save reference to model
 		var Charity = this;
@@ -421,7 +672,7 @@ function CharityInstanceMethods (schema) {
 
 		// Setup database update
 		var update = {
-			'$push': {
+			'$addToSet': {
 				'donations': donation.guid,
 			}
 		};
@@ -444,13 +695,14 @@ function CharityInstanceMethods (schema) {
 	 * @param {String} params.name Name of charity
 	 * @param {String} params.description Description of charity
 	 * @param {String} params.logo Image URL of charity logo
+	 * @param {Boolean} params.requireTwoFactor True if staff must use two-factor authentication
 	 * @param {function(err, charity)} callback Callback function
 	 */
-	schema.methods.edit = function ({token, name, description, logo}, callback) {
+	schema.methods.edit = function ({token, name, description, logo, requireTwoFactor}, callback) {
 
 		// Authenicate user
-		if (!authenticatedToken(this, token))
-			return callback(Secretary.authenticationError(Messages.authErrors.noAccess));
+		if (!authenticatedToken(this, token, Types.charityRoles.owner))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
 
 		// Save reference to model
 		var Charity = this;
@@ -467,6 +719,7 @@ function CharityInstanceMethods (schema) {
 		if (name) set.name = name;
 		if (description) set.description = description;
 		if (logo) set.logo = logo;
+		if (requireTwoFactor !== undefined) set.requireTwoFactor = requireTwoFactor;
 		var update = {
 			'$set': set
 		};
@@ -51,6 +51,28 @@ function CharityTokenProperties (schema) {
 			'type': String,
 		},
 
+		// Admin: GUID of administrator who created token
+		'admin': {
+			'type': String,
+		},
+
+		// Charity: GUID of existing charity to join (staff invitations only)
+		'charity': {
+			'type': String,
+			'default': null,
+		},
+
+		// Role: charity role given to user when joining an existing charity
+		'role': {
+			'type': String,
+			'default': null,
+		},
+
+		// Inviter: GUID of charity staff who created token (staff invitations only)
+		'inviter': {
+			'type': String,
+		},
+
     });
 };
 
@@ -62,9 +84,13 @@ function CharityTokenStaticMethods (schema) {
 	 * @memberof model/CharityToken
 	 * @param {Object} params
 	 * @param {String} params.email Email to attach to charity token
+	 * @param {Object} [params.admin] User object of administrator creating charity token (new charity invitations)
+	 * @param {Object} [params.charity] Charity object to join (staff invitations)
+	 * @param {String} [params.role] Charity role to join with (staff invitations)
+	 * @param {Object} [params.inviter] User object of charity staff creating charity token (staff invitations)
 	 * @param {function(err, charityToken)} callback Callback function
 	 */
-	schema.statics.create = function ({email}, callback) {
+	schema.statics.create = function ({email, admin, charity, role, inviter}, callback) {
 
 		// Save reference to model
 		var CharityToken = this;
@@ -98,14 +124,21 @@ function CharityTokenStaticMethods (schema) {
 				};
 
 				// Setup database update
+				var set = {
+					'guid': GUID,
+					'email': email,
+					'token': token,
+					'expiration': Dates.fromNow(10, 'days'),
+					'dateCreated': Dates.now(),
+				};
+				if (admin) set.admin = admin.guid;
+				if (charity) {
+					set.charity = charity.guid;
+					set.role = role;
+					set.inviter = inviter.guid;
+				}
 				var update = {
-					'$set': {
-						'guid': GUID,
-						'email': email,
-						'token': token,
-						'expiration': Dates.fromNow(10, 'days'),
-						'dateCreated': Dates.now(),
-					}
+					'$set': set
 				};
 
 				// Make database update
@@ -144,29 +177,30 @@ function CharityTokenInstanceMethods (schema) {
 	 * Marks a charity token as used
 	 * @memberof model/CharityToken#
 	 * @param {Object} params
-	 * @param {Ojbect} params.user User object of user who used token
-	 * @param {function(err, charityToken)} callback Callback function
+	 * @param {String} params.user GUID of user who used token
+	 * @param {function(err, charityToken)} callback Callback function (charityToken is null if token was already used)
 	 */
 	schema.methods.markUsed = function ({user}, callback) {
 
 		// Save reference to model
 		var CharityToken = this;
 
-		// Setup query with GUID
+		// Setup query with GUID and unused token
 		var query = {
 			'guid': this.guid,
+			'used': null,
 		};
 
 		// Setup database update
 		var update = {
 			'$set': {
 				'used': Dates.now(),
-				'user': user.guid,
+				'user': user,
 			}
 		};
 
 		// Make database update
-		Database.update({
+		Database.updateExisting({
 			'model': CharityToken.constructor,
 			'query': query,
 			'update': update,
@@ -176,6 +210,45 @@ function CharityTokenInstanceMethods (schema) {
 
 	};
 
+	/**
+	 * Releases a charity token marked as used by a request that then failed, so it can be redeemed again
+	 * @memberof model/CharityToken#
+	 * @param {Object} params
+	 * @param {String} params.user GUID of user the token was marked as used by
+	 * @param {function(err, charityToken)} callback Callback function (charityToken is null if token wasn't used by user)
+	 */
+	schema.methods.release = function ({user}, callback) {
+
+		// Save reference to model
+		var CharityToken = this;
+
+		// Setup query with GUID and user token was marked as used by
+		var query = {
+			'guid': this.guid,
+			'used': {
+				'$ne': null,
+			},
+			'user': user,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'used': null,
+				'user': null,
+			}
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': CharityToken.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, charityToken) {
+			callback(err, charityToken);
+		});
+	};
+
 };
 
 // Export charityToken model object
@@ -0,0 +1,463 @@
+/** @namespace model/Comment */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+const Authentication = require('./../tools/Authentication');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
+
+// Initialize external models
+const User = require('./User.js');
+
+/**
+ * Checks if authenticated user can delete comment (its author, administrators, and charity editors for comments on
+ * their charity's updates)
+ * @memberof model/Comment
+ * @param {Object} comment Comment object
+ * @param {Object} token Decoded token object
+ * @return {Boolean} True if user can delete comment
+ */
+function authenticatedModerator (comment, token) {
+	if (token.user == comment.user || token.admin) return true;
+	if (comment.update && token.charity == comment.charity && Authentication.hasCharityRole(token, Types.charityRoles.editor)) return true;
+	return false;
+};
+
+// Comment Properties: configures properties for database object
+function CommentProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "comment"
+		},
+
+		// User: GUID of the user who wrote this comment
+		'user': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Post: GUID of the post this comment is on (null for comments on updates)
+		'post': {
+			'type': String,
+			'index': true,
+			'default': null,
+		},
+
+		// Update: GUID of the update this comment is on (null for comments on posts)
+		'update': {
+			'type': String,
+			'index': true,
+			'default': null,
+		},
+
+		// Charity: GUID of the charity the post or update belongs to
+		'charity': {
+			'type': String,
+			'required': true,
+		},
+
+		// Parent: GUID of the top-level comment this replies to (null for top-level comments)
+		'parent': {
+			'type': String,
+			'index': true,
+			'default': null,
+		},
+
+		// Text: body of comment
+		'text': {
+			'type': String,
+			'default': "",
+		},
+
+    });
+
+	schema.index({'text': 'text'});
+};
+
+// Comment Static Methods: attaches functionality used by the schema in general
+function CommentStaticMethods (schema) {
+
+	/**
+	 * Creates a new comment in the database
+	 * @memberof model/Comment
+	 * @param {Object} params
+	 * @param {Object} params.user User object of comment author
+	 * @param {Object} [params.post] Post object being commented on (required if update not provided)
+	 * @param {Object} [params.update] Update object being commented on (required if post not provided)
+	 * @param {Object} [params.parent] Comment object being replied to (replies to replies are added to the same thread)
+	 * @param {String} params.text Body of comment
+	 * @param {function(err, comment)} callback Callback function
+	 */
+	schema.statics.create = function ({user, post, update, parent, text}, callback) {
+
+		// Save reference to model
+		var Comment = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Generate a unique GUID
+			function (callback) {
+				Comment.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Write new comment to the database
+			function (GUID, callback) {
+
+				// Setup query with GUID
+				var query = {
+					'guid': GUID
+				};
+
+				// Setup database update
+				var set = {
+					'guid': GUID,
+					'user': user.guid,
+					'charity': (post || update).charity,
+					'text': text,
+					'dateCreated': Dates.now(),
+				};
+				if (post) set.post = post.guid;
+				if (update) set.update = update.guid;
+				if (parent) set.parent = parent.parent || parent.guid;
+
+				// Make database update
+				Database.update({
+					'model': Comment,
+					'query': query,
+					'update': {
+						'$set': set
+					},
+				}, function (err, comment) {
+					callback(err, comment);
+				});
+			},
+
+		], function (err, comment) {
+			callback(err, comment);
+		});
+	};
+
+	/**
+	 * Counts the comments on a post or update, including replies (deleted comments are excluded)
+	 * @memberof model/Comment
+	 * @param {Object} params
+	 * @param {Object} params.query Database query (e.g. {'post': GUID})
+	 * @param {function(err, count)} callback Callback function
+	 */
+	schema.statics.countComments = function ({query}, callback) {
+
+		// Save reference to model
+		var Comment = this;
+
+		// Count comments which weren't deleted
+		Database.count({
+			'model': Comment,
+			'query': Object.assign({
+				'erased': {
+					'$ne': true,
+				},
+			}, query),
+		}, function (err, count) {
+			callback(err, count);
+		});
+	};
+
+	/**
+	 * Counts the comments on each of a page of posts, updates or comments (with one query), saving the counts to a
+	 * response so they can be attached while formatting (deleted comments are excluded)
+	 * @memberof model/Comment
+	 * @param {Object} params
+	 * @param {Object} params.res Express.js response object (counts are saved to res.commentCounts)
+	 * @param {String} params.key Property comments are counted by ("post", "update" or "parent" for replies)
+	 * @param {Array} params.targets Array of GUIDs of posts, updates or comments
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.loadCounts = function ({res, key, targets}, callback) {
+
+		// Save reference to model
+		var Comment = this;
+
+		// Nothing to count
+		if (!targets.length) return callback();
+
+		// Setup match for comments on targets which weren't deleted
+		var match = {
+			'erased': {
+				'$ne': true,
+			},
+		};
+		match[key] = {
+			'$in': targets,
+		};
+
+		// Count comments by target, save to response
+		Database.aggregate({
+			'model': Comment,
+			'pipeline': [
+				{
+					'$match': match,
+				},
+				{
+					'$group': {
+						'_id': "$" + key,
+						'count': {
+							'$sum': 1,
+						},
+					},
+				},
+			],
+		}, function (err, results) {
+			if (err) return callback(err);
+			if (!res.commentCounts) res.commentCounts = {};
+			for (var i in targets) {
+				res.commentCounts[targets[i]] = 0;
+			}
+			for (var i in results) {
+				res.commentCounts[results[i]._id] = results[i].count;
+			}
+			callback();
+		});
+	};
+
+	/**
+	 * Gets the number of comments on a post, update or comment being formatted, using the counts loaded for its page if
+	 * available (deleted comments are excluded)
+	 * @memberof model/Comment
+	 * @param {Object} params
+	 * @param {Object} params.res Express.js response object
+	 * @param {String} params.key Property comments are counted by ("post", "update" or "parent" for replies)
+	 * @param {String} params.target GUID of post, update or comment
+	 * @param {function(err, count)} callback Callback function
+	 */
+	schema.statics.countForResponse = function ({res, key, target}, callback) {
+
+		// Use count loaded with target's page
+		if (res.commentCounts && res.commentCounts[target] !== undefined) return callback(null, res.commentCounts[target]);
+
+		// Count comments on target
+		var query = {};
+		query[key] = target;
+		this.countComments({
+			'query': query,
+		}, function (err, count) {
+			callback(err, count);
+		});
+	};
+
+	/**
+	 * Loads what's needed to format a page of comments at once (called by Secretary before formatting them)
+	 * @memberof model/Comment
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {Array} params.objects Array of comment objects being formatted
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.prepareFormat = function ({req, res, objects}, callback) {
+
+		// Load reply counts of top-level comments (formatting falls back to counting each comment's replies)
+		this.loadCounts({
+			'res': res,
+			'key': "parent",
+			'targets': objects.filter(function (object) {
+				return !object.parent;
+			}).map(function (object) {
+				return object.guid;
+			}),
+		}, function (err) {
+			callback();
+		});
+	};
+};
+
+// Comment Instance Methods: attaches functionality related to existing instances of the object
+function CommentInstanceMethods (schema) {
+
+	/**
+	 * Formats a comment object to be returned to the client
+	 * @memberof model/Comment#
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {function(err, formattedObject)} callback Callback function
+	 */
+	schema.methods.format = function ({req, res}, callback) {
+
+		// Reference object
+		var Comment = this.constructor;
+
+		// Initialize formatted object
+		var thisObject = this.toObject();
+
+		Async.waterfall([
+
+			// Attach user metadata
+			function (callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': thisObject.user,
+					}
+				}, function (err, user) {
+					if (user) {
+						thisObject.userName = user.erased ? Messages.deletedUser : user.name;
+						thisObject.userPicture = user.erased ? null : user.picture;
+					}
+					callback();
+				});
+			},
+
+			// Attach reply count for top-level comments
+			function (callback) {
+				if (thisObject.parent) return callback();
+				Comment.countForResponse({
+					'res': res,
+					'key': "parent",
+					'target': thisObject.guid,
+				}, function (err, count) {
+					if (!err) thisObject.replyCount = count;
+					callback();
+				});
+			},
+
+		], function (err) {
+			callback(err, thisObject);
+		})
+	};
+
+	/**
+	 * Edits an existing comment (only its author can edit it)
+	 * @memberof model/Comment#
+	 * @param {Object} params
+	 * @param {String} params.text Body of comment
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {function(err, comment)} callback Callback function
+	 */
+	schema.methods.edit = function ({text, token}, callback) {
+
+		// Authenticate user
+		if (token.user != this.user)
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Save reference to model
+		var Comment = this;
+
+		// Setup query with GUID, ensure comment wasn't deleted
+		var query = {
+			'guid': this.guid,
+			'erased': {
+				'$ne': true,
+			},
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'text': text,
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': Comment.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, comment) {
+			if (!err && !comment) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+			else callback(err, comment);
+		});
+	};
+
+	/**
+	 * Deletes a comment and the replies to it, keeping them as erased objects
+	 * @memberof model/Comment#
+	 * @param {Object} params
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {function(err, comment)} callback Callback function
+	 */
+	schema.methods.erase = function ({token}, callback) {
+
+		// Authenticate user
+		if (!authenticatedModerator(this, token))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Save reference to model
+		var Comment = this;
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'erased': true,
+				'text': "",
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Erase comment
+			function (callback) {
+				Database.update({
+					'model': Comment.constructor,
+					'query': {
+						'guid': Comment.guid,
+					},
+					'update': update,
+				}, function (err, comment) {
+					callback(err, comment);
+				});
+			},
+
+			// Erase replies
+			function (comment, callback) {
+				Database.updateAll({
+					'model': Comment.constructor,
+					'query': {
+						'parent': Comment.guid,
+					},
+					'update': update,
+				}, function (err) {
+					callback(err, comment);
+				});
+			},
+
+		], function (err, comment) {
+			callback(err, comment);
+		});
+	};
+
+};
+
+// Export comment model object
+module.exports = function () {
+
+	// Make schema for new comment object...
+	var commentSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(commentSchema);
+
+	// Add comment properties and methods to schema
+	CommentProperties(commentSchema);
+	CommentStaticMethods(commentSchema);
+	CommentInstanceMethods(commentSchema);
+
+	// Create new model object with schema
+	var comment = Mongoose.model('Comment', commentSchema);
+
+	// Return new model object
+	return comment;
+}();
\ No newline at end of file
@@ -6,16 +6,40 @@ const Async = require('async');
 const Tokens = require('jsonwebtoken');
 const Database = require('./../tools/Database');
 const Dates = require('./../tools/Dates');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
+const Authentication = require('./../tools/Authentication');
+const Email = require('./../tools/Email');
+const Currency = require('./../tools/Currency');
 
 // Initialize external models
 const Charity = require('./Charity');
 const Campaign = require('./Campaign');
 const User = require('./User');
 const Post = require('./Post');
+const Transaction = require('./Transaction');
+const MatchingPledge = require('./MatchingPledge');
 
 // Initialize config
 const config = require('./../../config');
 
+// Days after donating during which a refund can be requested
+const RefundWindowDays = 30;
+
+/**
+ * Checks if authenticated user can review refunds for a donation (charity editors and administrators)
+ * @memberof model/Donation
+ * @param {Object} donation Donation object
+ * @param {Object} token Decoded token object
+ * @return {Boolean} True if user can approve or deny refunds
+ */
+function authenticatedReviewer (donation, token) {
+	if (token.admin) return true;
+	if (token.charity == donation.charity && !token.twoFactorMissing && Authentication.hasCharityRole(token, Types.charityRoles.editor)) return true;
+	return false;
+};
+
 // Donation Properties: configures properties for database object
 function DonationProperties (schema) {
     schema.add({
@@ -44,18 +68,75 @@ function DonationProperties (schema) {
 			'default': null,
 		},
 
-		// User: GUID of the user this donation is made by
+		// User: GUID of the user this donation is made by (null for sponsor matches)
 		'user': {
 			'type': String,
-			'required': true,
+			'index': true,
+			'default': null,
+		},
+
+		// Matching Pledge: GUID of the sponsor's matching pledge (sponsor matches only)
+		'matchingPledge': {
+			'type': String,
+			'default': null,
 		},
 
-		// Amount: number of cents of donation
+		// Matched Donation: GUID of the user's donation this matches (sponsor matches only)
+		'matchedDonation': {
+			'type': String,
+			'index': true,
+			'default': null,
+		},
+
+		// Amount: number of cents of donation (or the smallest unit of currency)
 		'amount': {
 			'type': Number,
 			'required': true,
 		},
 
+		// Currency: currency code of amount
+		'currency': {
+			'type': String,
+			'default': Currency.defaultCurrency,
+		},
+
+		// Status: whether donation was kept or refunded (from Types.donationStatuses)
+		'status': {
+			'type': String,
+			'index': true,
+			'default': Types.donationStatuses.completed,
+		},
+
+		// Refund Reason: reason given by user when requesting a refund
+		'refundReason': {
+			'type': String,
+			'default': null,
+		},
+
+		// Date Refund Requested: date when user requested a refund
+		'dateRefundRequested': {
+			'type': Number,
+			'default': null,
+		},
+
+		// Refund Reviewer: GUID of user who approved or denied the refund
+		'refundReviewer': {
+			'type': String,
+			'default': null,
+		},
+
+		// Date Refund Reviewed: date when the refund was approved or denied
+		'dateRefundReviewed': {
+			'type': Number,
+			'default': null,
+		},
+
+		// Refund Transaction: GUID of transaction which returned funds to user
+		'refundTransaction': {
+			'type': String,
+			'default': null,
+		},
+
     });
 };
 
@@ -69,11 +150,15 @@ function DonationStaticMethods (schema) {
 	 * @param {Object} params.charity Charity for donation
 	 * @param {Object} [params.campaign] Campaign for donation
 	 * @param {Object} [params.post] Post for donation
-	 * @param {Object} params.user User creating donation
+	 * @param {Object} [params.user] User creating donation (not provided for sponsor matches)
 	 * @param {Number} params.number Number of cents of donation
+	 * @param {String} [params.currency] Currency code of amount (defaults to the default currency)
+	 * @param {String} [params.guid] GUID reserved for donation (generated if not provided)
+	 * @param {Object} [params.matchingPledge] Matching pledge paying for donation (sponsor matches only)
+	 * @param {Object} [params.matchedDonation] User's donation being matched (sponsor matches only)
 	 * @param {function(err, donation)} callback Callback function
 	 */
-	schema.statics.create = function ({charity, campaign, post, user, amount}, callback) {
+	schema.statics.create = function ({charity, campaign, post, user, amount, currency, guid, matchingPledge, matchedDonation}, callback) {
 
 		// Save reference to model
 		var Donation = this;
@@ -81,8 +166,9 @@ function DonationStaticMethods (schema) {
 		// Synchronously perform the following tasks, then make callback...
 		Async.waterfall([
 
-			// Generate a unique GUID
+			// Generate a unique GUID (unless one was reserved)
 			function (callback) {
+				if (guid) return callback(null, guid);
 				Donation.GUID(function (err, GUID) {
 					callback(err, GUID);
 				})
@@ -100,12 +186,16 @@ function DonationStaticMethods (schema) {
 				var set = {
 					'guid': GUID,
 					'charity': charity.guid,
-					'user': user.guid,
 					'amount': amount,
+					'currency': currency || Currency.defaultCurrency,
+					'status': Types.donationStatuses.completed,
 					'dateCreated': Dates.now(),
 				};
+				if (user) set.user = user.guid;
 				if (campaign) set.campaign = campaign.guid;
 				if (post) set.post = post.guid;
+				if (matchingPledge) set.matchingPledge = matchingPledge.guid;
+				if (matchedDonation) set.matchedDonation = matchedDonation.guid;
 				var update = {
 					'$set': set
 				};
@@ -124,6 +214,836 @@ function DonationStaticMethods (schema) {
 			callback(err, donation);
 		});
 	};
+
+	/**
+	 * Adds up the amounts of donations matching a query, excluding refunded donations
+	 * @memberof model/Donation
+	 * @param {Object} params
+	 * @param {Object} params.query Database query (e.g. {'charity': GUID})
+	 * @param {String} [params.currency] Currency code of total (defaults to the default currency)
+	 * @param {function(err, total)} callback Callback function (total is number of cents)
+	 */
+	schema.statics.totalAmount = function ({query, currency}, callback) {
+
+		// Save reference to model
+		var Donation = this;
+
+		// Find donations which weren't refunded
+		Database.find({
+			'model': Donation,
+			'query': Object.assign({
+				'status': {
+					'$ne': Types.donationStatuses.refunded,
+				},
+			}, query),
+		}, function (err, donations) {
+			if (err) return callback(err);
+
+			// Convert donations to total's currency
+			Currency.total({
+				'amounts': donations,
+				'currency': currency || Currency.defaultCurrency,
+			}, function (err, total) {
+				callback(err, total);
+			});
+		});
+	};
+
+	/**
+	 * Adds up the amounts of donations to each of several campaigns, posts or charities by currency, excluding refunded
+	 * donations (with one query)
+	 * @memberof model/Donation
+	 * @param {Object} params
+	 * @param {String} params.key Property donations are grouped by (e.g. "campaign")
+	 * @param {Array} params.targets Array of GUIDs of campaigns, posts or charities
+	 * @param {function(err, amounts)} callback Callback function (amounts maps each target's GUID to an array of
+	 * {amount, currency} sums, which can be totaled with Currency.total)
+	 */
+	schema.statics.sumByCurrency = function ({key, targets}, callback) {
+
+		// Save reference to model
+		var Donation = this;
+
+		// Setup match for donations to targets which weren't refunded
+		var match = {
+			'status': {
+				'$ne': Types.donationStatuses.refunded,
+			},
+		};
+		match[key] = {
+			'$in': targets,
+		};
+
+		// Sum donations by target and currency
+		Database.aggregate({
+			'model': Donation,
+			'pipeline': [
+				{
+					'$match': match,
+				},
+				{
+					'$group': {
+						'_id': {
+							'target': "$" + key,
+							'currency': "$currency",
+						},
+						'amount': {
+							'$sum': "$amount",
+						},
+					},
+				},
+			],
+		}, function (err, results) {
+			if (err) return callback(err);
+			var amounts = {};
+			for (var i in targets) {
+				amounts[targets[i]] = [];
+			}
+			for (var i in results) {
+				amounts[results[i]._id.target].push({
+					'amount': results[i].amount,
+					'currency': results[i]._id.currency,
+				});
+			}
+			callback(null, amounts);
+		});
+	};
+
+	/**
+	 * Gets a user's giving statement for a calendar year, totaling donations by charity in the user's currency (refunded donations are excluded)
+	 * @memberof model/Donation
+	 * @param {Object} params
+	 * @param {Object} params.user User object
+	 * @param {Number} params.year Calendar year (e.g. 2017)
+	 * @param {function(err, statement)} callback Callback function
+	 */
+	schema.statics.getStatement = function ({user, year}, callback) {
+
+		// Save reference to model
+		var Donation = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Find user's donations made during year
+			function (callback) {
+				Database.find({
+					'model': Donation,
+					'query': {
+						'user': user.guid,
+						'dateCreated': {
+							'$gte': Dates.startOfYear(year),
+							'$lt': Dates.startOfYear(year + 1),
+						},
+						'status': {
+							'$ne': Types.donationStatuses.refunded,
+						},
+					},
+				}, function (err, donations) {
+					if (donations) donations.sort(function (a, b) {
+						return a.dateCreated - b.dateCreated;
+					});
+					callback(err, donations);
+				});
+			},
+
+			// Find charities and campaigns donated to
+			function (donations, callback) {
+				var charities = [], campaigns = [];
+				for (var i in donations) {
+					charities.push(donations[i].charity);
+					if (donations[i].campaign) campaigns.push(donations[i].campaign);
+				}
+				Async.parallel({
+					'charities': function (callback) {
+						Database.find({
+							'model': Charity,
+							'query': {
+								'guid': {'$in': charities},
+							},
+						}, callback);
+					},
+					'campaigns': function (callback) {
+						Database.find({
+							'model': Campaign,
+							'query': {
+								'guid': {'$in': campaigns},
+							},
+						}, callback);
+					},
+				}, function (err, results) {
+					callback(err, donations, results);
+				});
+			},
+
+			// Convert each donation to user's currency
+			function (donations, results, callback) {
+				Async.mapSeries(donations, function (donation, callback) {
+					Currency.convert({
+						'amount': donation.amount,
+						'from': donation.currency,
+						'to': user.currency,
+					}, callback);
+				}, function (err, convertedAmounts) {
+					callback(err, donations, results, convertedAmounts);
+				});
+			},
+
+			// Total donations by charity
+			function (donations, results, convertedAmounts, callback) {
+
+				// Map GUIDs to names
+				var charityNames = {}, campaignNames = {};
+				for (var i in results.charities) charityNames[results.charities[i].guid] = results.charities[i].name;
+				for (var i in results.campaigns) campaignNames[results.campaigns[i].guid] = results.campaigns[i].name;
+
+				// Initialize statement
+				var statement = {
+					'year': year,
+					'donorName': user.name,
+					'donorEmail': user.email,
+					'dateGenerated': Dates.now(),
+					'currency': user.currency,
+					'totalAmount': 0,
+					'charities': [],
+				};
+
+				// Add each donation to its charity's total
+				var charityTotals = {};
+				for (var i in donations) {
+					var donation = donations[i];
+					if (!charityTotals[donation.charity]) {
+						charityTotals[donation.charity] = {
+							'charity': donation.charity,
+							'charityName': charityNames[donation.charity] || null,
+							'amount': 0,
+							'donations': [],
+						};
+						statement.charities.push(charityTotals[donation.charity]);
+					}
+					charityTotals[donation.charity].amount += convertedAmounts[i];
+					charityTotals[donation.charity].donations.push({
+						'donation': donation.guid,
+						'date': donation.dateCreated,
+						'amount': donation.amount,
+						'currency': donation.currency,
+						'convertedAmount': convertedAmounts[i],
+						'campaignName': campaignNames[donation.campaign] || null,
+					});
+					statement.totalAmount += convertedAmounts[i];
+				}
+				callback(null, statement);
+			},
+
+		], function (err, statement) {
+			callback(err, statement);
+		});
+	};
+
+	/**
+	 * Gets a charity's fundraising report for a date range, totaling donations by campaign, post and period (refunded donations are excluded)
+	 * @memberof model/Donation
+	 * @param {Object} params
+	 * @param {Object} params.charity Charity object
+	 * @param {Number} params.startDate Date (UNIX timestamp) of first donation included
+	 * @param {Number} params.endDate Date (UNIX timestamp) after the last donation included
+	 * @param {String} params.interval Length of each period (from Types.reportIntervals)
+	 * @param {String} params.currency Currency code of totals
+	 * @param {function(err, report)} callback Callback function
+	 */
+	schema.statics.getCharityReport = function ({charity, startDate, endDate, interval, currency}, callback) {
+
+		// Save reference to model
+		var Donation = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Find charity's donations made during date range
+			function (callback) {
+				Database.find({
+					'model': Donation,
+					'query': {
+						'charity': charity.guid,
+						'dateCreated': {
+							'$gte': startDate,
+							'$lt': endDate,
+						},
+						'status': {
+							'$ne': Types.donationStatuses.refunded,
+						},
+					},
+				}, function (err, donations) {
+					callback(err, donations);
+				});
+			},
+
+			// Convert each donation to report's currency
+			function (donations, callback) {
+				Async.mapSeries(donations, function (donation, callback) {
+					Currency.convert({
+						'amount': donation.amount,
+						'from': donation.currency,
+						'to': currency,
+					}, callback);
+				}, function (err, convertedAmounts) {
+					callback(err, donations, convertedAmounts);
+				});
+			},
+
+			// Find campaigns donated to
+			function (donations, convertedAmounts, callback) {
+				var campaigns = [];
+				for (var i in donations) {
+					if (donations[i].campaign) campaigns.push(donations[i].campaign);
+				}
+				Database.find({
+					'model': Campaign,
+					'query': {
+						'guid': {'$in': campaigns},
+					},
+				}, function (err, campaigns) {
+					callback(err, donations, convertedAmounts, campaigns);
+				});
+			},
+
+			// Total donations
+			function (donations, convertedAmounts, campaigns, callback) {
+
+				// Map campaign GUIDs to names
+				var campaignNames = {};
+				for (var i in campaigns) campaignNames[campaigns[i].guid] = campaigns[i].name;
+
+				// Initialize report
+				var report = {
+					'charity': charity.guid,
+					'charityName': charity.name,
+					'startDate': parseInt(startDate),
+					'endDate': parseInt(endDate),
+					'interval': interval,
+					'currency': currency,
+					'totalAmount': 0,
+					'matchedAmount': 0,
+					'donationCount': donations.length,
+					'uniqueDonors': 0,
+					'averageGift': 0,
+					'campaigns': [],
+					'posts': [],
+					'periods': [],
+				};
+
+				// Add a period for each interval in date range (including periods without donations)
+				var periodTotals = {};
+				for (var date = Dates.startOf(startDate, interval); parseInt(date) < endDate; date = Dates.add(date, 1, interval)) {
+					periodTotals[date] = {
+						'startDate': parseInt(date),
+						'amount': 0,
+						'donationCount': 0,
+					};
+					report.periods.push(periodTotals[date]);
+				}
+
+				// Adds a donation to a total, creating the total if needed
+				function addToTotal (totals, list, key, makeTotal, amount) {
+					if (!totals[key]) {
+						totals[key] = Object.assign(makeTotal(), {
+							'amount': 0,
+							'donationCount': 0,
+						});
+						list.push(totals[key]);
+					}
+					totals[key].amount += amount;
+					totals[key].donationCount++;
+				};
+
+				// Add each donation to totals
+				var donors = {}, campaignTotals = {}, postTotals = {};
+				for (var i in donations) {
+					var donation = donations[i];
+					var amount = convertedAmounts[i];
+					report.totalAmount += amount;
+					if (donation.matchingPledge) report.matchedAmount += amount;
+
+					// Count users and sponsors once each
+					donors[donation.user || "sponsor:" + donation.matchingPledge] = true;
+
+					// Add to campaign and post totals
+					if (donation.campaign) addToTotal(campaignTotals, report.campaigns, donation.campaign, function () {
+						return {
+							'campaign': donation.campaign,
+							'campaignName': campaignNames[donation.campaign] || null,
+						};
+					}, amount);
+					if (donation.post) addToTotal(postTotals, report.posts, donation.post, function () {
+						return {
+							'post': donation.post,
+							'campaign': donation.campaign,
+						};
+					}, amount);
+
+					// Add to period total
+					var period = periodTotals[Dates.startOf(donation.dateCreated, interval)];
+					if (period) {
+						period.amount += amount;
+						period.donationCount++;
+					}
+				}
+				report.uniqueDonors = Object.keys(donors).length;
+				if (report.donationCount) report.averageGift = Math.round(report.totalAmount / report.donationCount);
+
+				// Sort campaigns and posts by amount raised
+				function byAmount (a, b) {
+					return b.amount - a.amount;
+				};
+				report.campaigns.sort(byAmount);
+				report.posts.sort(byAmount);
+
+				callback(null, report);
+			},
+
+		], function (err, report) {
+			callback(err, report);
+		});
+	};
+
+	/**
+	 * Gets a charity's individual donations for a date range to be exported, hiding donors who keep their donations
+	 * anonymous (donor emails are only included for donors who share them with charities)
+	 * @memberof model/Donation
+	 * @param {Object} params
+	 * @param {Object} params.charity Charity object
+	 * @param {Number} params.startDate Date (UNIX timestamp) of first donation included
+	 * @param {Number} params.endDate Date (UNIX timestamp) after the last donation included
+	 * @param {function(err, rows)} callback Callback function (rows are ordered by date)
+	 */
+	schema.statics.getCharityExport = function ({charity, startDate, endDate}, callback) {
+
+		// Save reference to model
+		var Donation = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Find charity's donations made during date range (including refunded donations)
+			function (callback) {
+				Database.find({
+					'model': Donation,
+					'query': {
+						'charity': charity.guid,
+						'dateCreated': {
+							'$gte': startDate,
+							'$lt': endDate,
+						},
+					},
+				}, function (err, donations) {
+					if (donations) donations.sort(function (a, b) {
+						return a.dateCreated - b.dateCreated;
+					});
+					callback(err, donations);
+				});
+			},
+
+			// Find donors, sponsors and campaigns
+			function (donations, callback) {
+				var users = [], matchingPledges = [], campaigns = [];
+				for (var i in donations) {
+					if (donations[i].user) users.push(donations[i].user);
+					if (donations[i].matchingPledge) matchingPledges.push(donations[i].matchingPledge);
+					if (donations[i].campaign) campaigns.push(donations[i].campaign);
+				}
+				Async.parallel({
+					'users': function (callback) {
+						Database.find({
+							'model': User,
+							'query': {
+								'guid': {'$in': users},
+							},
+						}, callback);
+					},
+					'matchingPledges': function (callback) {
+						Database.find({
+							'model': MatchingPledge,
+							'query': {
+								'guid': {'$in': matchingPledges},
+							},
+						}, callback);
+					},
+					'campaigns': function (callback) {
+						Database.find({
+							'model': Campaign,
+							'query': {
+								'guid': {'$in': campaigns},
+							},
+						}, callback);
+					},
+				}, function (err, results) {
+					callback(err, donations, results);
+				});
+			},
+
+			// Make a row for each donation
+			function (donations, results, callback) {
+
+				// Map GUIDs to objects
+				var users = {}, sponsorNames = {}, campaignNames = {};
+				for (var i in results.users) users[results.users[i].guid] = results.users[i];
+				for (var i in results.matchingPledges) sponsorNames[results.matchingPledges[i].guid] = results.matchingPledges[i].sponsorName;
+				for (var i in results.campaigns) campaignNames[results.campaigns[i].guid] = results.campaigns[i].name;
+
+				var rows = [];
+				for (var i in donations) {
+					var donation = donations[i];
+					var row = {
+						'donation': donation.guid,
+						'date': donation.dateCreated,
+						'amount': donation.amount,
+						'currency': donation.currency,
+						'status': donation.status || Types.donationStatuses.completed,
+						'campaign': donation.campaign,
+						'campaignName': campaignNames[donation.campaign] || null,
+						'post': donation.post,
+						'donorName': null,
+						'donorEmail': null,
+						'sponsorName': sponsorNames[donation.matchingPledge] || null,
+					};
+
+					// Add donor, respecting donor's privacy settings
+					var user = users[donation.user];
+					if (donation.matchingPledge) row.donorName = row.sponsorName;
+					else if (!user || user.erased) row.donorName = Messages.deletedUser;
+					else if (user.anonymousDonations) row.donorName = Messages.anonymousDonor;
+					else {
+						row.donorName = user.name;
+						if (user.shareEmailWithCharities) row.donorEmail = user.email;
+					}
+					rows.push(row);
+				}
+				callback(null, rows);
+			},
+
+		], function (err, rows) {
+			callback(err, rows);
+		});
+	};
+
+	/**
+	 * Finds the post, campaign and charity a donation is made to (a post implies its campaign, a campaign implies its charity)
+	 * @memberof model/Donation
+	 * @param {Object} params
+	 * @param {String} [params.post] GUID of post to make donation to (ignores campaign and charity)
+	 * @param {String} [params.campaign] GUID of campaign to make donation to (ignores charity)
+	 * @param {String} [params.charity] GUID of charity to make donation to
+	 * @param {function(err, targets)} callback Callback function (targets has post, campaign and charity objects or null)
+	 */
+	schema.statics.findTargets = function ({post, campaign, charity}, callback) {
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Find post object if applicable
+			function (callback) {
+				if (post) {
+					Database.findOne({
+						'model': Post,
+						'query': {
+							'guid': post,
+						}
+					}, function (err, post) {
+						if (!post) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+						else callback(err, post);
+					})
+				} else {
+					callback(null, null);
+				}
+			},
+
+			// Find campaign object if applicable
+			function (post, callback) {
+				if (post || campaign) {
+					var campaignToFind = post ? post.campaign : campaign;
+					Database.findOne({
+						'model': Campaign,
+						'query': {
+							'guid': campaignToFind,
+						}
+					}, function (err, campaign) {
+						if (!campaign) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+						else callback(err, post, campaign);
+					})
+				} else {
+					callback(null, null, null);
+				}
+			},
+
+			// Find charity object
+			function (post, campaign, callback) {
+				if (campaign || charity) {
+					var charityToFind = campaign ? campaign.charity : charity;
+					Database.findOne({
+						'model': Charity,
+						'query': {
+							'guid': charityToFind,
+						}
+					}, function (err, charity) {
+						if (!charity) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+						else callback(err, {
+							'post': post,
+							'campaign': campaign,
+							'charity': charity,
+						});
+					})
+				} else {
+					callback(Secretary.requestError("You must provide a post, campaign or charity to make a donation."));
+				}
+			},
+
+		], function (err, targets) {
+			callback(err, targets);
+		});
+	};
+
+	/**
+	 * Makes a donation, moving funds from a user to a charity (all changes are rolled back if any step fails, ended campaigns are refused)
+	 * @memberof model/Donation
+	 * @param {Object} params
+	 * @param {Object} params.charity Charity for donation
+	 * @param {Object} [params.campaign] Campaign for donation
+	 * @param {Object} [params.post] Post for donation
+	 * @param {Object} params.user User making donation
+	 * @param {Number} params.amount Number of cents of donation (in the user's balance currency)
+	 * @param {function(err, result)} callback Callback function (result has donation, user, charity, campaign, post and matchedDonations)
+	 */
+	schema.statics.make = function ({charity, campaign, post, user, amount}, callback) {
+
+		// Error: Campaign no longer accepts donations
+		if (campaign && campaign.isEnded())
+			return callback(Secretary.conflictError(Messages.conflictErrors.campaignEnded));
+
+		// Save reference to model
+		var Donation = this;
+
+		// Initialize result
+		var result = {};
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Reserve a GUID for donation
+			function (callback) {
+				Donation.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Start donation transaction
+			function (GUID, callback) {
+				Transaction.begin({
+					'type': Types.transactionTypes.donation,
+					'user': user,
+					'charity': charity,
+					'amount': amount,
+					'currency': user.currency,
+					'donation': GUID,
+				}, function (err, transaction) {
+					if (err) callback(err);
+					else callback(null, GUID, transaction);
+				});
+			},
+
+			// Debit user's balance (fails without overdrawing if funds are insufficient)
+			function (GUID, transaction, callback) {
+				transaction.apply(function (err, user) {
+					if (err) return callback(err, transaction);
+					if (!user) return callback(Secretary.conflictError(Messages.conflictErrors.insufficientFunds), transaction);
+					callback(null, GUID, transaction);
+				});
+			},
+
+			// Write donation and add it to user, post, campaign and charity
+			function (GUID, transaction, callback) {
+				Async.waterfall([
+
+					function (callback) {
+						Donation.create({
+							'guid': GUID,
+							'user': user,
+							'post': post,
+							'campaign': campaign,
+							'charity': charity,
+							'amount': amount,
+							'currency': user.currency,
+						}, function (err, donation) {
+							result.donation = donation;
+							callback(err);
+						});
+					},
+
+					function (callback) {
+						user.addDonation({
+							'donation': result.donation,
+						}, function (err, user) {
+							result.user = user;
+							callback(err);
+						});
+					},
+
+					function (callback) {
+						if (!post) return callback();
+						post.addDonation({
+							'donation': result.donation,
+						}, function (err, post) {
+							result.post = post;
+							callback(err);
+						});
+					},
+
+					function (callback) {
+						if (!campaign) return callback();
+						campaign.addDonation({
+							'donation': result.donation,
+						}, function (err, campaign) {
+							result.campaign = campaign;
+							callback(err);
+						});
+					},
+
+					function (callback) {
+						charity.addDonation({
+							'donation': result.donation,
+						}, function (err, charity) {
+							result.charity = charity;
+							callback(err);
+						});
+					},
+
+				], function (err) {
+					callback(err, transaction);
+				});
+			},
+
+			// Commit transaction
+			function (transaction, callback) {
+				transaction.commit(function (err, user) {
+					if (user) result.user = user;
+					callback(err);
+				});
+			},
+
+		], function (err, transaction) {
+			if (!err) {
+
+				// Email receipt (donation succeeds even if email fails)
+				result.donation.sendReceipt(function (err) {
+					if (err) console.log(err);
+				});
+
+				// Add sponsor matches (donation succeeds even if matching fails)
+				return Donation.makeMatches({
+					'donation': result.donation,
+					'post': post,
+					'campaign': campaign,
+					'charity': charity,
+				}, function (err, matchedDonations) {
+					if (err) console.log(err);
+					result.matchedDonations = matchedDonations;
+					callback(null, result);
+				});
+			}
+
+			// Roll back partial donation
+			if (!transaction) return callback(err);
+			transaction.rollBack(function (rollBackErr) {
+				if (rollBackErr) console.log(rollBackErr);
+				callback(err);
+			});
+		});
+	};
+
+	/**
+	 * Makes a matched donation from each of the campaign's active matching pledges (until their caps are used up)
+	 * @memberof model/Donation
+	 * @param {Object} params
+	 * @param {Object} params.donation User's donation to match
+	 * @param {Object} params.charity Charity for donation
+	 * @param {Object} [params.campaign] Campaign for donation (donations without a campaign aren't matched)
+	 * @param {Object} [params.post] Post for donation
+	 * @param {function(err, matchedDonations)} callback Callback function
+	 */
+	schema.statics.makeMatches = function ({donation, charity, campaign, post}, callback) {
+
+		// Save reference to model
+		var Donation = this;
+
+		// Initialize matched donations
+		var matchedDonations = [];
+		if (!campaign) return callback(null, matchedDonations);
+
+		// Find campaign's matching pledges
+		MatchingPledge.findActive({
+			'campaign': campaign.guid,
+		}, function (err, matchingPledges) {
+			if (err) return callback(err, matchedDonations);
+
+			// Match donation with each pledge
+			Async.eachSeries(matchingPledges, function (matchingPledge, callback) {
+				Async.waterfall([
+
+					// Claim match from pledge
+					function (callback) {
+						matchingPledge.claim({
+							'amount': donation.amount,
+							'currency': donation.currency,
+						}, function (err, matchAmount) {
+							callback(err, matchAmount);
+						});
+					},
+
+					// Write matched donation, return claim if it fails
+					function (matchAmount, callback) {
+						if (!matchAmount) return callback(null, null);
+						Donation.create({
+							'charity': charity,
+							'campaign': campaign,
+							'post': post,
+							'amount': matchAmount,
+							'currency': matchingPledge.currency,
+							'matchingPledge': matchingPledge,
+							'matchedDonation': donation,
+						}, function (err, matchedDonation) {
+							if (!err) return callback(null, matchedDonation);
+							matchingPledge.release({
+								'amount': matchAmount,
+							}, function () {
+								callback(err);
+							});
+						});
+					},
+
+					// Add matched donation to post, campaign and charity
+					function (matchedDonation, callback) {
+						if (!matchedDonation) return callback();
+						matchedDonations.push(matchedDonation);
+						var targets = [charity, campaign];
+						if (post) targets.push(post);
+						Async.eachSeries(targets, function (target, callback) {
+							target.addDonation({
+								'donation': matchedDonation,
+							}, function (err) {
+								callback(err);
+							});
+						}, function (err) {
+							callback(err);
+						});
+					},
+
+				], function (err) {
+					callback(err);
+				});
+			}, function (err) {
+				callback(err, matchedDonations);
+			});
+		});
+	};
 };
 
 function DonationInstanceMethods (schema) {
@@ -143,16 +1063,45 @@ function DonationInstanceMethods (schema) {
 
 		Async.waterfall([
 
-			// Attach user metadata
+			// Attach user metadata (anonymous donors are only shown to themselves and administrators)
 			function (callback) {
+				if (!thisObject.user) return callback();
 				Database.findOne({
 					'model': User,
 					'query': {
 						'guid': thisObject.user,
 					}
 				}, function (err, user) {
-					if (user) {
+					if (!user) return callback();
+					if (!user.anonymousDonations) {
 						thisObject.donatingUserName = user.name;
+						return callback();
+					}
+					Authentication.authenticateUser(req, function (err, token) {
+						if (token && (token.user == user.guid || token.admin)) {
+							thisObject.donatingUserName = user.name;
+						} else {
+							thisObject.donatingUserName = Messages.anonymousDonor;
+							thisObject.user = null;
+						}
+						thisObject.anonymous = true;
+						callback();
+					});
+				});
+			},
+
+			// Attach sponsor metadata for matched donations
+			function (callback) {
+				if (!thisObject.matchingPledge) return callback();
+				Database.findOne({
+					'model': MatchingPledge,
+					'query': {
+						'guid': thisObject.matchingPledge,
+					}
+				}, function (err, matchingPledge) {
+					if (matchingPledge) {
+						thisObject.sponsorName = matchingPledge.sponsorName;
+						thisObject.donatingUserName = matchingPledge.sponsorName;
 					}
 					callback();
 				});
@@ -234,6 +1183,379 @@ function DonationInstanceMethods (schema) {
 		})
 	};
 
+	/**
+	 * Gets a receipt for a donation
+	 * @memberof model/Donation#
+	 * @param {function(err, receipt)} callback Callback function
+	 */
+	schema.methods.getReceipt = function (callback) {
+
+		// Save reference to model
+		var Donation = this;
+
+		// Find donating user, charity and campaign
+		Async.parallel({
+			'user': function (callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': Donation.user,
+					},
+				}, callback);
+			},
+			'charity': function (callback) {
+				Database.findOne({
+					'model': Charity,
+					'query': {
+						'guid': Donation.charity,
+					},
+				}, callback);
+			},
+			'campaign': function (callback) {
+				if (!Donation.campaign) return callback(null, null);
+				Database.findOne({
+					'model': Campaign,
+					'query': {
+						'guid': Donation.campaign,
+					},
+				}, callback);
+			},
+		}, function (err, results) {
+			if (err) return callback(err);
+			callback(null, {
+				'receiptNumber': Donation.guid,
+				'date': Donation.dateCreated,
+				'amount': Donation.amount,
+				'currency': Donation.currency,
+				'status': Donation.status || Types.donationStatuses.completed,
+				'donorName': results.user ? results.user.name : Messages.deletedUser,
+				'donorEmail': results.user ? results.user.email : null,
+				'charity': Donation.charity,
+				'charityName': results.charity ? results.charity.name : null,
+				'campaign': Donation.campaign,
+				'campaignName': results.campaign ? results.campaign.name : null,
+			});
+		});
+	};
+
+	/**
+	 * Emails a receipt for a donation to the donating user
+	 * @memberof model/Donation#
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.methods.sendReceipt = function (callback) {
+
+		// Save reference to model
+		var Donation = this;
+
+		// Get receipt and donating user (receipts are sent to users so their email preferences are checked)
+		Async.parallel({
+			'receipt': function (callback) {
+				Donation.getReceipt(callback);
+			},
+			'user': function (callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': Donation.user,
+					},
+				}, callback);
+			},
+		}, function (err, results) {
+			if (err || !results.user) return callback(err);
+			Email.sendDonationReceipt({
+				'user': results.user,
+				'receipt': results.receipt,
+			}, function (err) {
+				callback(err);
+			});
+		});
+	};
+
+	/**
+	 * Requests a refund for a donation (only the donating user can request, within the refund window)
+	 * @memberof model/Donation#
+	 * @param {Object} params
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {String} [params.reason] Reason for requesting refund
+	 * @param {function(err, donation)} callback Callback function
+	 */
+	schema.methods.requestRefund = function ({token, reason}, callback) {
+
+		// Authenticate user
+		if (token.user != this.user)
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Error: Refund window has passed
+		if (this.dateCreated < Dates.fromNow(-RefundWindowDays, 'days'))
+			return callback(Secretary.conflictError(Messages.conflictErrors.refundWindowClosed));
+
+		// Save reference to model
+		var Donation = this;
+
+		// Setup query with GUID, ensure donation wasn't refunded or reviewed already
+		var query = {
+			'guid': this.guid,
+			'status': {
+				'$in': [Types.donationStatuses.completed, null],
+			},
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'status': Types.donationStatuses.refundRequested,
+				'refundReason': reason || null,
+				'dateRefundRequested': Dates.now(),
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': Donation.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, donation) {
+			if (!err && !donation) callback(Secretary.conflictError(Messages.conflictErrors.refundNotAllowed));
+			else callback(err, donation);
+		});
+	};
+
+	/**
+	 * Approves a requested refund, returning the donation's amount to the user's balance (converted to its current currency)
+	 * @memberof model/Donation#
+	 * @param {Object} params
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {function(err, donation)} callback Callback function
+	 */
+	schema.methods.approveRefund = function ({token}, callback) {
+
+		// Authenticate user
+		if (!authenticatedReviewer(this, token))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Error: No refund requested
+		if (this.status != Types.donationStatuses.refundRequested)
+			return callback(Secretary.conflictError(Messages.conflictErrors.refundNotRequested));
+
+		// Save reference to model
+		var Donation = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Find donating user
+			function (callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': Donation.user,
+					},
+				}, function (err, user) {
+					if (!err && !user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, user);
+				});
+			},
+
+			// Convert donation to user's currency
+			function (user, callback) {
+				Currency.convert({
+					'amount': Donation.amount,
+					'from': Donation.currency,
+					'to': user.currency,
+				}, function (err, amount) {
+					callback(err, user, amount);
+				});
+			},
+
+			// Start refund transaction
+			function (user, amount, callback) {
+				Transaction.begin({
+					'type': Types.transactionTypes.refund,
+					'user': user,
+					'charity': {'guid': Donation.charity},
+					'amount': amount,
+					'currency': user.currency,
+					'donation': Donation.guid,
+				}, function (err, transaction) {
+					callback(err, transaction);
+				});
+			},
+
+			// Credit user's balance
+			function (transaction, callback) {
+				transaction.apply(function (err, user) {
+					if (!err && !user) callback(Secretary.serverError(), transaction);
+					else callback(err, transaction);
+				});
+			},
+
+			// Mark donation as refunded (only if the refund is still requested)
+			function (transaction, callback) {
+				Database.updateExisting({
+					'model': Donation.constructor,
+					'query': {
+						'guid': Donation.guid,
+						'status': Types.donationStatuses.refundRequested,
+					},
+					'update': {
+						'$set': {
+							'status': Types.donationStatuses.refunded,
+							'refundReviewer': token.user,
+							'dateRefundReviewed': Dates.now(),
+							'refundTransaction': transaction.guid,
+							'lastModified': Dates.now(),
+						},
+					},
+				}, function (err, donation) {
+					if (!err && !donation) callback(Secretary.conflictError(Messages.conflictErrors.refundNotRequested), transaction);
+					else callback(err, transaction, donation);
+				});
+			},
+
+			// Commit transaction
+			function (transaction, donation, callback) {
+				transaction.commit(function (err) {
+					callback(err, null, donation);
+				});
+			},
+
+		], function (err, transaction, donation) {
+			if (!err) {
+
+				// Refund sponsor matches (refund succeeds even if this fails)
+				return Donation.refundMatches(function (err) {
+					if (err) console.log(err);
+					callback(null, donation);
+				});
+			}
+
+			// Roll back partial refund
+			if (!transaction) return callback(err);
+			transaction.rollBack(function (rollBackErr) {
+				if (rollBackErr) console.log(rollBackErr);
+				callback(err);
+			});
+		});
+	};
+
+	/**
+	 * Marks sponsor matches of a refunded donation as refunded, returning their amounts to the matching pledges
+	 * @memberof model/Donation#
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.methods.refundMatches = function (callback) {
+
+		// Save reference to model
+		var Donation = this;
+
+		// Find matches which weren't refunded
+		Database.find({
+			'model': Donation.constructor,
+			'query': {
+				'matchedDonation': Donation.guid,
+				'status': {
+					'$ne': Types.donationStatuses.refunded,
+				},
+			},
+		}, function (err, matchedDonations) {
+			if (err) return callback(err);
+			Async.eachSeries(matchedDonations, function (matchedDonation, callback) {
+				Async.waterfall([
+
+					// Mark match as refunded
+					function (callback) {
+						Database.updateExisting({
+							'model': Donation.constructor,
+							'query': {
+								'guid': matchedDonation.guid,
+								'status': {
+									'$ne': Types.donationStatuses.refunded,
+								},
+							},
+							'update': {
+								'$set': {
+									'status': Types.donationStatuses.refunded,
+									'dateRefundReviewed': Dates.now(),
+									'lastModified': Dates.now(),
+								},
+							},
+						}, function (err, refundedDonation) {
+							callback(err, refundedDonation);
+						});
+					},
+
+					// Return match to pledge
+					function (refundedDonation, callback) {
+						if (!refundedDonation) return callback();
+						Database.findOne({
+							'model': MatchingPledge,
+							'query': {
+								'guid': matchedDonation.matchingPledge,
+							},
+						}, function (err, matchingPledge) {
+							if (err || !matchingPledge) return callback(err);
+							matchingPledge.release({
+								'amount': matchedDonation.amount,
+							}, function (err) {
+								callback(err);
+							});
+						});
+					},
+
+				], function (err) {
+					callback(err);
+				});
+			}, function (err) {
+				callback(err);
+			});
+		});
+	};
+
+	/**
+	 * Denies a requested refund (the donation is kept and a refund can't be requested again)
+	 * @memberof model/Donation#
+	 * @param {Object} params
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {function(err, donation)} callback Callback function
+	 */
+	schema.methods.denyRefund = function ({token}, callback) {
+
+		// Authenticate user
+		if (!authenticatedReviewer(this, token))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Save reference to model
+		var Donation = this;
+
+		// Setup query with GUID, ensure refund is still requested
+		var query = {
+			'guid': this.guid,
+			'status': Types.donationStatuses.refundRequested,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'status': Types.donationStatuses.refundDenied,
+				'refundReviewer': token.user,
+				'dateRefundReviewed': Dates.now(),
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': Donation.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, donation) {
+			if (!err && !donation) callback(Secretary.conflictError(Messages.conflictErrors.refundNotRequested));
+			else callback(err, donation);
+		});
+	};
+
 };
 
 // Export update model object
@@ -0,0 +1,217 @@
+/** @namespace model/IdempotencyKey */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+
+// Keys older than this can be used again for new requests
+const ExpiryHours = 24;
+
+// Idempotency Key Properties: configures properties for database object
+function IdempotencyKeyProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "idempotencyKey"
+		},
+
+		// Key: Idempotency-Key header scoped to the user who sent it (e.g. "userGUID:key")
+		'key': {
+			'type': String,
+			'unique': true,
+			'index': true,
+			'required': true,
+		},
+
+		// Fingerprint: hash of the route and body of the first request sent with key
+		'fingerprint': {
+			'type': String,
+			'required': true,
+		},
+
+		// Completed: true once a response was saved
+		'completed': {
+			'type': Boolean,
+			'default': false,
+		},
+
+		// Response Code: HTTP status code of saved response
+		'responseCode': {
+			'type': Number,
+			'default': null,
+		},
+
+		// Response Body: JSON body of saved response
+		'responseBody': {
+			'type': Mongoose.Schema.Types.Mixed,
+			'default': null,
+		},
+
+    });
+};
+
+// Idempotency Key Static Methods: attaches functionality used by the schema in general
+function IdempotencyKeyStaticMethods (schema) {
+
+	/**
+	 * Claims a key for a new request, or finds the request that already claimed it
+	 * @memberof model/IdempotencyKey
+	 * @param {Object} params
+	 * @param {String} params.key Scoped key (e.g. "userGUID:key")
+	 * @param {String} params.fingerprint Hash of the request's route and body
+	 * @param {function(err, idempotencyKey, existingKey)} callback Callback function (idempotencyKey is set if claimed, existingKey if already used)
+	 */
+	schema.statics.claim = function ({key, fingerprint}, callback) {
+
+		// Save reference to model
+		var IdempotencyKey = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Remove key if it has expired
+			function (callback) {
+				Database.remove({
+					'model': IdempotencyKey,
+					'query': {
+						'key': key,
+						'dateCreated': {
+							'$lt': Dates.fromNow(-ExpiryHours, 'hours'),
+						},
+					},
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+			// Generate a unique GUID
+			function (callback) {
+				IdempotencyKey.GUID(function (err, GUID) {
+					callback(err, GUID);
+				});
+			},
+
+			// Write key unless it already exists
+			function (GUID, callback) {
+				Database.update({
+					'model': IdempotencyKey,
+					'query': {
+						'key': key,
+					},
+					'update': {
+						'$setOnInsert': {
+							'guid': GUID,
+							'key': key,
+							'fingerprint': fingerprint,
+							'completed': false,
+							'dateCreated': Dates.now(),
+						},
+					},
+				}, function (err, idempotencyKey) {
+
+					// Handle key written by a simultaneous request
+					if (err && err.code == 11000) return Database.findOne({
+						'model': IdempotencyKey,
+						'query': {
+							'key': key,
+						},
+					}, function (err, existingKey) {
+						callback(err, null, existingKey);
+					});
+
+					// Check whether this request wrote the key
+					if (err) callback(err);
+					else if (idempotencyKey.guid == GUID) callback(null, idempotencyKey, null);
+					else callback(null, null, idempotencyKey);
+				});
+			},
+
+		], function (err, idempotencyKey, existingKey) {
+			callback(err, idempotencyKey, existingKey);
+		});
+	};
+};
+
+// Idempotency Key Instance Methods: attaches functionality related to existing instances of the object
+function IdempotencyKeyInstanceMethods (schema) {
+
+	/**
+	 * Saves the response sent for the key's request (replayed on retries)
+	 * @memberof model/IdempotencyKey#
+	 * @param {Object} params
+	 * @param {Number} params.code HTTP status code
+	 * @param {Object} params.body JSON response body
+	 * @param {function(err, idempotencyKey)} callback Callback function
+	 */
+	schema.methods.complete = function ({code, body}, callback) {
+
+		// Save reference to model
+		var IdempotencyKey = this;
+
+		// Make database update
+		Database.update({
+			'model': IdempotencyKey.constructor,
+			'query': {
+				'guid': this.guid,
+			},
+			'update': {
+				'$set': {
+					'completed': true,
+					'responseCode': code,
+					'responseBody': body,
+					'lastModified': Dates.now(),
+				},
+			},
+		}, function (err, idempotencyKey) {
+			callback(err, idempotencyKey);
+		});
+	};
+
+	/**
+	 * Releases the key after its request failed so the request can be retried with it
+	 * @memberof model/IdempotencyKey#
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.methods.release = function (callback) {
+
+		// Save reference to model
+		var IdempotencyKey = this;
+
+		// Remove key
+		Database.remove({
+			'model': IdempotencyKey.constructor,
+			'query': {
+				'guid': this.guid,
+				'completed': false,
+			},
+		}, function (err) {
+			callback(err);
+		});
+	};
+
+};
+
+// Export idempotency key model object
+module.exports = function () {
+
+	// Make schema for new idempotency key object...
+	var idempotencyKeySchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(idempotencyKeySchema);
+
+	// Add idempotency key properties and methods to schema
+	IdempotencyKeyProperties(idempotencyKeySchema);
+	IdempotencyKeyStaticMethods(idempotencyKeySchema);
+	IdempotencyKeyInstanceMethods(idempotencyKeySchema);
+
+	// Create new model object with schema
+	var idempotencyKey = Mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+	// Return new model object
+	return idempotencyKey;
+}();
\ No newline at end of file
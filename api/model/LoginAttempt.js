@@ -0,0 +1,256 @@
+/** @namespace model/LoginAttempt */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+
+// Login attempt limits
+const BackoffAttempts = 3; // Failures allowed before each attempt is delayed
+const MaxBackoffSeconds = 300; // Longest delay between attempts
+const LockoutMinutes = 15; // Length of a lockout
+const ResetHours = 1; // Failures are forgotten after this long without another failure
+
+// Login Attempt Properties: configures properties for database object
+function LoginAttemptProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "loginAttempt"
+		},
+
+		// Key: what attempts are tracked by (email or IP address, e.g. "email:user@example.com")
+		'key': {
+			'type': String,
+			'unique': true,
+			'index': true,
+			'required': true,
+		},
+
+		// Failures: number of consecutive failed attempts
+		'failures': {
+			'type': Number,
+			'default': 0,
+		},
+
+		// Last Failure: date of most recent failed attempt
+		'lastFailure': {
+			'type': Number,
+			'default': null,
+		},
+
+		// Blocked Until: date before which no attempts are allowed
+		'blockedUntil': {
+			'type': Number,
+			'default': null,
+		},
+
+    });
+};
+
+// Login Attempt Static Methods: attaches functionality used by the schema in general
+function LoginAttemptStaticMethods (schema) {
+
+	/**
+	 * Finds the latest date any of the given keys is blocked until
+	 * @memberof model/LoginAttempt
+	 * @param {Object} params
+	 * @param {Array} params.keys Array of keys to check
+	 * @param {function(err, blockedUntil)} callback Callback function (blockedUntil is null if no key is blocked)
+	 */
+	schema.statics.blockedUntil = function ({keys}, callback) {
+
+		// Save reference to model
+		var LoginAttempt = this;
+
+		// Find blocked keys
+		Database.find({
+			'model': LoginAttempt,
+			'query': {
+				'key': {
+					'$in': keys,
+				},
+				'blockedUntil': {
+					'$gt': Dates.now(),
+				},
+			},
+		}, function (err, loginAttempts) {
+			var blockedUntil = null;
+			for (var i in loginAttempts) {
+				if (!blockedUntil || loginAttempts[i].blockedUntil > blockedUntil) blockedUntil = loginAttempts[i].blockedUntil;
+			}
+			callback(err, blockedUntil);
+		});
+	};
+
+	/**
+	 * Records a failed attempt for a key, delaying or locking out further attempts
+	 * @memberof model/LoginAttempt
+	 * @param {Object} params
+	 * @param {String} params.key Key to record failure for
+	 * @param {Number} params.lockoutAttempts Failures which cause a lockout
+	 * @param {function(err, loginAttempt, locked)} callback Callback function (locked is true if this failure caused a lockout)
+	 */
+	schema.statics.recordFailure = function ({key, lockoutAttempts}, callback) {
+
+		// Save reference to model
+		var LoginAttempt = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Start over if previous failures are old (only matches if no failure was recorded since)
+			function (callback) {
+				Database.updateExisting({
+					'model': LoginAttempt,
+					'query': {
+						'key': key,
+						'lastFailure': {
+							'$lte': Dates.fromNow(-ResetHours, 'hours'),
+						},
+					},
+					'update': {
+						'$set': {
+							'failures': 0,
+							'blockedUntil': null,
+						},
+					},
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+			// Generate a unique GUID (only used for new keys)
+			function (callback) {
+				LoginAttempt.GUID(function (err, GUID) {
+					callback(err, GUID);
+				});
+			},
+
+			// Count failure atomically so concurrent failures are all counted
+			function (GUID, callback) {
+				var update = {
+					'$inc': {
+						'failures': 1,
+					},
+					'$set': {
+						'lastFailure': Dates.now(),
+						'lastModified': Dates.now(),
+					},
+					'$setOnInsert': {
+						'guid': GUID,
+						'dateCreated': Dates.now(),
+					},
+				};
+				Database.update({
+					'model': LoginAttempt,
+					'query': {
+						'key': key,
+					},
+					'update': update,
+				}, function (err, loginAttempt) {
+
+					// Retry once if a concurrent failure created the key first
+					if (err && err.code == 11000) return Database.update({
+						'model': LoginAttempt,
+						'query': {
+							'key': key,
+						},
+						'update': update,
+					}, callback);
+					callback(err, loginAttempt);
+				});
+			},
+
+			// Lock out after too many failures, otherwise back off exponentially
+			function (loginAttempt, callback) {
+				var failures = loginAttempt.failures;
+				var blockedUntil = null;
+				if (failures >= lockoutAttempts) {
+					blockedUntil = Dates.fromNow(LockoutMinutes, 'minutes');
+				} else if (failures >= BackoffAttempts) {
+					var seconds = Math.min(Math.pow(2, failures - BackoffAttempts), MaxBackoffSeconds);
+					blockedUntil = Dates.fromNow(seconds, 'seconds');
+				}
+				if (!blockedUntil) return callback(null, loginAttempt, false);
+
+				// Never shorten a block set by a concurrent failure
+				Database.updateExisting({
+					'model': LoginAttempt,
+					'query': {
+						'key': key,
+					},
+					'update': {
+						'$max': {
+							'blockedUntil': blockedUntil,
+						},
+					},
+				}, function (err, blockedAttempt) {
+					callback(err, blockedAttempt || loginAttempt, failures == lockoutAttempts);
+				});
+			},
+
+		], function (err, loginAttempt, locked) {
+			callback(err, loginAttempt, locked);
+		});
+	};
+
+	/**
+	 * Clears failed attempts for a key
+	 * @memberof model/LoginAttempt
+	 * @param {Object} params
+	 * @param {String} params.key Key to clear
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.clear = function ({key}, callback) {
+
+		// Save reference to model
+		var LoginAttempt = this;
+
+		// Make database update
+		Database.updateAll({
+			'model': LoginAttempt,
+			'query': {
+				'key': key,
+			},
+			'update': {
+				'$set': {
+					'failures': 0,
+					'blockedUntil': null,
+					'lastModified': Dates.now(),
+				},
+			},
+		}, function (err) {
+			callback(err);
+		});
+	};
+};
+
+// Login Attempt Instance Methods: attaches functionality related to existing instances of the object
+function LoginAttemptInstanceMethods (schema) {
+
+};
+
+// Export login attempt model object
+module.exports = function () {
+
+	// Make schema for new login attempt object...
+	var loginAttemptSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(loginAttemptSchema);
+
+	// Add login attempt properties and methods to schema
+	LoginAttemptProperties(loginAttemptSchema);
+	LoginAttemptStaticMethods(loginAttemptSchema);
+	LoginAttemptInstanceMethods(loginAttemptSchema);
+
+	// Create new model object with schema
+	var loginAttempt = Mongoose.model('LoginAttempt', loginAttemptSchema);
+
+	// Return new model object
+	return loginAttempt;
+}();
\ No newline at end of file
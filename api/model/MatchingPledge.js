@@ -0,0 +1,372 @@
+/** @namespace model/MatchingPledge */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+const Authentication = require('./../tools/Authentication');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
+const Currency = require('./../tools/Currency');
+
+// Attempts at claiming a match before giving up (claims fail when another donation is matched at the same time)
+const ClaimAttempts = 3;
+
+/**
+ * Checks if authenticated user can add matching pledges to a campaign (charity editors and administrators)
+ * @memberof model/MatchingPledge
+ * @param {Object} campaign Campaign object
+ * @param {Object} token Decoded token object
+ * @return {Boolean} True if user can add matching pledges
+ */
+function authenticatedToken (campaign, token) {
+	if (token.admin) return true;
+	if (token.charity == campaign.charity && !token.twoFactorMissing && Authentication.hasCharityRole(token, Types.charityRoles.editor)) return true;
+	return false;
+};
+
+// Matching Pledge Properties: configures properties for database object
+function MatchingPledgeProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "matchingPledge"
+		},
+
+		// Campaign: GUID of the campaign donations are matched for
+		'campaign': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Charity: GUID of the charity the campaign belongs to
+		'charity': {
+			'type': String,
+			'required': true,
+		},
+
+		// Sponsor Name: name of the sponsor matching donations
+		'sponsorName': {
+			'type': String,
+			'required': true,
+		},
+
+		// Ratio: cents matched for each cent donated (e.g. 1 doubles donations)
+		'ratio': {
+			'type': Number,
+			'required': true,
+		},
+
+		// Cap: most cents the sponsor will give in total
+		'cap': {
+			'type': Number,
+			'required': true,
+		},
+
+		// Amount Matched: cents given by the sponsor so far
+		'amountMatched': {
+			'type': Number,
+			'default': 0,
+		},
+
+		// Currency: currency code of cap and matches (the campaign's currency)
+		'currency': {
+			'type': String,
+			'default': Currency.defaultCurrency,
+		},
+
+		// Expiry Date: date after which donations are no longer matched
+		'expiryDate': {
+			'type': Number,
+			'required': true,
+		},
+
+    });
+};
+
+// Matching Pledge Static Methods: attaches functionality used by the schema in general
+function MatchingPledgeStaticMethods (schema) {
+
+	/**
+	 * Creates a new matching pledge in the database
+	 * @memberof model/MatchingPledge
+	 * @param {Object} params
+	 * @param {Object} params.campaign Campaign object
+	 * @param {String} params.sponsorName Name of sponsor
+	 * @param {Number} params.ratio Cents matched for each cent donated
+	 * @param {Number} params.cap Most cents the sponsor will give (in the campaign's currency)
+	 * @param {Number} params.expiryDate Date after which donations are no longer matched
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {function(err, matchingPledge)} callback Callback function
+	 */
+	schema.statics.create = function ({campaign, sponsorName, ratio, cap, expiryDate, token}, callback) {
+
+		// Authenticate user
+		if (!authenticatedToken(campaign, token))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Save reference to model
+		var MatchingPledge = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Generate a unique GUID
+			function (callback) {
+				MatchingPledge.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Write new matching pledge to the database
+			function (GUID, callback) {
+
+				// Setup query with GUID
+				var query = {
+					'guid': GUID
+				};
+
+				// Setup database update
+				var update = {
+					'$set': {
+						'guid': GUID,
+						'campaign': campaign.guid,
+						'charity': campaign.charity,
+						'sponsorName': sponsorName,
+						'ratio': ratio,
+						'cap': cap,
+						'amountMatched': 0,
+						'currency': campaign.currency,
+						'expiryDate': expiryDate,
+						'dateCreated': Dates.now(),
+					}
+				};
+
+				// Make database update
+				Database.update({
+					'model': MatchingPledge,
+					'query': query,
+					'update': update,
+				}, function (err, matchingPledge) {
+					callback(err, matchingPledge);
+				});
+			},
+
+		], function (err, matchingPledge) {
+			callback(err, matchingPledge);
+		});
+	};
+
+	/**
+	 * Finds a campaign's matching pledges which haven't expired or run out, oldest first
+	 * @memberof model/MatchingPledge
+	 * @param {Object} params
+	 * @param {String} params.campaign GUID of campaign
+	 * @param {function(err, matchingPledges)} callback Callback function
+	 */
+	schema.statics.findActive = function ({campaign}, callback) {
+		this.findActiveForCampaigns({
+			'campaigns': [campaign],
+		}, function (err, matchingPledges) {
+			callback(err, matchingPledges ? matchingPledges[campaign] : null);
+		});
+	};
+
+	/**
+	 * Finds the matching pledges of several campaigns which haven't expired or run out, oldest first (with one query)
+	 * @memberof model/MatchingPledge
+	 * @param {Object} params
+	 * @param {Array} params.campaigns Array of GUIDs of campaigns
+	 * @param {function(err, matchingPledges)} callback Callback function (matchingPledges maps each campaign's GUID to
+	 * an array of its matching pledges)
+	 */
+	schema.statics.findActiveForCampaigns = function ({campaigns}, callback) {
+
+		// Save reference to model
+		var MatchingPledge = this;
+
+		// Find unexpired pledges
+		Database.find({
+			'model': MatchingPledge,
+			'query': {
+				'campaign': {
+					'$in': campaigns,
+				},
+				'expiryDate': {
+					'$gt': Dates.now(),
+				},
+			},
+		}, function (err, matchingPledges) {
+			if (err) return callback(err);
+
+			// Keep pledges with funds remaining, grouped by campaign
+			var activePledges = {};
+			for (var i in campaigns) {
+				activePledges[campaigns[i]] = [];
+			}
+			for (var i in matchingPledges) {
+				if (matchingPledges[i].remaining() > 0) activePledges[matchingPledges[i].campaign].push(matchingPledges[i]);
+			}
+			for (var campaign in activePledges) {
+				activePledges[campaign].sort(function (a, b) {
+					return a.dateCreated - b.dateCreated;
+				});
+			}
+			callback(null, activePledges);
+		});
+	};
+};
+
+// Matching Pledge Instance Methods: attaches functionality related to existing instances of the object
+function MatchingPledgeInstanceMethods (schema) {
+
+	/**
+	 * Formats a matching pledge object to be returned to the client
+	 * @memberof model/MatchingPledge#
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {function(err, formattedObject)} callback Callback function
+	 */
+	schema.methods.format = function ({req, res}, callback) {
+		var formattedObject = this.toObject();
+		formattedObject.remaining = this.remaining();
+		formattedObject.active = this.expiryDate > Dates.now() && formattedObject.remaining > 0;
+		callback(null, formattedObject);
+	};
+
+	/**
+	 * Gets the cents the sponsor has left to give
+	 * @memberof model/MatchingPledge#
+	 * @return {Number} Number of cents
+	 */
+	schema.methods.remaining = function () {
+		return Math.max(0, this.cap - this.amountMatched);
+	};
+
+	/**
+	 * Claims a match for a donation, limited by the funds remaining under the cap
+	 * @memberof model/MatchingPledge#
+	 * @param {Object} params
+	 * @param {Number} params.amount Number of cents donated
+	 * @param {String} params.currency Currency code of amount donated
+	 * @param {function(err, matchAmount)} callback Callback function (matchAmount is in the pledge's currency, 0 if nothing is left to match)
+	 */
+	schema.methods.claim = function ({amount, currency}, callback) {
+
+		// Save reference to model
+		var MatchingPledge = this;
+
+		// Claim match, retrying with updated funds if another match was claimed at the same time
+		var attempts = 0;
+		function attemptClaim (pledge) {
+			attempts++;
+
+			// Get match amount
+			var matchAmount = Math.min(Math.floor(donatedAmount * pledge.ratio), pledge.remaining());
+			if (matchAmount <= 0 || pledge.expiryDate <= Dates.now()) return callback(null, 0);
+
+			// Add match to pledge if amount matched hasn't changed
+			Database.updateExisting({
+				'model': MatchingPledge.constructor,
+				'query': {
+					'guid': pledge.guid,
+					'amountMatched': pledge.amountMatched,
+				},
+				'update': {
+					'$inc': {
+						'amountMatched': matchAmount,
+					},
+					'$set': {
+						'lastModified': Dates.now(),
+					},
+				},
+			}, function (err, updatedPledge) {
+				if (err) return callback(err);
+				if (updatedPledge) return callback(null, matchAmount);
+				if (attempts >= ClaimAttempts) return callback(null, 0);
+
+				// Reload pledge and try again
+				Database.findOne({
+					'model': MatchingPledge.constructor,
+					'query': {
+						'guid': pledge.guid,
+					},
+				}, function (err, pledge) {
+					if (err || !pledge) callback(err, 0);
+					else attemptClaim(pledge);
+				});
+			});
+		};
+
+		// Convert donation to pledge's currency
+		var donatedAmount = 0;
+		Currency.convert({
+			'amount': amount,
+			'from': currency,
+			'to': this.currency,
+		}, function (err, convertedAmount) {
+			if (err) return callback(err);
+			donatedAmount = convertedAmount;
+			attemptClaim(MatchingPledge);
+		});
+	};
+
+	/**
+	 * Returns a claimed match to the pledge (e.g. when the matched donation fails or is refunded)
+	 * @memberof model/MatchingPledge#
+	 * @param {Object} params
+	 * @param {Number} params.amount Number of cents to return
+	 * @param {function(err, matchingPledge)} callback Callback function
+	 */
+	schema.methods.release = function ({amount}, callback) {
+
+		// Save reference to model
+		var MatchingPledge = this;
+
+		// Make database update
+		Database.update({
+			'model': MatchingPledge.constructor,
+			'query': {
+				'guid': this.guid,
+			},
+			'update': {
+				'$inc': {
+					'amountMatched': 0-amount,
+				},
+				'$set': {
+					'lastModified': Dates.now(),
+				},
+			},
+		}, function (err, matchingPledge) {
+			callback(err, matchingPledge);
+		});
+	};
+
+};
+
+// Export matching pledge model object
+module.exports = function () {
+
+	// Make schema for new matching pledge object...
+	var matchingPledgeSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(matchingPledgeSchema);
+
+	// Add matching pledge properties and methods to schema
+	MatchingPledgeProperties(matchingPledgeSchema);
+	MatchingPledgeStaticMethods(matchingPledgeSchema);
+	MatchingPledgeInstanceMethods(matchingPledgeSchema);
+
+	// Create new model object with schema
+	var matchingPledge = Mongoose.model('MatchingPledge', matchingPledgeSchema);
+
+	// Return new model object
+	return matchingPledge;
+}();
\ No newline at end of file
@@ -0,0 +1,371 @@
+/** @namespace model/Notification */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
+
+// Initialize external models
+const User = require('./User.js');
+const Charity = require('./Charity.js');
+
+// Notification Properties: configures properties for database object
+function NotificationProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "notification"
+		},
+
+		// User: GUID of the user this notification is for
+		'user': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Type: notification type (see Types.notificationTypes)
+		'type': {
+			'type': String,
+			'required': true,
+		},
+
+		// From User: GUID of the user who caused this notification (null for charity notifications and sponsor matches)
+		'fromUser': {
+			'type': String,
+			'default': null,
+		},
+
+		// Charity: GUID of the charity this notification is about
+		'charity': {
+			'type': String,
+			'default': null,
+		},
+
+		// Target: GUID of the object this notification links to (user, post, update or campaign)
+		'target': {
+			'type': String,
+			'default': null,
+		},
+
+		// Target Type: object type of the target
+		'targetType': {
+			'type': String,
+			'default': null,
+		},
+
+		// Amount: amount of donation in the smallest unit of currency (donation notifications only)
+		'amount': {
+			'type': Number,
+			'default': null,
+		},
+
+		// Currency: currency code of amount (donation notifications only)
+		'currency': {
+			'type': String,
+			'default': null,
+		},
+
+		// Read: true if the user has read this notification
+		'read': {
+			'type': Boolean,
+			'index': true,
+			'default': false,
+		},
+
+    });
+};
+
+// Notification Static Methods: attaches functionality used by the schema in general
+function NotificationStaticMethods (schema) {
+
+	/**
+	 * Creates a notification for each of a list of users
+	 * @memberof model/Notification
+	 * @param {Object} params
+	 * @param {Array} params.users Array of GUIDs of users to notify
+	 * @param {String} params.type Notification type (see Types.notificationTypes)
+	 * @param {String} [params.fromUser] GUID of the user who caused the notification
+	 * @param {String} [params.charity] GUID of the charity the notification is about
+	 * @param {Object} [params.target] Object the notification links to
+	 * @param {Object} [params.donation] Donation object (donation notifications only)
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.notify = function ({users, type, fromUser, charity, target, donation}, callback) {
+
+		// Save reference to model
+		var Notification = this;
+
+		// Create a notification for each user
+		Async.each(users, function (user, callback) {
+			Async.waterfall([
+
+				// Generate a unique GUID
+				function (callback) {
+					Notification.GUID(function (err, GUID) {
+						callback(err, GUID);
+					})
+				},
+
+				// Write new notification to the database
+				function (GUID, callback) {
+
+					// Setup query with GUID
+					var query = {
+						'guid': GUID
+					};
+
+					// Setup database update
+					var set = {
+						'guid': GUID,
+						'user': user,
+						'type': type,
+						'dateCreated': Dates.now(),
+					};
+					if (fromUser) set.fromUser = fromUser;
+					if (charity) set.charity = charity;
+					if (target) {
+						set.target = target.guid;
+						set.targetType = target.objectType;
+					}
+					if (donation) {
+						set.amount = donation.amount;
+						set.currency = donation.currency;
+					}
+
+					// Make database update
+					Database.update({
+						'model': Notification,
+						'query': query,
+						'update': {
+							'$set': set
+						},
+					}, function (err) {
+						callback(err);
+					});
+				},
+
+			], function (err) {
+				callback(err);
+			});
+		}, function (err) {
+			callback(err);
+		});
+	};
+
+	/**
+	 * Notifies the users who follow a charity
+	 * @memberof model/Notification
+	 * @param {Object} params
+	 * @param {String} params.charity GUID of charity
+	 * @param {String} params.type Notification type (see Types.notificationTypes)
+	 * @param {Object} params.target Object the notification links to
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.notifyCharityFollowers = function ({charity, type, target}, callback) {
+
+		// Save reference to model
+		var Notification = this;
+
+		// Find followers
+		Database.find({
+			'model': User,
+			'query': {
+				'followingCharities': charity,
+				'erased': {
+					'$ne': true,
+				},
+			},
+		}, function (err, followers) {
+			if (err || !followers.length) return callback(err);
+			Notification.notify({
+				'users': followers.map(function (follower) {
+					return follower.guid;
+				}),
+				'type': type,
+				'charity': charity,
+				'target': target,
+			}, function (err) {
+				callback(err);
+			});
+		});
+	};
+
+	/**
+	 * Counts a user's unread notifications
+	 * @memberof model/Notification
+	 * @param {Object} params
+	 * @param {String} params.user GUID of user
+	 * @param {function(err, count)} callback Callback function
+	 */
+	schema.statics.countUnread = function ({user}, callback) {
+		Database.find({
+			'model': this,
+			'query': {
+				'user': user,
+				'read': false,
+				'erased': {
+					'$ne': true,
+				},
+			},
+		}, function (err, notifications) {
+			callback(err, notifications ? notifications.length : 0);
+		});
+	};
+
+	/**
+	 * Marks all of a user's notifications as read
+	 * @memberof model/Notification
+	 * @param {Object} params
+	 * @param {String} params.user GUID of user
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.markAllRead = function ({user}, callback) {
+		Database.updateAll({
+			'model': this,
+			'query': {
+				'user': user,
+				'read': false,
+			},
+			'update': {
+				'$set': {
+					'read': true,
+					'lastModified': Dates.now(),
+				},
+			},
+		}, function (err) {
+			callback(err);
+		});
+	};
+};
+
+// Notification Instance Methods: attaches functionality related to existing instances of the object
+function NotificationInstanceMethods (schema) {
+
+	/**
+	 * Formats a notification object to be returned to the client
+	 * @memberof model/Notification#
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {function(err, formattedObject)} callback Callback function
+	 */
+	schema.methods.format = function ({req, res}, callback) {
+
+		// Initialize formatted object
+		var thisObject = this.toObject();
+
+		Async.waterfall([
+
+			// Attach user metadata (respecting donor's privacy settings)
+			function (callback) {
+				if (!thisObject.fromUser) return callback();
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': thisObject.fromUser,
+					}
+				}, function (err, user) {
+					if (!user || user.erased) {
+						thisObject.fromUserName = Messages.deletedUser;
+					} else if (user.anonymousDonations && thisObject.type == Types.notificationTypes.donation) {
+						thisObject.fromUser = null;
+						thisObject.fromUserName = Messages.anonymousDonor;
+					} else {
+						thisObject.fromUserName = user.name;
+						thisObject.fromUserPicture = user.picture;
+					}
+					callback();
+				});
+			},
+
+			// Attach charity metadata
+			function (callback) {
+				if (!thisObject.charity) return callback();
+				Database.findOne({
+					'model': Charity,
+					'query': {
+						'guid': thisObject.charity,
+					}
+				}, function (err, charity) {
+					if (charity) {
+						thisObject.charityName = charity.name;
+						thisObject.charityLogo = charity.logo;
+					}
+					callback();
+				});
+			},
+
+		], function (err) {
+			callback(err, thisObject);
+		})
+	};
+
+	/**
+	 * Marks a notification as read (only the notified user can mark it)
+	 * @memberof model/Notification#
+	 * @param {Object} params
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {function(err, notification)} callback Callback function
+	 */
+	schema.methods.markRead = function ({token}, callback) {
+
+		// Authenticate user
+		if (token.user != this.user)
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Save reference to model
+		var Notification = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'read': true,
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': Notification.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, notification) {
+			if (!err && !notification) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+			else callback(err, notification);
+		});
+	};
+
+};
+
+// Export notification model object
+module.exports = function () {
+
+	// Make schema for new notification object...
+	var notificationSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(notificationSchema);
+
+	// Add notification properties and methods to schema
+	NotificationProperties(notificationSchema);
+	NotificationStaticMethods(notificationSchema);
+	NotificationInstanceMethods(notificationSchema);
+
+	// Create new model object with schema
+	var notification = Mongoose.model('Notification', notificationSchema);
+
+	// Return new model object
+	return notification;
+}();
\ No newline at end of file
@@ -0,0 +1,180 @@
+/** @namespace model/PasswordResetToken */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Tokens = require('jsonwebtoken');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+
+// Initialize config
+const config = require('./../../config');
+
+// Password Reset Token Properties: configures properties for database object
+function PasswordResetTokenProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "passwordResetToken"
+		},
+
+		// Token: token used for validation
+		'token': {
+			'type': String,
+			'unique': true,
+			'index': true,
+			'required': true,
+		},
+
+		// User: GUID of user whose password can be reset with token
+		'user': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Expiration: date when token expires
+		'expiration': {
+			'type': Number,
+			'required': true,
+		},
+
+		// Used: date when token was used
+		'used': {
+			'type': Number,
+			'default': null,
+		},
+
+    });
+};
+
+// Password Reset Token Static Methods: attaches functionality used by the schema in general
+function PasswordResetTokenStaticMethods (schema) {
+
+	/**
+	 * Creates a new password reset token in the database
+	 * @memberof model/PasswordResetToken
+	 * @param {Object} params
+	 * @param {Object} params.user User object to attach to password reset token
+	 * @param {function(err, passwordResetToken)} callback Callback function
+	 */
+	schema.statics.create = function ({user}, callback) {
+
+		// Save reference to model
+		var PasswordResetToken = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Generate a unique GUID
+			function (callback) {
+				PasswordResetToken.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Generate a token based on user
+			function (GUID, callback) {
+				Tokens.sign({
+					'guid': GUID,
+					'user': user.guid,
+				}, config.secret, {}, function (err, token) {
+					callback(err, GUID, token);
+				});
+			},
+
+			// Write new passwordResetToken to the database
+			function (GUID, token, callback) {
+
+				// Setup query with GUID
+				var query = {
+					'guid': GUID
+				};
+
+				// Setup database update
+				var update = {
+					'$set': {
+						'guid': GUID,
+						'user': user.guid,
+						'token': token,
+						'expiration': Dates.fromNow(1, 'days'),
+						'dateCreated': Dates.now(),
+					}
+				};
+
+				// Make database update
+				Database.update({
+					'model': PasswordResetToken,
+					'query': query,
+					'update': update,
+				}, function (err, passwordResetToken) {
+					callback(err, passwordResetToken);
+				});
+			},
+
+		], function (err, passwordResetToken) {
+			callback(err, passwordResetToken);
+		});
+	};
+};
+
+// Password Reset Token Instance Methods: attaches functionality related to existing instances of the object
+function PasswordResetTokenInstanceMethods (schema) {
+
+	/**
+	 * Marks a password reset token as used (only if it hasn't been used already)
+	 * @memberof model/PasswordResetToken#
+	 * @param {function(err, passwordResetToken)} callback Callback function (passwordResetToken is null if already used)
+	 */
+	schema.methods.markUsed = function (callback) {
+
+		// Save reference to model
+		var PasswordResetToken = this;
+
+		// Setup query with GUID and unused token
+		var query = {
+			'guid': this.guid,
+			'used': null,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'used': Dates.now(),
+			}
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': PasswordResetToken.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, passwordResetToken) {
+			callback(err, passwordResetToken);
+		});
+	};
+
+};
+
+// Export passwordResetToken model object
+module.exports = function () {
+
+	// Make schema for new passwordResetToken object...
+	var passwordResetTokenSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(passwordResetTokenSchema);
+
+	// Add passwordResetToken properties and methods to schema
+	PasswordResetTokenProperties(passwordResetTokenSchema);
+	PasswordResetTokenStaticMethods(passwordResetTokenSchema);
+	PasswordResetTokenInstanceMethods(passwordResetTokenSchema);
+
+	// Create new model object with schema
+	var passwordResetToken = Mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+	// Return new model object
+	return passwordResetToken;
+}();
\ No newline at end of file
@@ -0,0 +1,335 @@
+/** @namespace model/PaymentIntent */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+const Payments = require('./../tools/Payments');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
+const Currency = require('./../tools/Currency');
+
+// Payment Intent Properties: configures properties for database object
+function PaymentIntentProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "paymentIntent"
+		},
+
+		// User: GUID of user adding funds
+		'user': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Amount: number of cents to add to user's balance
+		'amount': {
+			'type': Number,
+			'required': true,
+		},
+
+		// Currency: currency code of amount (the user's balance currency when payment started)
+		'currency': {
+			'type': String,
+			'default': Currency.defaultCurrency,
+		},
+
+		// Status: progress of payment (from Types.paymentIntentStatuses)
+		'status': {
+			'type': String,
+			'required': true,
+		},
+
+		// Provider: name of payment provider taking payment
+		'provider': {
+			'type': String,
+			'required': true,
+		},
+
+		// Provider ID: payment provider's ID for payment
+		'providerId': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Client Secret: used by the client to pay with the payment provider
+		'clientSecret': {
+			'type': String,
+			'default': null,
+		},
+
+		// Date Completed: date when payment succeeded or failed
+		'dateCompleted': {
+			'type': Number,
+			'default': null,
+		},
+
+    });
+};
+
+// Payment Intent Static Methods: attaches functionality used by the schema in general
+function PaymentIntentStaticMethods (schema) {
+
+	/**
+	 * Starts a payment with the payment provider and creates a pending payment intent in the database
+	 * @memberof model/PaymentIntent
+	 * @param {Object} params
+	 * @param {Object} params.user User adding funds
+	 * @param {Number} params.amount Number of cents to add to user's balance (in the user's balance currency)
+	 * @param {function(err, paymentIntent)} callback Callback function
+	 */
+	schema.statics.create = function ({user, amount}, callback) {
+
+		// Save reference to model
+		var PaymentIntent = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Generate a unique GUID
+			function (callback) {
+				PaymentIntent.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Start payment with provider
+			function (GUID, callback) {
+				Payments.createPayment({
+					'guid': GUID,
+					'amount': amount,
+					'currency': user.currency,
+				}, function (err, payment) {
+					callback(err, GUID, payment);
+				});
+			},
+
+			// Write new payment intent to the database
+			function (GUID, payment, callback) {
+
+				// Setup query with GUID
+				var query = {
+					'guid': GUID
+				};
+
+				// Setup database update
+				var update = {
+					'$set': {
+						'guid': GUID,
+						'user': user.guid,
+						'amount': amount,
+						'currency': user.currency,
+						'status': Types.paymentIntentStatuses.pending,
+						'provider': Payments.provider,
+						'providerId': payment.id,
+						'clientSecret': payment.clientSecret,
+						'dateCreated': Dates.now(),
+					}
+				};
+
+				// Make database update
+				Database.update({
+					'model': PaymentIntent,
+					'query': query,
+					'update': update,
+				}, function (err, paymentIntent) {
+					callback(err, paymentIntent);
+				});
+			},
+
+		], function (err, paymentIntent) {
+			callback(err, paymentIntent);
+		});
+	};
+
+	/**
+	 * Handles a webhook event from the payment provider (events for unknown payments are ignored)
+	 * @memberof model/PaymentIntent
+	 * @param {Object} params
+	 * @param {String} params.type Event type (from Payments.events)
+	 * @param {String} params.payment Provider ID of payment
+	 * @param {function(err, paymentIntent)} callback Callback function
+	 */
+	schema.statics.handleEvent = function ({type, payment}, callback) {
+
+		// Save reference to model
+		var PaymentIntent = this;
+
+		// Find payment intent for payment
+		Database.findOne({
+			'model': PaymentIntent,
+			'query': {
+				'provider': Payments.provider,
+				'providerId': payment,
+			},
+		}, function (err, paymentIntent) {
+			if (err || !paymentIntent) return callback(err, null);
+
+			// Complete payment intent
+			if (type == Payments.events.succeeded) paymentIntent.succeed(callback);
+			else if (type == Payments.events.failed) paymentIntent.fail(callback);
+			else callback(null, paymentIntent);
+		});
+	};
+};
+
+// Payment Intent Instance Methods: attaches functionality related to existing instances of the object
+function PaymentIntentInstanceMethods (schema) {
+
+	/**
+	 * Formats a payment intent object to be returned to the client
+	 * @memberof model/PaymentIntent#
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {function(err, formattedObject)} callback Callback function
+	 */
+	schema.methods.format = function ({req, res}, callback) {
+		var formattedObject = this.toObject();
+		callback(null, formattedObject);
+	};
+
+	/**
+	 * Marks a pending payment intent as succeeded and adds its amount to the user's balance (only once, even if the webhook is repeated)
+	 * @memberof model/PaymentIntent#
+	 * @param {function(err, paymentIntent)} callback Callback function
+	 */
+	schema.methods.succeed = function (callback) {
+
+		// Save reference to model
+		var PaymentIntent = this;
+
+		// Initialize user model (required here to avoid a circular dependency)
+		const User = require('./User.js');
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Claim pending payment intent
+			function (callback) {
+				Database.updateExisting({
+					'model': PaymentIntent.constructor,
+					'query': {
+						'guid': PaymentIntent.guid,
+						'status': Types.paymentIntentStatuses.pending,
+					},
+					'update': {
+						'$set': {
+							'status': Types.paymentIntentStatuses.succeeded,
+							'dateCompleted': Dates.now(),
+							'lastModified': Dates.now(),
+						},
+					},
+				}, function (err, paymentIntent) {
+					if (!err && !paymentIntent) callback(Secretary.conflictError(Messages.conflictErrors.paymentIntentCompleted));
+					else callback(err, paymentIntent);
+				});
+			},
+
+			// Find user
+			function (paymentIntent, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': PaymentIntent.user,
+					},
+				}, function (err, user) {
+					if (!err && !user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound), paymentIntent);
+					else callback(err, paymentIntent, user);
+				});
+			},
+
+			// Add funds to user's balance
+			function (paymentIntent, user, callback) {
+				user.updateBalance({
+					'change': PaymentIntent.amount,
+					'currency': PaymentIntent.currency,
+				}, function (err) {
+					callback(err, paymentIntent);
+				});
+			},
+
+		], function (err, paymentIntent) {
+
+			// Ignore repeated webhooks
+			if (err && err.message == Messages.conflictErrors.paymentIntentCompleted) return callback(null, PaymentIntent);
+
+			// Release claim if funds couldn't be added (so the webhook can be retried)
+			if (err && paymentIntent) return Database.updateExisting({
+				'model': PaymentIntent.constructor,
+				'query': {
+					'guid': PaymentIntent.guid,
+					'status': Types.paymentIntentStatuses.succeeded,
+				},
+				'update': {
+					'$set': {
+						'status': Types.paymentIntentStatuses.pending,
+						'dateCompleted': null,
+					},
+				},
+			}, function () {
+				callback(err);
+			});
+
+			callback(err, paymentIntent);
+		});
+	};
+
+	/**
+	 * Marks a pending payment intent as failed
+	 * @memberof model/PaymentIntent#
+	 * @param {function(err, paymentIntent)} callback Callback function
+	 */
+	schema.methods.fail = function (callback) {
+
+		// Save reference to model
+		var PaymentIntent = this;
+
+		// Make database update
+		Database.updateExisting({
+			'model': PaymentIntent.constructor,
+			'query': {
+				'guid': PaymentIntent.guid,
+				'status': Types.paymentIntentStatuses.pending,
+			},
+			'update': {
+				'$set': {
+					'status': Types.paymentIntentStatuses.failed,
+					'dateCompleted': Dates.now(),
+					'lastModified': Dates.now(),
+				},
+			},
+		}, function (err, paymentIntent) {
+			callback(err, paymentIntent || PaymentIntent);
+		});
+	};
+
+};
+
+// Export payment intent model object
+module.exports = function () {
+
+	// Make schema for new payment intent object...
+	var paymentIntentSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(paymentIntentSchema);
+
+	// Add payment intent properties and methods to schema
+	PaymentIntentProperties(paymentIntentSchema);
+	PaymentIntentStaticMethods(paymentIntentSchema);
+	PaymentIntentInstanceMethods(paymentIntentSchema);
+
+	// Create new model object with schema
+	var paymentIntent = Mongoose.model('PaymentIntent', paymentIntentSchema);
+
+	// Return new model object
+	return paymentIntent;
+}();
\ No newline at end of file
@@ -6,11 +6,15 @@ const Async = require('async');
 const Tokens = require('jsonwebtoken');
 const Database = require('./../tools/Database');
 const Dates = require('./../tools/Dates');
+const Types = require('./../tools/Types');
+const Currency = require('./../tools/Currency');
 
 // Initialize external models
 const Charity = require('./Charity.js');
 const Campaign = require('./Campaign.js');
 const User = require('./User.js');
+const Reaction = require('./Reaction.js');
+const Notification = require('./Notification.js');
 
 /**
  * Checks if authenticated user can edit post
@@ -155,6 +159,48 @@ function PostStaticMethods (schema) {
 			callback(err, post);
 		});
 	};
+
+	/**
+	 * Loads what's needed to format a page of posts at once (called by Secretary before formatting them)
+	 * @memberof model/Post
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {Array} params.objects Array of post objects being formatted
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.prepareFormat = function ({req, res, objects}, callback) {
+
+		// Save GUIDs of objects
+		var targets = objects.map(function (object) {
+			return object.guid;
+		});
+
+		// Load reaction summaries and comment counts (formatting falls back to loading each object's)
+		Async.parallel([
+			function (callback) {
+				Reaction.loadSummaries({
+					'req': req,
+					'res': res,
+					'targets': targets,
+				}, function (err) {
+					callback();
+				});
+			},
+			function (callback) {
+				const Comment = require('./Comment.js');
+				Comment.loadCounts({
+					'res': res,
+					'key': "post",
+					'targets': targets,
+				}, function (err) {
+					callback();
+				});
+			},
+		], function (err) {
+			callback();
+		});
+	};
 };
 
 // Post Instance Methods: attaches functionality related to existing instances of the object
@@ -223,6 +269,47 @@ function PostInstanceMethods (schema) {
 				});
 			},
 
+			// Attach total donation amount in default currency (excluding refunds)
+			function (callback) {
+				const Donation = require('./Donation.js');
+				Donation.totalAmount({
+					'query': {
+						'post': thisObject.guid,
+					},
+					'currency': Currency.defaultCurrency,
+				}, function (err, total) {
+					if (!err) {
+						thisObject.totalDonationAmount = total;
+						thisObject.totalDonationCurrency = Currency.defaultCurrency;
+					}
+					callback();
+				});
+			},
+
+			// Attach comment count (including replies)
+			function (callback) {
+				const Comment = require('./Comment.js');
+				Comment.countForResponse({
+					'res': res,
+					'key': "post",
+					'target': thisObject.guid,
+				}, function (err, count) {
+					if (!err) thisObject.commentCount = count;
+					callback();
+				});
+			},
+
+			// Attach reaction counts and currentUserReaction
+			function (callback) {
+				Reaction.attachSummary({
+					'req': req,
+					'res': res,
+					'object': thisObject,
+				}, function (err) {
+					callback();
+				});
+			},
+
 		], function (err) {
 			callback(err, thisObject);
 		})
@@ -240,6 +327,9 @@ function PostInstanceMethods (schema) {
 		// Save reference to model
 		var Post = this;
 
+		// Check if post's creator should be notified (new donations by other users and sponsors)
+		var notify = this.donations.indexOf(donation.guid) == -1 && donation.user != this.user;
+
 		// Setup query with GUID
 		var query = {
 			'guid': this.guid,
@@ -247,7 +337,7 @@ function PostInstanceMethods (schema) {
 
 		// Setup database update
 		var update = {
-			'$push': {
+			'$addToSet': {
 				'donations': donation.guid,
 			}
 		};
@@ -257,8 +347,20 @@ function PostInstanceMethods (schema) {
 			'model': Post.constructor,
 			'query': query,
 			'update': update,
-		}, function (err, campaign) {
-			callback(err, campaign);
+		}, function (err, post) {
+			if (err || !notify) return callback(err, post);
+
+			// Notify post's creator (notifications are best-effort, errors don't fail the donation)
+			Notification.notify({
+				'users': [post.user],
+				'type': Types.notificationTypes.donation,
+				'fromUser': donation.user,
+				'charity': post.charity,
+				'target': post,
+				'donation': donation,
+			}, function () {
+				callback(null, post);
+			});
 		});
 	};
 
@@ -0,0 +1,319 @@
+/** @namespace model/Reaction */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+const Authentication = require('./../tools/Authentication');
+const Types = require('./../tools/Types');
+
+// Reaction Properties: configures properties for database object
+function ReactionProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "reaction"
+		},
+
+		// User: GUID of the user who reacted
+		'user': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Target: GUID of the post, campaign or update reacted to
+		'target': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Target Type: object type of the target (post, campaign or update)
+		'targetType': {
+			'type': String,
+			'required': true,
+		},
+
+		// Type: reaction type (see Types.reactionTypes)
+		'type': {
+			'type': String,
+			'required': true,
+		},
+
+    });
+
+	schema.index({'user': 1, 'target': 1}, {'unique': true});
+};
+
+// Reaction Static Methods: attaches functionality used by the schema in general
+function ReactionStaticMethods (schema) {
+
+	/**
+	 * Reacts to a post, campaign or update, replacing the user's previous reaction to it
+	 * @memberof model/Reaction
+	 * @param {Object} params
+	 * @param {Object} params.user User object of user reacting
+	 * @param {Object} params.target Post, campaign or update object being reacted to
+	 * @param {String} params.type Reaction type (see Types.reactionTypes)
+	 * @param {function(err, reaction)} callback Callback function
+	 */
+	schema.statics.react = function ({user, target, type}, callback) {
+
+		// Save reference to model
+		var Reaction = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Generate a unique GUID (only used if user hasn't reacted yet)
+			function (callback) {
+				Reaction.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Write reaction to the database
+			function (GUID, callback) {
+
+				// Setup query with user and target (users have one reaction per object)
+				var query = {
+					'user': user.guid,
+					'target': target.guid,
+				};
+
+				// Setup database update
+				var update = {
+					'$set': {
+						'targetType': target.objectType,
+						'type': type,
+						'lastModified': Dates.now(),
+					},
+					'$setOnInsert': {
+						'guid': GUID,
+						'dateCreated': Dates.now(),
+					},
+				};
+
+				// Make database update
+				Database.update({
+					'model': Reaction,
+					'query': query,
+					'update': update,
+				}, function (err, reaction) {
+					callback(err, reaction);
+				});
+			},
+
+		], function (err, reaction) {
+			callback(err, reaction);
+		});
+	};
+
+	/**
+	 * Removes a user's reaction to a post, campaign or update
+	 * @memberof model/Reaction
+	 * @param {Object} params
+	 * @param {String} params.user GUID of user
+	 * @param {String} params.target GUID of post, campaign or update
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.unreact = function ({user, target}, callback) {
+		Database.remove({
+			'model': this,
+			'query': {
+				'user': user,
+				'target': target,
+			},
+		}, function (err) {
+			callback(err);
+		});
+	};
+
+	/**
+	 * Counts the reactions to posts, campaigns or updates by type, and finds a user's reactions to them (with one query)
+	 * @memberof model/Reaction
+	 * @param {Object} params
+	 * @param {Array} params.targets Array of GUIDs of posts, campaigns or updates
+	 * @param {String} [params.user] GUID of user whose reactions are returned
+	 * @param {function(err, summaries)} callback Callback function (summaries maps each target's GUID to {counts,
+	 * userReaction}, counts maps each reaction type to a count, userReaction is the user's reaction type or null)
+	 */
+	schema.statics.summarize = function ({targets, user}, callback) {
+
+		// Save reference to model
+		var Reaction = this;
+
+		// Count reactions to targets by type, flag types user reacted with
+		Database.aggregate({
+			'model': Reaction,
+			'pipeline': [
+				{
+					'$match': {
+						'target': {
+							'$in': targets,
+						},
+					},
+				},
+				{
+					'$group': {
+						'_id': {
+							'target': "$target",
+							'type': "$type",
+						},
+						'count': {
+							'$sum': 1,
+						},
+						'userReacted': {
+							'$max': {
+								'$cond': [{'$eq': ["$user", user || null]}, 1, 0],
+							},
+						},
+					},
+				},
+			],
+		}, function (err, results) {
+			if (err) return callback(err);
+
+			// Start each target with zero reactions of each type
+			var summaries = {};
+			for (var i in targets) {
+				var counts = {};
+				for (var key in Types.reactionTypes) {
+					counts[Types.reactionTypes[key]] = 0;
+				}
+				summaries[targets[i]] = {
+					'counts': counts,
+					'userReaction': null,
+				};
+			}
+
+			// Add counts, find user's reactions
+			for (var i in results) {
+				var summary = summaries[results[i]._id.target];
+				if (summary.counts.hasOwnProperty(results[i]._id.type)) summary.counts[results[i]._id.type] = results[i].count;
+				if (results[i].userReacted) summary.userReaction = results[i]._id.type;
+			}
+			callback(null, summaries);
+		});
+	};
+
+	/**
+	 * Loads reaction summaries for a page of posts, campaigns or updates being formatted for a response
+	 * @memberof model/Reaction
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object (summaries are saved to res.reactionSummaries)
+	 * @param {Array} params.targets Array of GUIDs of posts, campaigns or updates
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.loadSummaries = function ({req, res, targets}, callback) {
+
+		// Save reference to model
+		var Reaction = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Find viewing user
+			function (callback) {
+				Authentication.authenticateViewer(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Summarize reactions, save to response
+			function (token, callback) {
+				Reaction.summarize({
+					'targets': targets,
+					'user': token ? token.user : null,
+				}, function (err, summaries) {
+					if (summaries) res.reactionSummaries = Object.assign(res.reactionSummaries || {}, summaries);
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			callback(err);
+		});
+	};
+
+	/**
+	 * Attaches reaction counts and the viewing user's reaction (currentUserReaction) to a formatted post, campaign or
+	 * update, using the summaries loaded for its page if available
+	 * @memberof model/Reaction
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {Object} params.object Formatted post, campaign or update object
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.attachSummary = function ({req, res, object}, callback) {
+
+		// Save reference to model
+		var Reaction = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Load summary unless it was loaded with object's page
+			function (callback) {
+				if (res.reactionSummaries && res.reactionSummaries[object.guid]) return callback();
+				Reaction.loadSummaries({
+					'req': req,
+					'res': res,
+					'targets': [object.guid],
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+			// Find viewing user
+			function (callback) {
+				Authentication.authenticateViewer(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Attach summary
+			function (token, callback) {
+				var summary = res.reactionSummaries[object.guid];
+				object.reactionCounts = summary.counts;
+				if (token) object.currentUserReaction = summary.userReaction;
+				callback();
+			},
+
+		], function (err) {
+			callback(err);
+		});
+	};
+};
+
+// Reaction Instance Methods: attaches functionality related to existing instances of the object
+function ReactionInstanceMethods (schema) {
+
+};
+
+// Export reaction model object
+module.exports = function () {
+
+	// Make schema for new reaction object...
+	var reactionSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(reactionSchema);
+
+	// Add reaction properties and methods to schema
+	ReactionProperties(reactionSchema);
+	ReactionStaticMethods(reactionSchema);
+	ReactionInstanceMethods(reactionSchema);
+
+	// Create new model object with schema
+	var reaction = Mongoose.model('Reaction', reactionSchema);
+
+	// Return new model object
+	return reaction;
+}();
\ No newline at end of file
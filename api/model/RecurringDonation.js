@@ -0,0 +1,415 @@
+/** @namespace model/RecurringDonation */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
+const Currency = require('./../tools/Currency');
+
+// Initialize external models
+const Charity = require('./Charity.js');
+const Campaign = require('./Campaign.js');
+
+/**
+ * Checks if authenticated user owns recurring donation
+ * @memberof model/RecurringDonation
+ * @param {Object} recurringDonation Recurring donation object
+ * @param {Object} token Decoded token object
+ * @return {Boolean} True if user can edit recurring donation
+ */
+function authenticatedToken (recurringDonation, token) {
+	if (token.user == recurringDonation.user) return true;
+	return false;
+};
+
+// Recurring Donation Properties: configures properties for database object
+function RecurringDonationProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "recurringDonation"
+		},
+
+		// User: GUID of the user making donations
+		'user': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Charity: GUID of the charity donations are made to
+		'charity': {
+			'type': String,
+			'required': true,
+		},
+
+		// Campaign: GUID of the campaign donations are made to
+		'campaign': {
+			'type': String,
+			'default': null,
+		},
+
+		// Amount: number of cents of each donation
+		'amount': {
+			'type': Number,
+			'required': true,
+		},
+
+		// Currency: currency code of amount (converted if the user's balance currency changes)
+		'currency': {
+			'type': String,
+			'default': Currency.defaultCurrency,
+		},
+
+		// Status: whether donations are being made (from Types.recurringDonationStatuses)
+		'status': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Next Date: date when the next donation is due
+		'nextDate': {
+			'type': Number,
+			'index': true,
+			'required': true,
+		},
+
+		// Donations: GUIDs of donations made
+		'donations': {
+			'type': Array,
+			'default': [],
+		},
+
+		// Last Skipped: date when a donation was last skipped for insufficient funds
+		'lastSkipped': {
+			'type': Number,
+			'default': null,
+		},
+
+    });
+};
+
+// Recurring Donation Static Methods: attaches functionality used by the schema in general
+function RecurringDonationStaticMethods (schema) {
+
+	/**
+	 * Creates a new recurring donation in the database (the first donation is due immediately)
+	 * @memberof model/RecurringDonation
+	 * @param {Object} params
+	 * @param {Object} params.user User making donations
+	 * @param {Object} params.charity Charity for donations
+	 * @param {Object} [params.campaign] Campaign for donations
+	 * @param {Number} params.amount Number of cents of each donation (in the user's balance currency)
+	 * @param {function(err, recurringDonation)} callback Callback function
+	 */
+	schema.statics.create = function ({user, charity, campaign, amount}, callback) {
+
+		// Save reference to model
+		var RecurringDonation = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Generate a unique GUID
+			function (callback) {
+				RecurringDonation.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Write new recurring donation to the database
+			function (GUID, callback) {
+
+				// Setup query with GUID
+				var query = {
+					'guid': GUID
+				};
+
+				// Setup database update
+				var set = {
+					'guid': GUID,
+					'user': user.guid,
+					'charity': charity.guid,
+					'amount': amount,
+					'currency': user.currency,
+					'status': Types.recurringDonationStatuses.active,
+					'nextDate': Dates.now(),
+					'dateCreated': Dates.now(),
+				};
+				if (campaign) set.campaign = campaign.guid;
+				var update = {
+					'$set': set
+				};
+
+				// Make database update
+				Database.update({
+					'model': RecurringDonation,
+					'query': query,
+					'update': update,
+				}, function (err, recurringDonation) {
+					callback(err, recurringDonation);
+				});
+			},
+
+		], function (err, recurringDonation) {
+			callback(err, recurringDonation);
+		});
+	};
+
+	/**
+	 * Finds active recurring donations which are due
+	 * @memberof model/RecurringDonation
+	 * @param {function(err, recurringDonations)} callback Callback function
+	 */
+	schema.statics.findDue = function (callback) {
+
+		// Save reference to model
+		var RecurringDonation = this;
+
+		// Find due recurring donations
+		Database.find({
+			'model': RecurringDonation,
+			'query': {
+				'status': Types.recurringDonationStatuses.active,
+				'nextDate': {
+					'$lte': Dates.now(),
+				},
+			},
+		}, function (err, recurringDonations) {
+			callback(err, recurringDonations);
+		});
+	};
+};
+
+// Recurring Donation Instance Methods: attaches functionality related to existing instances of the object
+function RecurringDonationInstanceMethods (schema) {
+
+	/**
+	 * Formats a recurring donation object to be returned to the client
+	 * @memberof model/RecurringDonation#
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {function(err, formattedObject)} callback Callback function
+	 */
+	schema.methods.format = function ({req, res}, callback) {
+
+		// Initialize formatted object
+		var thisObject = this.toObject();
+
+		Async.waterfall([
+
+			// Attach charity metadata
+			function (callback) {
+				Database.findOne({
+					'model': Charity,
+					'query': {
+						'guid': thisObject.charity,
+					}
+				}, function (err, charity) {
+					if (charity) {
+						thisObject.charityName = charity.name;
+						thisObject.charityLogo = charity.logo;
+					}
+					callback();
+				});
+			},
+
+			// Attach campaign metadata
+			function (callback) {
+				if (!thisObject.campaign) return callback();
+				Database.findOne({
+					'model': Campaign,
+					'query': {
+						'guid': thisObject.campaign,
+					}
+				}, function (err, campaign) {
+					if (campaign) thisObject.campaignName = campaign.name;
+					callback();
+				});
+			},
+
+		], function (err) {
+			callback(err, thisObject);
+		})
+	};
+
+	/**
+	 * Pauses, resumes or cancels a recurring donation
+	 * @memberof model/RecurringDonation#
+	 * @param {Object} params
+	 * @param {Object} params.token Decoded authentication token object
+	 * @param {String} params.status New status (from Types.recurringDonationStatuses)
+	 * @param {function(err, recurringDonation)} callback Callback function
+	 */
+	schema.methods.setStatus = function ({token, status}, callback) {
+
+		// Authenticate user
+		if (!authenticatedToken(this, token))
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+
+		// Error: Cancelled recurring donations can't be changed
+		if (this.status == Types.recurringDonationStatuses.cancelled)
+			return callback(Secretary.conflictError(Messages.conflictErrors.recurringDonationCancelled));
+
+		// Save reference to model
+		var RecurringDonation = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update (resumed donations that are past due wait until now)
+		var set = {
+			'status': status,
+			'lastModified': Dates.now(),
+		};
+		if (status == Types.recurringDonationStatuses.active && this.nextDate < Dates.now()) set.nextDate = Dates.now();
+		var update = {
+			'$set': set
+		};
+
+		// Make database update
+		Database.update({
+			'model': RecurringDonation.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, recurringDonation) {
+			callback(err, recurringDonation);
+		});
+	};
+
+	/**
+	 * Cancels a recurring donation (when its campaign has ended or its donor was deleted)
+	 * @memberof model/RecurringDonation#
+	 * @param {function(err, recurringDonation)} callback Callback function
+	 */
+	schema.methods.end = function (callback) {
+
+		// Save reference to model
+		var RecurringDonation = this;
+
+		// Make database update
+		Database.update({
+			'model': RecurringDonation.constructor,
+			'query': {
+				'guid': this.guid,
+			},
+			'update': {
+				'$set': {
+					'status': Types.recurringDonationStatuses.cancelled,
+					'lastModified': Dates.now(),
+				},
+			},
+		}, function (err, recurringDonation) {
+			callback(err, recurringDonation);
+		});
+	};
+
+	/**
+	 * Claims a due donation by moving the next date forward to the next monthly occurrence after now (counted from the
+	 * date it was due, so the schedule doesn't drift when donations are processed late, and months missed while the
+	 * server was down are skipped instead of being charged back to back)
+	 * @memberof model/RecurringDonation#
+	 * @param {function(err, recurringDonation)} callback Callback function (recurringDonation is null if the donation was already claimed, paused or cancelled)
+	 */
+	schema.methods.claim = function (callback) {
+
+		// Save reference to model
+		var RecurringDonation = this;
+
+		// Setup query with GUID and current next date
+		var query = {
+			'guid': this.guid,
+			'status': Types.recurringDonationStatuses.active,
+			'nextDate': this.nextDate,
+		};
+
+		// Find next occurrence after now
+		var months = 1;
+		while (Number(Dates.add(this.nextDate, months, 'months')) <= Number(Dates.now())) months++;
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'nextDate': Dates.add(this.nextDate, months, 'months'),
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': RecurringDonation.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, recurringDonation) {
+			callback(err, recurringDonation);
+		});
+	};
+
+	/**
+	 * Records the result of a claimed donation
+	 * @memberof model/RecurringDonation#
+	 * @param {Object} params
+	 * @param {Object} [params.donation] Donation object made (or null if donation was skipped)
+	 * @param {function(err, recurringDonation)} callback Callback function
+	 */
+	schema.methods.recordResult = function ({donation}, callback) {
+
+		// Save reference to model
+		var RecurringDonation = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'lastModified': Dates.now(),
+			},
+		};
+		if (donation) update.$addToSet = {'donations': donation.guid};
+		else update.$set.lastSkipped = Dates.now();
+
+		// Make database update
+		Database.update({
+			'model': RecurringDonation.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, recurringDonation) {
+			callback(err, recurringDonation);
+		});
+	};
+
+};
+
+// Export recurring donation model object
+module.exports = function () {
+
+	// Make schema for new recurring donation object...
+	var recurringDonationSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(recurringDonationSchema);
+
+	// Add recurring donation properties and methods to schema
+	RecurringDonationProperties(recurringDonationSchema);
+	RecurringDonationStaticMethods(recurringDonationSchema);
+	RecurringDonationInstanceMethods(recurringDonationSchema);
+
+	// Create new model object with schema
+	var recurringDonation = Mongoose.model('RecurringDonation', recurringDonationSchema);
+
+	// Return new model object
+	return recurringDonation;
+}();
\ No newline at end of file
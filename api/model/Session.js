@@ -0,0 +1,304 @@
+/** @namespace model/Session */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Crypto = require('crypto');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+
+/**
+ * Generates a random refresh token string
+ * @memberof model/Session
+ * @return {String} Refresh token
+ */
+function makeRefreshToken () {
+	return Crypto.randomBytes(48).toString('hex');
+};
+
+// Session Properties: configures properties for database object
+function SessionProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "session"
+		},
+
+		// User: GUID of the user this session belongs to
+		'user': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Charity: GUID of the charity the user is acting for in this session
+		'charity': {
+			'type': String,
+			'default': null,
+		},
+
+		// Refresh Token: current token used to issue new access tokens
+		'refreshToken': {
+			'type': String,
+			'unique': true,
+			'index': true,
+			'required': true,
+		},
+
+		// Rotation: number of times the refresh token has been rotated (access tokens carry this)
+		'rotation': {
+			'type': Number,
+			'default': 0,
+		},
+
+		// Expiration: date when the refresh token expires
+		'expiration': {
+			'type': Number,
+			'required': true,
+		},
+
+		// Revoked: date when session was revoked
+		'revoked': {
+			'type': Number,
+			'default': null,
+		},
+
+    });
+};
+
+// Session Static Methods: attaches functionality used by the schema in general
+function SessionStaticMethods (schema) {
+
+	/**
+	 * Creates a new session in the database
+	 * @memberof model/Session
+	 * @param {Object} params
+	 * @param {Object} params.user User object session belongs to
+	 * @param {Object} [params.charity] Charity object user acts for in session
+	 * @param {function(err, session)} callback Callback function
+	 */
+	schema.statics.create = function ({user, charity}, callback) {
+
+		// Save reference to model
+		var Session = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Generate a unique GUID
+			function (callback) {
+				Session.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Write new session to the database
+			function (GUID, callback) {
+
+				// Setup query with GUID
+				var query = {
+					'guid': GUID
+				};
+
+				// Setup database update
+				var update = {
+					'$set': {
+						'guid': GUID,
+						'user': user.guid,
+						'charity': charity ? charity.guid : null,
+						'refreshToken': makeRefreshToken(),
+						'expiration': Dates.fromNow(60, 'days'),
+						'dateCreated': Dates.now(),
+					}
+				};
+
+				// Make database update
+				Database.update({
+					'model': Session,
+					'query': query,
+					'update': update,
+				}, function (err, session) {
+					callback(err, session);
+				});
+			},
+
+		], function (err, session) {
+			callback(err, session);
+		});
+	};
+
+	/**
+	 * Revokes all active sessions for a user
+	 * @memberof model/Session
+	 * @param {Object} params
+	 * @param {Object} params.user User object to revoke sessions for
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.revokeAll = function ({user}, callback) {
+
+		// Save reference to model
+		var Session = this;
+
+		// Setup query with user's active sessions
+		var query = {
+			'user': user.guid,
+			'revoked': null,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'revoked': Dates.now(),
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateAll({
+			'model': Session,
+			'query': query,
+			'update': update,
+		}, function (err) {
+			callback(err);
+		});
+	};
+};
+
+// Session Instance Methods: attaches functionality related to existing instances of the object
+function SessionInstanceMethods (schema) {
+
+	/**
+	 * Replaces a session's refresh token, invalidating access tokens issued before the rotation
+	 * @memberof model/Session#
+	 * @param {function(err, session)} callback Callback function (session is null if the refresh token was already rotated or revoked)
+	 */
+	schema.methods.rotate = function (callback) {
+
+		// Save reference to model
+		var Session = this;
+
+		// Setup query with GUID and current refresh token
+		var query = {
+			'guid': this.guid,
+			'refreshToken': this.refreshToken,
+			'revoked': null,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'refreshToken': makeRefreshToken(),
+				'lastModified': Dates.now(),
+			},
+			'$inc': {
+				'rotation': 1,
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': Session.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, session) {
+			callback(err, session);
+		});
+	};
+
+	/**
+	 * Switches the charity a user acts for in a session, rotating its refresh token
+	 * @memberof model/Session#
+	 * @param {Object} params
+	 * @param {Object} params.charity Charity object user acts for (or null for none)
+	 * @param {function(err, session)} callback Callback function (session is null if the session was revoked)
+	 */
+	schema.methods.switchCharity = function ({charity}, callback) {
+
+		// Save reference to model
+		var Session = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+			'revoked': null,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'charity': charity ? charity.guid : null,
+				'refreshToken': makeRefreshToken(),
+				'lastModified': Dates.now(),
+			},
+			'$inc': {
+				'rotation': 1,
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': Session.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, session) {
+			callback(err, session);
+		});
+	};
+
+	/**
+	 * Revokes a session
+	 * @memberof model/Session#
+	 * @param {function(err, session)} callback Callback function
+	 */
+	schema.methods.revoke = function (callback) {
+
+		// Save reference to model
+		var Session = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'revoked': Dates.now(),
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': Session.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, session) {
+			callback(err, session);
+		});
+	};
+
+};
+
+// Export session model object
+module.exports = function () {
+
+	// Make schema for new session object...
+	var sessionSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(sessionSchema);
+
+	// Add session properties and methods to schema
+	SessionProperties(sessionSchema);
+	SessionStaticMethods(sessionSchema);
+	SessionInstanceMethods(sessionSchema);
+
+	// Create new model object with schema
+	var session = Mongoose.model('Session', sessionSchema);
+
+	// Return new model object
+	return session;
+}();
\ No newline at end of file
@@ -0,0 +1,603 @@
+/** @namespace model/Transaction */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Crypto = require('crypto');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+const Types = require('./../tools/Types');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Currency = require('./../tools/Currency');
+
+// Ledger account for funds entering cChange from outside (e.g. card payments)
+const DepositsAccount = "deposits";
+
+// Pending transactions whose owner hasn't sent a heartbeat for this long are treated as interrupted and rolled back
+const StaleMinutes = 5;
+
+// How often a server sends heartbeats for the pending transactions it owns
+const HeartbeatSeconds = 60;
+
+// ID of this server process, recorded as the owner of the transactions it begins
+const InstanceID = Crypto.randomBytes(16).toString('hex');
+
+// GUIDs of pending transactions owned by this server process
+var ownedTransactions = [];
+var heartbeatTimer = null;
+
+/**
+ * Starts sending heartbeats for a pending transaction owned by this server process
+ * @memberof model/Transaction
+ * @param {Object} Transaction Transaction model object
+ * @param {String} transaction GUID of transaction
+ */
+function trackTransaction (Transaction, transaction) {
+	ownedTransactions.push(transaction);
+	if (heartbeatTimer) return;
+
+	// Refresh heartbeats of owned transactions (timer doesn't keep the process running)
+	heartbeatTimer = setInterval(function () {
+		if (!ownedTransactions.length) return;
+		Database.updateAll({
+			'model': Transaction,
+			'query': {
+				'guid': {
+					'$in': ownedTransactions,
+				},
+				'status': Types.transactionStatuses.pending,
+			},
+			'update': {
+				'$set': {
+					'heartbeat': Dates.now(),
+				},
+			},
+		}, function (err) {
+			if (err) console.log(err);
+		});
+	}, HeartbeatSeconds * 1000);
+	heartbeatTimer.unref();
+};
+
+/**
+ * Stops sending heartbeats for a transaction once it's committed or rolled back
+ * @memberof model/Transaction
+ * @param {String} transaction GUID of transaction
+ */
+function untrackTransaction (transaction) {
+	var index = ownedTransactions.indexOf(transaction);
+	if (index >= 0) ownedTransactions.splice(index, 1);
+};
+
+/**
+ * Gets the ledger account name for a user
+ * @memberof model/Transaction
+ * @param {String} user GUID of user
+ * @return {String} Ledger account name
+ */
+function userAccount (user) {
+	return "user:" + user;
+};
+
+/**
+ * Gets the ledger account name for a charity
+ * @memberof model/Transaction
+ * @param {String} charity GUID of charity
+ * @return {String} Ledger account name
+ */
+function charityAccount (charity) {
+	return "charity:" + charity;
+};
+
+// Transaction Properties: configures properties for database object
+function TransactionProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "transaction"
+		},
+
+		// Type: type of transaction (from Types.transactionTypes)
+		'type': {
+			'type': String,
+			'required': true,
+		},
+
+		// Status: progress of transaction (from Types.transactionStatuses)
+		'status': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Debit Account: ledger account funds are taken from
+		'debitAccount': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Credit Account: ledger account funds are given to
+		'creditAccount': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Amount: number of cents moved
+		'amount': {
+			'type': Number,
+			'required': true,
+		},
+
+		// Currency: currency code of amount (the user's balance currency)
+		'currency': {
+			'type': String,
+			'default': Currency.defaultCurrency,
+		},
+
+		// User: GUID of user whose balance is changed
+		'user': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Donation: GUID of donation made or refunded with transaction (donation and refund transactions only)
+		'donation': {
+			'type': String,
+			'default': null,
+		},
+
+		// Owner: ID of the server process applying the transaction
+		'owner': {
+			'type': String,
+			'default': null,
+		},
+
+		// Heartbeat: date the owner last showed it's still applying the transaction (pending transactions only)
+		'heartbeat': {
+			'type': Number,
+			'default': null,
+		},
+
+		// Date Completed: date when transaction was committed or rolled back
+		'dateCompleted': {
+			'type': Number,
+			'default': null,
+		},
+
+    });
+};
+
+// Transaction Static Methods: attaches functionality used by the schema in general
+function TransactionStaticMethods (schema) {
+
+	/**
+	 * Creates a new pending transaction in the database
+	 * @memberof model/Transaction
+	 * @param {Object} params
+	 * @param {String} params.type Type of transaction (from Types.transactionTypes)
+	 * @param {Object} params.user User object whose balance is changed
+	 * @param {Number} params.amount Number of cents moved
+	 * @param {String} [params.currency] Currency code of amount (defaults to the user's balance currency)
+	 * @param {Object} [params.charity] Charity object receiving or returning funds (donation and refund transactions only)
+	 * @param {String} [params.donation] GUID of donation made or refunded with transaction (donation and refund transactions only)
+	 * @param {function(err, transaction)} callback Callback function
+	 */
+	schema.statics.begin = function ({type, user, amount, currency, charity, donation}, callback) {
+
+		// Save reference to model
+		var Transaction = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Generate a unique GUID
+			function (callback) {
+				Transaction.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Write new transaction to the database
+			function (GUID, callback) {
+
+				// Setup query with GUID
+				var query = {
+					'guid': GUID
+				};
+
+				// Setup debit and credit accounts
+				var debitAccount = userAccount(user.guid);
+				var creditAccount = charity ? charityAccount(charity.guid) : null;
+				if (type == Types.transactionTypes.deposit) {
+					debitAccount = DepositsAccount;
+					creditAccount = userAccount(user.guid);
+				} else if (type == Types.transactionTypes.refund) {
+					debitAccount = charityAccount(charity.guid);
+					creditAccount = userAccount(user.guid);
+				}
+
+				// Setup database update
+				var update = {
+					'$set': {
+						'guid': GUID,
+						'type': type,
+						'status': Types.transactionStatuses.pending,
+						'debitAccount': debitAccount,
+						'creditAccount': creditAccount,
+						'amount': amount,
+						'currency': currency || user.currency || Currency.defaultCurrency,
+						'user': user.guid,
+						'donation': donation || null,
+						'owner': InstanceID,
+						'heartbeat': Dates.now(),
+						'dateCreated': Dates.now(),
+					}
+				};
+
+				// Make database update, send heartbeats until transaction is completed
+				Database.update({
+					'model': Transaction,
+					'query': query,
+					'update': update,
+				}, function (err, transaction) {
+					if (transaction) trackTransaction(Transaction, transaction.guid);
+					callback(err, transaction);
+				});
+			},
+
+		], function (err, transaction) {
+			callback(err, transaction);
+		});
+	};
+
+	/**
+	 * Rolls back pending transactions left behind by interrupted requests (run at startup, transactions still being
+	 * applied by another server are left alone)
+	 * @memberof model/Transaction
+	 * @param {function(err, count)} callback Callback function (count is number of transactions rolled back)
+	 */
+	schema.statics.recover = function (callback) {
+
+		// Save reference to model
+		var Transaction = this;
+
+		// Find pending transactions whose owner stopped sending heartbeats (or never recorded one)
+		Database.find({
+			'model': Transaction,
+			'query': {
+				'status': Types.transactionStatuses.pending,
+				'owner': {
+					'$ne': InstanceID,
+				},
+				'heartbeat': {
+					'$not': {
+						'$gt': Dates.fromNow(-StaleMinutes, 'minutes'),
+					},
+				},
+			},
+		}, function (err, transactions) {
+			if (err) return callback(err);
+
+			// Roll back each transaction
+			Async.eachSeries(transactions, function (transaction, callback) {
+				transaction.rollBack(function (err) {
+					if (err) console.log(err);
+					callback();
+				});
+			}, function (err) {
+				callback(err, transactions.length);
+			});
+		});
+	};
+};
+
+// Transaction Instance Methods: attaches functionality related to existing instances of the object
+function TransactionInstanceMethods (schema) {
+
+	/**
+	 * Formats a transaction object to be returned to the client
+	 * @memberof model/Transaction#
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {function(err, formattedObject)} callback Callback function
+	 */
+	schema.methods.format = function ({req, res}, callback) {
+		var formattedObject = this.toObject();
+		delete formattedObject.owner;
+		delete formattedObject.heartbeat;
+		callback(null, formattedObject);
+	};
+
+	/**
+	 * Changes the user's balance for a pending transaction (debits never overdraw the balance)
+	 * @memberof model/Transaction#
+	 * @param {function(err, user)} callback Callback function (user is null if the balance is insufficient or no longer
+	 * in the transaction's currency)
+	 */
+	schema.methods.apply = function (callback) {
+
+		// Initialize user model (required here to avoid a circular dependency)
+		const User = require('./User.js');
+
+		// Setup query with GUID, ensure transaction isn't already applied and balance is still in transaction's currency
+		// (users saved before balances had a currency are in the default currency)
+		var query = {
+			'guid': this.user,
+			'pendingTransactions': {
+				'$ne': this.guid,
+			},
+			'currency': this.currency,
+		};
+		if (this.currency == Currency.defaultCurrency) query.currency = {
+			'$in': [this.currency, null],
+		};
+
+		// Only debit users with enough funds
+		var change = this.amount;
+		if (this.debitAccount == userAccount(this.user)) {
+			change = 0-this.amount;
+			query.balance = {
+				'$gte': this.amount,
+			};
+		}
+
+		// Setup database update
+		var update = {
+			'$inc': {
+				'balance': change,
+			},
+			'$push': {
+				'pendingTransactions': this.guid,
+			},
+			'$set': {
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': User,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Commits a pending transaction
+	 * @memberof model/Transaction#
+	 * @param {function(err, user)} callback Callback function (produces an error if transaction was already rolled back,
+	 * e.g. by recovery)
+	 */
+	schema.methods.commit = function (callback) {
+
+		// Save reference to model
+		var Transaction = this;
+
+		// Initialize user model (required here to avoid a circular dependency)
+		const User = require('./User.js');
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Mark transaction as committed
+			function (callback) {
+				Database.updateExisting({
+					'model': Transaction.constructor,
+					'query': {
+						'guid': Transaction.guid,
+						'status': Types.transactionStatuses.pending,
+					},
+					'update': {
+						'$set': {
+							'status': Types.transactionStatuses.committed,
+							'dateCompleted': Dates.now(),
+							'lastModified': Dates.now(),
+						},
+					},
+				}, function (err, transaction) {
+					if (err) return callback(err);
+					untrackTransaction(Transaction.guid);
+					if (!transaction) callback(Secretary.conflictError(Messages.conflictErrors.transactionCompleted));
+					else callback();
+				});
+			},
+
+			// Clear transaction from user's pending transactions
+			function (callback) {
+				Database.updateExisting({
+					'model': User,
+					'query': {
+						'guid': Transaction.user,
+					},
+					'update': {
+						'$pull': {
+							'pendingTransactions': Transaction.guid,
+						},
+					},
+				}, function (err, user) {
+					callback(err, user);
+				});
+			},
+
+		], function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Rolls back a pending transaction, undoing its balance change and donation records (or refund)
+	 * @memberof model/Transaction#
+	 * @param {function(err, user)} callback Callback function (produces an error if transaction was already committed or rolled back)
+	 */
+	schema.methods.rollBack = function (callback) {
+
+		// Save reference to model
+		var Transaction = this;
+		var donation = (this.type == Types.transactionTypes.donation) ? this.donation : null;
+		var refundedDonation = (this.type == Types.transactionTypes.refund) ? this.donation : null;
+
+		// Initialize models (required here to avoid circular dependencies)
+		const User = require('./User.js');
+		const Donation = require('./Donation.js');
+		const Post = require('./Post.js');
+		const Campaign = require('./Campaign.js');
+		const Charity = require('./Charity.js');
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Ensure transaction wasn't committed
+			function (callback) {
+				Database.findOne({
+					'model': Transaction.constructor,
+					'query': {
+						'guid': Transaction.guid,
+					},
+				}, function (err, transaction) {
+					if (!err && (!transaction || transaction.status != Types.transactionStatuses.pending))
+						callback(Secretary.conflictError(Messages.conflictErrors.transactionCompleted));
+					else callback(err);
+				});
+			},
+
+			// Remove donation from users, posts, campaigns and charities
+			function (callback) {
+				if (!donation) return callback();
+				Async.eachSeries([User, Post, Campaign, Charity], function (model, callback) {
+					Database.updateAll({
+						'model': model,
+						'query': {
+							'donations': donation,
+						},
+						'update': {
+							'$pull': {
+								'donations': donation,
+							},
+						},
+					}, function (err) {
+						callback(err);
+					});
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+			// Remove donation
+			function (callback) {
+				if (!donation) return callback();
+				Database.remove({
+					'model': Donation,
+					'query': {
+						'guid': donation,
+					},
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+			// Return refunded donation to review
+			function (callback) {
+				if (!refundedDonation) return callback();
+				Database.updateExisting({
+					'model': Donation,
+					'query': {
+						'guid': refundedDonation,
+						'status': Types.donationStatuses.refunded,
+						'refundTransaction': Transaction.guid,
+					},
+					'update': {
+						'$set': {
+							'status': Types.donationStatuses.refundRequested,
+							'refundReviewer': null,
+							'dateRefundReviewed': null,
+							'refundTransaction': null,
+						},
+					},
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+			// Undo balance change if it was applied
+			function (callback) {
+				var change = Transaction.amount;
+				if (Transaction.creditAccount == userAccount(Transaction.user)) change = 0-Transaction.amount;
+				Database.updateExisting({
+					'model': User,
+					'query': {
+						'guid': Transaction.user,
+						'pendingTransactions': Transaction.guid,
+					},
+					'update': {
+						'$inc': {
+							'balance': change,
+						},
+						'$pull': {
+							'pendingTransactions': Transaction.guid,
+						},
+						'$set': {
+							'lastModified': Dates.now(),
+						},
+					},
+				}, function (err, user) {
+					callback(err, user);
+				});
+			},
+
+			// Mark transaction as rolled back
+			function (user, callback) {
+				Database.updateExisting({
+					'model': Transaction.constructor,
+					'query': {
+						'guid': Transaction.guid,
+						'status': Types.transactionStatuses.pending,
+					},
+					'update': {
+						'$set': {
+							'status': Types.transactionStatuses.rolledBack,
+							'dateCompleted': Dates.now(),
+							'lastModified': Dates.now(),
+						},
+					},
+				}, function (err) {
+					if (!err) untrackTransaction(Transaction.guid);
+					callback(err, user);
+				});
+			},
+
+		], function (err, user) {
+			callback(err, user);
+		});
+	};
+
+};
+
+// Export transaction model object
+module.exports = function () {
+
+	// Make schema for new transaction object...
+	var transactionSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(transactionSchema);
+
+	// Add transaction properties and methods to schema
+	TransactionProperties(transactionSchema);
+	TransactionStaticMethods(transactionSchema);
+	TransactionInstanceMethods(transactionSchema);
+
+	// Create new model object with schema
+	var transaction = Mongoose.model('Transaction', transactionSchema);
+
+	// Return new model object
+	return transaction;
+}();
\ No newline at end of file
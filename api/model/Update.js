@@ -6,9 +6,15 @@ const Async = require('async');
 const Tokens = require('jsonwebtoken');
 const Database = require('./../tools/Database');
 const Dates = require('./../tools/Dates');
+const Authentication = require('./../tools/Authentication');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
 
 // Initialize external models
 const Charity = require('./Charity.js');
+const Reaction = require('./Reaction.js');
+const Notification = require('./Notification.js');
 
 // Initialize config
 const config = require('./../../config');
@@ -21,7 +27,7 @@ const config = require('./../../config');
  * @return {Boolean} True if user can edit update
  */
 function authenticatedToken (update, token) {
-	if (token.charity == update.charity) return true;
+	if (token.charity == update.charity && Authentication.hasCharityRole(token, Types.charityRoles.editor)) return true;
 	return false;
 };
 
@@ -117,10 +123,63 @@ function UpdateStaticMethods (schema) {
 				});
 			},
 
+			// Notify charity's followers (notifications are best-effort, errors don't fail the update)
+			function (update, callback) {
+				Notification.notifyCharityFollowers({
+					'charity': charity.guid,
+					'type': Types.notificationTypes.update,
+					'target': update,
+				}, function () {
+					callback(null, update);
+				});
+			},
+
 		], function (err, update) {
 			callback(err, update);
 		});
 	};
+
+	/**
+	 * Loads what's needed to format a page of updates at once (called by Secretary before formatting them)
+	 * @memberof model/Update
+	 * @param {Object} params
+	 * @param {Object} params.req Express.js request object
+	 * @param {Object} params.res Express.js response object
+	 * @param {Array} params.objects Array of update objects being formatted
+	 * @param {function(err)} callback Callback function
+	 */
+	schema.statics.prepareFormat = function ({req, res, objects}, callback) {
+
+		// Save GUIDs of objects
+		var targets = objects.map(function (object) {
+			return object.guid;
+		});
+
+		// Load reaction summaries and comment counts (formatting falls back to loading each object's)
+		Async.parallel([
+			function (callback) {
+				Reaction.loadSummaries({
+					'req': req,
+					'res': res,
+					'targets': targets,
+				}, function (err) {
+					callback();
+				});
+			},
+			function (callback) {
+				const Comment = require('./Comment.js');
+				Comment.loadCounts({
+					'res': res,
+					'key': "update",
+					'targets': targets,
+				}, function (err) {
+					callback();
+				});
+			},
+		], function (err) {
+			callback();
+		});
+	};
 };
 
 // Update Instance Methods: attaches functionality related to existing instances of the object
@@ -158,6 +217,30 @@ function UpdateInstanceMethods (schema) {
 				});
 			},
 
+			// Attach comment count (including replies)
+			function (callback) {
+				const Comment = require('./Comment.js');
+				Comment.countForResponse({
+					'res': res,
+					'key': "update",
+					'target': thisObject.guid,
+				}, function (err, count) {
+					if (!err) thisObject.commentCount = count;
+					callback();
+				});
+			},
+
+			// Attach reaction counts and currentUserReaction
+			function (callback) {
+				Reaction.attachSummary({
+					'req': req,
+					'res': res,
+					'object': thisObject,
+				}, function (err) {
+					callback();
+				});
+			},
+
 		], function (err) {
 			callback(err, thisObject);
 		})
@@ -176,7 +259,7 @@ function UpdateInstanceMethods (schema) {
 
 		// Authenicate user
 		if (!authenticatedToken(this, token))
-			return callback(Secretary.authenticationError(Messages.authErrors.noAccess));
+			return callback(Secretary.authorizationError(Messages.authErrors.noAccess));
 
 		// Save reference to model
 		var Update = this;
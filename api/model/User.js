@@ -3,9 +3,17 @@
 // Initialize dependencies
 const Mongoose = require('mongoose');
 const Async = require('async');
+const Crypto = require('crypto');
 const Database = require('./../tools/Database');
 const Dates = require('./../tools/Dates');
+const Messages = require('./../tools/Messages');
+const Secretary = require('./../tools/Secretary');
+const Types = require('./../tools/Types');
 const Authentication = require('./../tools/Authentication');
+const Currency = require('./../tools/Currency');
+
+// Attempts at depositing to a balance before giving up (deposits fail when the balance's currency changes at the same time)
+const BalanceAttempts = 3;
 
 // User Properties: configures properties for database object
 function UserProperties (schema) {
@@ -26,6 +34,12 @@ function UserProperties (schema) {
 			'required': true,
 		},
 
+		// Email Verified: true once the user has confirmed they own their email
+		'emailVerified': {
+			'type': Boolean,
+			'default': false,
+		},
+
 		// Password: hashed password string
 		'password': {
 			'type': String,
@@ -43,22 +57,101 @@ function UserProperties (schema) {
 		'bio': {
 			'type': String,
 			'index': true,
-			'required': true
 		},
 
 		// Picture: image URL of user's profile picture
 		'picture': {
 			'type': String,
-			'required': true
 		},
 
-		// Balance: the user's balance, in cents
+		// Two-Factor Secret: base32 TOTP secret (set during enrollment, used once enabled)
+		'twoFactorSecret': {
+			'type': String,
+			'default': null,
+		},
+
+		// Two-Factor Enabled: true once the user has confirmed a TOTP code
+		'twoFactorEnabled': {
+			'type': Boolean,
+			'default': false,
+		},
+
+		// Two-Factor Recovery Codes: array of hashed single-use recovery codes
+		'twoFactorRecoveryCodes': {
+			'type': Array,
+			'default': [],
+		},
+
+		// Two-Factor Last Step: time step of the last accepted TOTP code (prevents code reuse)
+		'twoFactorLastStep': {
+			'type': Number,
+			'default': null,
+		},
+
+		// Balance: the user's balance, in cents (or the smallest unit of currency)
 		'balance': {
 			'type': Number,
 			'default': 0,
 		},
 
-		// Charity: GUID of charity which user belongs to, used to distinguish user types
+		// Currency: currency code of balance, donations are made in this currency
+		'currency': {
+			'type': String,
+			'default': Currency.defaultCurrency,
+		},
+
+		// Pending Transactions: GUIDs of ledger transactions applied to balance but not yet committed
+		'pendingTransactions': {
+			'type': Array,
+			'default': [],
+		},
+
+		// Anonymous Donations: true if user's name is hidden from charities and other users on donations
+		'anonymousDonations': {
+			'type': Boolean,
+			'default': false,
+		},
+
+		// Share Email With Charities: true if charities may see user's email in donation exports
+		'shareEmailWithCharities': {
+			'type': Boolean,
+			'default': false,
+		},
+
+		// Email Preferences: true for each email type user gets (see Types.emailTypes, account emails are always sent)
+		'emailPreferences': {
+			'digest': {
+				'type': Boolean,
+				'default': true,
+			},
+			'receipts': {
+				'type': Boolean,
+				'default': true,
+			},
+			'announcements': {
+				'type': Boolean,
+				'default': true,
+			},
+			'social': {
+				'type': Boolean,
+				'default': true,
+			},
+		},
+
+		// Last Digest: the time user's last weekly digest was claimed (0 if never)
+		'lastDigest': {
+			'type': Number,
+			'index': true,
+			'default': 0,
+		},
+
+		// Admin: true if user is a cChange administrator
+		'admin': {
+			'type': Boolean,
+			'default': false,
+		},
+
+		// Charity: GUID of charity user currently acts for (memberships are stored in each charity's users array)
 		'charity': {
 			'type': String,
 			'default': null,
@@ -104,9 +197,12 @@ function UserStaticMethods (schema) {
 	 * @param {String} params.email User email
 	 * @param {String} params.password Hashed password for user
 	 * @param {String} params.charityGUID GUID of charity object associated with user
+	 * @param {Boolean} [params.emailVerified] True if email is already known to belong to user
+	 * @param {String} [params.currency] Currency code of balance (defaults to the default currency)
+	 * @param {String} [params.guid] GUID generated for user beforehand (generated here if not given)
 	 * @param {function(err, update)} callback Callback function
 	 */
-	schema.statics.create = function ({name, email, password, charityGUID}, callback) {
+	schema.statics.create = function ({name, email, password, charityGUID, emailVerified, currency, guid}, callback) {
 
 		// Save reference to model
 		var User = this;
@@ -114,8 +210,9 @@ function UserStaticMethods (schema) {
 		// Synchronously perform the following tasks, then make callback...
 		Async.waterfall([
 
-			// Generate a unique GUID
+			// Generate a unique GUID (unless one was generated beforehand)
 			function (callback) {
+				if (guid) return callback(null, guid);
 				User.GUID(function (err, GUID) {
 					callback(err, GUID);
 				})
@@ -137,6 +234,8 @@ function UserStaticMethods (schema) {
 						'email': email,
 						'password': password,
 						'charity': charityGUID,
+						'emailVerified': emailVerified == true,
+						'currency': currency || Currency.defaultCurrency,
 						'dateCreated': Dates.now(),
 					}
 				};
@@ -155,6 +254,42 @@ function UserStaticMethods (schema) {
 			callback(err, user);
 		});
 	};
+
+	/**
+	 * Finds users due a weekly digest (verified users who follow charities, haven't opted out and weren't sent a
+	 * digest in the past week)
+	 * @memberof model/User
+	 * @param {function(err, users)} callback Callback function
+	 */
+	schema.statics.findDueForDigest = function (callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Find due users
+		Database.find({
+			'model': User,
+			'query': {
+				'followingCharities.0': {
+					'$exists': true,
+				},
+				'emailPreferences.digest': {
+					'$ne': false,
+				},
+				'emailVerified': true,
+				'erased': {
+					'$ne': true,
+				},
+				'lastDigest': {
+					'$not': {
+						'$gt': Dates.fromNow(-1, 'weeks'),
+					},
+				},
+			},
+		}, function (err, users) {
+			callback(err, users);
+		});
+	};
 };
 
 // User Instance Methods: attaches functionality related to existing instances of the object
@@ -176,11 +311,15 @@ function UserInstanceMethods (schema) {
 		// Initialize formatted object
 		var thisObject = this.toObject();
 
+		// Initialize request authorization
+		var requestToken = null;
+
 		Async.waterfall([
 
 			// Get request authorization
 			function (callback) {
 				Authentication.authenticateUser(req, function (err, token) {
+					requestToken = token;
 					callback(null, token);
 				});
 			},
@@ -222,23 +361,18 @@ function UserInstanceMethods (schema) {
 				})
 			},
 
-			// Attach total donation amount
+			// Attach total donation amount in user's currency (excluding refunds)
 			function (callback) {
 				const Donation = require('./Donation.js');
-				Database.find({
-					'model': Donation,
+				Donation.totalAmount({
 					'query': {
-						'user': thisObject.guid
+						'user': thisObject.guid,
 					},
-				}, function (err, donations) {
-					if (donations) {
-						thisObject.totalDonationAmount = 0
-						for (var i in donations) {
-							thisObject.totalDonationAmount += donations[i].amount;
-						}
-					}
+					'currency': thisObject.currency,
+				}, function (err, total) {
+					if (!err) thisObject.totalDonationAmount = total;
 					callback();
-				})
+				});
 			},
 
 			// Attach charityName if applicable
@@ -257,6 +391,39 @@ function UserInstanceMethods (schema) {
 				} else callback();
 			},
 
+			// Attach charity memberships if user is the current user
+			function (callback) {
+				if (requestToken && requestToken.user == thisObject.guid) {
+					const Charity = require('./Charity.js');
+					Charity.findForUser({
+						'user': thisObject.guid,
+					}, function (err, charities) {
+						thisObject.charities = [];
+						for (var i in charities) {
+							thisObject.charities.push({
+								'guid': charities[i].guid,
+								'name': charities[i].name,
+								'role': charities[i].getRole({'user': thisObject.guid}),
+							});
+						}
+						callback();
+					});
+				} else callback();
+			},
+
+			// Attach unread notification count if user is the current user
+			function (callback) {
+				if (requestToken && requestToken.user == thisObject.guid) {
+					const Notification = require('./Notification.js');
+					Notification.countUnread({
+						'user': thisObject.guid,
+					}, function (err, count) {
+						if (!err) thisObject.unreadNotificationCount = count;
+						callback();
+					});
+				} else callback();
+			},
+
 		], function (err) {
 			callback(err, thisObject);
 		})
@@ -274,6 +441,9 @@ function UserInstanceMethods (schema) {
 		// Save reference to model
 		var User = this;
 
+		// Check if user is newly followed (only new follows are notified)
+		var isNewFollow = this.followingUsers.indexOf(user.guid) == -1;
+
 		// Setup query with GUID
 		var query = {
 			'guid': this.guid,
@@ -291,8 +461,19 @@ function UserInstanceMethods (schema) {
 			'model': User.constructor,
 			'query': query,
 			'update': update,
-		}, function (err, user) {
-			callback(err, user);
+		}, function (err, followingUser) {
+			if (err || !isNewFollow) return callback(err, followingUser);
+
+			// Notify followed user (notifications are best-effort, errors don't fail the follow)
+			const Notification = require('./Notification.js');
+			Notification.notify({
+				'users': [user.guid],
+				'type': Types.notificationTypes.follow,
+				'fromUser': followingUser.guid,
+				'target': followingUser,
+			}, function () {
+				callback(null, followingUser);
+			});
 		});
 	};
 
@@ -417,7 +598,7 @@ function UserInstanceMethods (schema) {
 
 		// Setup database update
 		var update = {
-			'$push': {
+			'$addToSet': {
 				'donations': donation.guid,
 			}
 		};
@@ -467,13 +648,251 @@ function UserInstanceMethods (schema) {
 	};
 
 	/**
-	 * Updates an existing user's balance
+	 * Adds funds to a user's balance, recording a deposit in the transaction ledger
+	 * @memberof model/User#
+	 * @param {Object} params
+	 * @param {Number} params.change Number of cents to add (donations are debited by Donation.make)
+	 * @param {String} [params.currency] Currency code of change (converted to the balance's currency, defaults to it)
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.updateBalance = function ({change, currency}, callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Initialize transaction model (required here to avoid a circular dependency)
+		const Transaction = require('./Transaction.js');
+
+		// Deposit change, retrying with the reloaded user if the balance's currency changed at the same time
+		var attempts = 0;
+		function attemptDeposit (user) {
+			attempts++;
+
+			// Synchronously perform the following tasks, then make callback...
+			Async.waterfall([
+
+				// Convert change to balance's currency
+				function (callback) {
+					Currency.convert({
+						'amount': change,
+						'from': currency || user.currency,
+						'to': user.currency,
+					}, function (err, amount) {
+						callback(err, amount);
+					});
+				},
+
+				// Start deposit transaction
+				function (amount, callback) {
+					Transaction.begin({
+						'type': Types.transactionTypes.deposit,
+						'user': user,
+						'amount': amount,
+						'currency': user.currency,
+					}, function (err, transaction) {
+						callback(err, transaction);
+					});
+				},
+
+				// Credit user's balance (only if it's still in the converted currency), roll back transaction if it fails
+				function (transaction, callback) {
+					transaction.apply(function (err, updatedUser) {
+						if (!err && updatedUser) return callback(null, transaction);
+						transaction.rollBack(function () {
+							if (err || attempts >= BalanceAttempts) return callback(err || Secretary.serverError());
+
+							// Reload user and try again
+							Database.findOne({
+								'model': User.constructor,
+								'query': {
+									'guid': user.guid,
+								},
+							}, function (err, user) {
+								if (err || !user) callback(err || Secretary.serverError());
+								else attemptDeposit(user);
+							});
+						});
+					});
+				},
+
+				// Commit transaction
+				function (transaction, callback) {
+					transaction.commit(function (err, user) {
+						callback(err, user);
+					});
+				},
+
+			], function (err, user) {
+				callback(err, user);
+			});
+		};
+		attemptDeposit(User);
+	};
+
+	/**
+	 * Changes the currency of a user's balance (only while the balance is empty and no transactions are pending)
+	 * @memberof model/User#
+	 * @param {Object} params
+	 * @param {String} params.currency Currency code
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.setCurrency = function ({currency}, callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID, ensure balance is empty
+		var query = {
+			'guid': this.guid,
+			'balance': 0,
+			'pendingTransactions': {
+				'$size': 0,
+			},
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'currency': currency,
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			if (!err && !user) callback(Secretary.conflictError(Messages.conflictErrors.currencyChangeNotAllowed));
+			else callback(err, user);
+		});
+	};
+
+	/**
+	 * Marks a user's email as verified
+	 * @memberof model/User#
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.markEmailVerified = function (callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'emailVerified': true,
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.update({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Replaces a user's password and revokes all of the user's sessions
+	 * @memberof model/User#
+	 * @param {Object} params
+	 * @param {String} params.password Hashed password for user
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.updatePassword = function ({password}, callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'password': password,
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update, then revoke sessions
+		Database.update({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			if (err) return callback(err);
+			const Session = require('./Session.js');
+			Session.revokeAll({
+				'user': user,
+			}, function (err) {
+				callback(err, user);
+			});
+		});
+	};
+
+	/**
+	 * Replaces a user's email (which must be verified again) and revokes all of the user's sessions
+	 * @memberof model/User#
+	 * @param {Object} params
+	 * @param {String} params.email New email for user
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.updateEmail = function ({email}, callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'email': email,
+				'emailVerified': false,
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update, then revoke sessions
+		Database.update({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			if (err) return callback(err);
+			const Session = require('./Session.js');
+			Session.revokeAll({
+				'user': user,
+			}, function (err) {
+				callback(err, user);
+			});
+		});
+	};
+
+	/**
+	 * Sets or clears the charity a user belongs to
 	 * @memberof model/User#
 	 * @param {Object} params
-	 * @param {Number} [params.name] Name of user
+	 * @param {String} params.charity GUID of charity (or null to clear)
 	 * @param {function(err, user)} callback Callback function
 	 */
-	schema.methods.updateBalance = function ({change}, callback) {
+	schema.methods.setCharity = function ({charity}, callback) {
 
 		// Save reference to model
 		var User = this;
@@ -486,10 +905,43 @@ function UserInstanceMethods (schema) {
 		// Setup database update
 		var update = {
 			'$set': {
+				'charity': charity,
 				'lastModified': Dates.now(),
 			},
-			'$inc': {
-				'balance': change,
+		};
+
+		// Make database update
+		Database.update({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Grants or revokes a user's administrator access
+	 * @memberof model/User#
+	 * @param {Object} params
+	 * @param {Boolean} params.admin True to grant administrator access, false to revoke it
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.setAdmin = function ({admin}, callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'admin': admin,
+				'lastModified': Dates.now(),
 			},
 		};
 
@@ -510,9 +962,11 @@ function UserInstanceMethods (schema) {
 	 * @param {String} [params.name] Name of user
 	 * @param {String} [params.bio] User bio
 	 * @param {String} [params.picture] Image URL of user picture
+	 * @param {Boolean} [params.anonymousDonations] True to hide user's name on donations
+	 * @param {Boolean} [params.shareEmailWithCharities] True to share user's email in charities' donation exports
 	 * @param {function(err, user)} callback Callback function
 	 */
-	schema.methods.edit = function ({name, bio, picture}, callback) {
+	schema.methods.edit = function ({name, bio, picture, anonymousDonations, shareEmailWithCharities}, callback) {
 
 		// Save reference to model
 		var User = this;
@@ -529,6 +983,8 @@ function UserInstanceMethods (schema) {
 		if (name) set.name = name;
 		if (bio) set.bio = bio;
 		if (picture) set.picture = picture;
+		if (anonymousDonations !== undefined) set.anonymousDonations = anonymousDonations;
+		if (shareEmailWithCharities !== undefined) set.shareEmailWithCharities = shareEmailWithCharities;
 		var update = {
 			'$set': set
 		};
@@ -543,6 +999,446 @@ function UserInstanceMethods (schema) {
 		});
 	};
 
+	/**
+	 * Sets which types of email a user gets
+	 * @memberof model/User#
+	 * @param {Object} params
+	 * @param {Object} params.preferences Map of email types to booleans (see Types.emailTypes, omitted types are unchanged)
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.setEmailPreferences = function ({preferences}, callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var set = {
+			'lastModified': Dates.now(),
+		};
+		for (var key in Types.emailTypes) {
+			var type = Types.emailTypes[key];
+			if (preferences[type] !== undefined) set['emailPreferences.' + type] = preferences[type];
+		}
+		var update = {
+			'$set': set
+		};
+
+		// Make database update
+		Database.update({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Starts two-factor enrollment by saving a new TOTP secret
+	 * @memberof model/User#
+	 * @param {Object} params
+	 * @param {String} params.secret Base32 encoded TOTP secret
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.setTwoFactorSecret = function ({secret}, callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'twoFactorSecret': secret,
+				'twoFactorEnabled': false,
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.update({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Enables two-factor authentication with a set of recovery codes
+	 * @memberof model/User#
+	 * @param {Object} params
+	 * @param {Array} params.recoveryCodes Array of hashed recovery codes
+	 * @param {Number} params.step Time step of the confirmed TOTP code
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.enableTwoFactor = function ({recoveryCodes, step}, callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'twoFactorEnabled': true,
+				'twoFactorRecoveryCodes': recoveryCodes,
+				'twoFactorLastStep': step,
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.update({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Disables two-factor authentication
+	 * @memberof model/User#
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.disableTwoFactor = function (callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID
+		var query = {
+			'guid': this.guid,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'twoFactorSecret': null,
+				'twoFactorEnabled': false,
+				'twoFactorRecoveryCodes': [],
+				'twoFactorLastStep': null,
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.update({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Records a TOTP code's time step as used
+	 * @memberof model/User#
+	 * @param {Object} params
+	 * @param {Number} params.step Time step of accepted TOTP code
+	 * @param {function(err, user)} callback Callback function (user is null if the step was already used)
+	 */
+	schema.methods.useTwoFactorStep = function ({step}, callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID and earlier last step
+		var query = {
+			'guid': this.guid,
+			'$or': [
+				{'twoFactorLastStep': null},
+				{'twoFactorLastStep': {'$lt': step}},
+			],
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'twoFactorLastStep': step,
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Removes a used recovery code
+	 * @memberof model/User#
+	 * @param {Object} params
+	 * @param {String} params.hash Hash of used recovery code
+	 * @param {function(err, user)} callback Callback function (user is null if the code was already used)
+	 */
+	schema.methods.useRecoveryCode = function ({hash}, callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID and unused recovery code
+		var query = {
+			'guid': this.guid,
+			'twoFactorRecoveryCodes': hash,
+		};
+
+		// Setup database update
+		var update = {
+			'$pull': {
+				'twoFactorRecoveryCodes': hash,
+			},
+			'$set': {
+				'lastModified': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Claims a user's weekly digest so it's only sent once, even if the digest job is rerun
+	 * @memberof model/User#
+	 * @param {function(err, user)} callback Callback function (user is null if the digest was already claimed)
+	 */
+	schema.methods.claimDigest = function (callback) {
+
+		// Save reference to model
+		var User = this;
+
+		// Setup query with GUID and current last digest (users created before digests have no last digest)
+		var query = {
+			'guid': this.guid,
+			'lastDigest': this.lastDigest ? this.lastDigest : {
+				'$not': {
+					'$gt': 0,
+				},
+			},
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'lastDigest': Dates.now(),
+			},
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': User.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	};
+
+	/**
+	 * Erases a user by anonymizing their profile, keeping their donations for charity records
+	 * @memberof model/User#
+	 * @param {function(err, user)} callback Callback function
+	 */
+	schema.methods.erase = function (callback) {
+
+		// Save reference to model
+		var User = this;
+		var guid = this.guid;
+
+		// Initialize dependencies (required here to avoid circular dependencies)
+		const Session = require('./Session.js');
+		const Charity = require('./Charity.js');
+		const Post = require('./Post.js');
+		const Comment = require('./Comment.js');
+		const Reaction = require('./Reaction.js');
+		const Notification = require('./Notification.js');
+		const RecurringDonation = require('./RecurringDonation.js');
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Anonymize user's profile (password is replaced with an unusable value)
+			function (callback) {
+				Database.update({
+					'model': User.constructor,
+					'query': {
+						'guid': guid,
+					},
+					'update': {
+						'$set': {
+							'erased': true,
+							'name': Messages.deletedUser,
+							'email': "deleted-" + guid + "@users.cchange.invalid",
+							'emailVerified': false,
+							'password': Crypto.randomBytes(32).toString('hex'),
+							'admin': false,
+							'charity': null,
+							'twoFactorSecret': null,
+							'twoFactorEnabled': false,
+							'twoFactorRecoveryCodes': [],
+							'followingUsers': [],
+							'followingCharities': [],
+							'lastModified': Dates.now(),
+						},
+						'$unset': {
+							'bio': "",
+							'picture': "",
+						},
+					},
+				}, function (err, user) {
+					callback(err, user);
+				});
+			},
+
+			// End user's sessions
+			function (user, callback) {
+				Session.revokeAll({
+					'user': user,
+				}, function (err) {
+					callback(err, user);
+				});
+			},
+
+			// Remove user from other users' followingUsers
+			function (user, callback) {
+				Database.updateAll({
+					'model': User.constructor,
+					'query': {
+						'followingUsers': guid,
+					},
+					'update': {
+						'$pull': {
+							'followingUsers': guid,
+						},
+					},
+				}, function (err) {
+					callback(err, user);
+				});
+			},
+
+			// Remove user from charities
+			function (user, callback) {
+				Charity.removeUserFromAll({
+					'user': guid,
+				}, function (err) {
+					callback(err, user);
+				});
+			},
+
+			// Erase user's posts
+			function (user, callback) {
+				Database.updateAll({
+					'model': Post,
+					'query': {
+						'user': guid,
+					},
+					'update': {
+						'$set': {
+							'erased': true,
+							'lastModified': Dates.now(),
+						},
+					},
+				}, function (err) {
+					callback(err, user);
+				});
+			},
+
+			// Erase user's comments (replies by other users are kept)
+			function (user, callback) {
+				Database.updateAll({
+					'model': Comment,
+					'query': {
+						'user': guid,
+					},
+					'update': {
+						'$set': {
+							'erased': true,
+							'text': "",
+							'lastModified': Dates.now(),
+						},
+					},
+				}, function (err) {
+					callback(err, user);
+				});
+			},
+
+			// Remove user's reactions
+			function (user, callback) {
+				Database.remove({
+					'model': Reaction,
+					'query': {
+						'user': guid,
+					},
+				}, function (err) {
+					callback(err, user);
+				});
+			},
+
+			// Remove user's notifications
+			function (user, callback) {
+				Database.remove({
+					'model': Notification,
+					'query': {
+						'user': guid,
+					},
+				}, function (err) {
+					callback(err, user);
+				});
+			},
+
+			// Cancel user's recurring donations
+			function (user, callback) {
+				Database.updateAll({
+					'model': RecurringDonation,
+					'query': {
+						'user': guid,
+						'status': {
+							'$in': [Types.recurringDonationStatuses.active, Types.recurringDonationStatuses.paused],
+						},
+					},
+					'update': {
+						'$set': {
+							'status': Types.recurringDonationStatuses.cancelled,
+							'lastModified': Dates.now(),
+						},
+					},
+				}, function (err) {
+					callback(err, user);
+				});
+			},
+
+		], function (err, user) {
+			callback(err, user);
+		});
+	};
+
 };
 
 // Export user model object
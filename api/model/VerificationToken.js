@@ -0,0 +1,190 @@
+/** @namespace model/VerificationToken */
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Tokens = require('jsonwebtoken');
+const Database = require('./../tools/Database');
+const Dates = require('./../tools/Dates');
+
+// Initialize config
+const config = require('./../../config');
+
+// Verification Token Properties: configures properties for database object
+function VerificationTokenProperties (schema) {
+    schema.add({
+
+		// OBJECT TYPE
+		'objectType': {
+			'type': String,
+			'default': "verificationToken"
+		},
+
+		// Token: token used for validation
+		'token': {
+			'type': String,
+			'unique': true,
+			'index': true,
+			'required': true,
+		},
+
+		// User: GUID of user who can be verified with token
+		'user': {
+			'type': String,
+			'index': true,
+			'required': true,
+		},
+
+		// Email: the email address being verified
+		'email': {
+			'type': String,
+			'lowercase': true,
+			'required': true,
+		},
+
+		// Expiration: date when token expires
+		'expiration': {
+			'type': Number,
+			'required': true,
+		},
+
+		// Used: date when token was used
+		'used': {
+			'type': Number,
+			'default': null,
+		},
+
+    });
+};
+
+// Verification Token Static Methods: attaches functionality used by the schema in general
+function VerificationTokenStaticMethods (schema) {
+
+	/**
+	 * Creates a new verification token in the database
+	 * @memberof model/VerificationToken
+	 * @param {Object} params
+	 * @param {Object} params.user User object to attach to verification token
+	 * @param {String} params.email Email address to verify
+	 * @param {function(err, verificationToken)} callback Callback function
+	 */
+	schema.statics.create = function ({user, email}, callback) {
+
+		// Save reference to model
+		var VerificationToken = this;
+
+		// Synchronously perform the following tasks, then make callback...
+		Async.waterfall([
+
+			// Generate a unique GUID
+			function (callback) {
+				VerificationToken.GUID(function (err, GUID) {
+					callback(err, GUID);
+				})
+			},
+
+			// Generate a token based on user and email
+			function (GUID, callback) {
+				Tokens.sign({
+					'guid': GUID,
+					'user': user.guid,
+					'email': email,
+				}, config.secret, {}, function (err, token) {
+					callback(err, GUID, token);
+				});
+			},
+
+			// Write new verificationToken to the database
+			function (GUID, token, callback) {
+
+				// Setup query with GUID
+				var query = {
+					'guid': GUID
+				};
+
+				// Setup database update
+				var update = {
+					'$set': {
+						'guid': GUID,
+						'user': user.guid,
+						'email': email,
+						'token': token,
+						'expiration': Dates.fromNow(7, 'days'),
+						'dateCreated': Dates.now(),
+					}
+				};
+
+				// Make database update
+				Database.update({
+					'model': VerificationToken,
+					'query': query,
+					'update': update,
+				}, function (err, verificationToken) {
+					callback(err, verificationToken);
+				});
+			},
+
+		], function (err, verificationToken) {
+			callback(err, verificationToken);
+		});
+	};
+};
+
+// Verification Token Instance Methods: attaches functionality related to existing instances of the object
+function VerificationTokenInstanceMethods (schema) {
+
+	/**
+	 * Marks a verification token as used (only if it hasn't been used already)
+	 * @memberof model/VerificationToken#
+	 * @param {function(err, verificationToken)} callback Callback function (verificationToken is null if already used)
+	 */
+	schema.methods.markUsed = function (callback) {
+
+		// Save reference to model
+		var VerificationToken = this;
+
+		// Setup query with GUID and unused token
+		var query = {
+			'guid': this.guid,
+			'used': null,
+		};
+
+		// Setup database update
+		var update = {
+			'$set': {
+				'used': Dates.now(),
+			}
+		};
+
+		// Make database update
+		Database.updateExisting({
+			'model': VerificationToken.constructor,
+			'query': query,
+			'update': update,
+		}, function (err, verificationToken) {
+			callback(err, verificationToken);
+		});
+	};
+
+};
+
+// Export verificationToken model object
+module.exports = function () {
+
+	// Make schema for new verificationToken object...
+	var verificationTokenSchema = new Mongoose.Schema;
+
+	// Inherit Object properties and methods
+	require('./Object')(verificationTokenSchema);
+
+	// Add verificationToken properties and methods to schema
+	VerificationTokenProperties(verificationTokenSchema);
+	VerificationTokenStaticMethods(verificationTokenSchema);
+	VerificationTokenInstanceMethods(verificationTokenSchema);
+
+	// Create new model object with schema
+	var verificationToken = Mongoose.model('VerificationToken', verificationTokenSchema);
+
+	// Return new model object
+	return verificationToken;
+}();
\ No newline at end of file
@@ -0,0 +1,268 @@
+// Initialize dependencies
+const Async = require('async');
+const Authentication = require('./../tools/Authentication');
+const Database = require('./../tools/Database');
+const Paging = require('./../tools/Paging');
+const Validation = require('./../tools/Validation');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
+
+// Initialize models
+const User = require('./../model/User');
+const AdminAction = require('./../model/AdminAction');
+
+// Attach admin endpoints to server
+module.exports = function (server) {
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /admin.grant Grant
+	 * @apiName Grant
+	 * @apiGroup Admin
+	 * @apiDescription Grants administrator access to a user
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} user GUID of user
+	 *
+	 * @apiSuccess {Object} user User object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/admin.grant', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate administrator
+			function (callback) {
+				Authentication.authenticateAdmin(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('User ID (user)', req.body.user),
+				]), token);
+			},
+
+			// Find administrator using token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, admin) {
+					if (!admin) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, admin);
+				});
+			},
+
+			// Find user using parameters
+			function (admin, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': req.body.user,
+					},
+				}, function (err, user) {
+					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, admin, user);
+				});
+			},
+
+			// Update user's administrator access, add to reply
+			function (admin, user, callback) {
+				user.setAdmin({
+					'admin': true,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err, admin, user);
+				});
+			},
+
+			// Record admin action
+			function (admin, user, callback) {
+				AdminAction.record({
+					'admin': admin,
+					'action': Types.adminActions.grantAdmin,
+					'target': user,
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /admin.revoke Revoke
+	 * @apiName Revoke
+	 * @apiGroup Admin
+	 * @apiDescription Revokes administrator access from a user
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} user GUID of user
+	 *
+	 * @apiSuccess {Object} user User object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/admin.revoke', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate administrator
+			function (callback) {
+				Authentication.authenticateAdmin(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('User ID (user)', req.body.user),
+				]), token);
+			},
+
+			// Prevent administrators from locking themselves out
+			function (token, callback) {
+				if (token.user == req.body.user) callback(Secretary.conflictError(Messages.conflictErrors.adminSelfRevoke));
+				else callback(null, token);
+			},
+
+			// Find administrator using token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, admin) {
+					if (!admin) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, admin);
+				});
+			},
+
+			// Find user using parameters
+			function (admin, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': req.body.user,
+					},
+				}, function (err, user) {
+					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, admin, user);
+				});
+			},
+
+			// Update user's administrator access, add to reply
+			function (admin, user, callback) {
+				user.setAdmin({
+					'admin': false,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err, admin, user);
+				});
+			},
+
+			// Record admin action
+			function (admin, user, callback) {
+				AdminAction.record({
+					'admin': admin,
+					'action': Types.adminActions.revokeAdmin,
+					'target': user,
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /admin.actions Actions
+	 * @apiName Actions
+	 * @apiGroup Admin
+	 * @apiDescription Queries the log of administrator actions
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} [admin] Limit actions by administrator GUID
+	 * @apiParam {String} [target] Limit actions by target object GUID
+	 * @apiUse Paging
+	 *
+	 * @apiSuccess {Array} objects Array of admin action objects
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/admin.actions', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate administrator
+			function (callback) {
+				Authentication.authenticateAdmin(req, function (err, token) {
+					callback(err);
+				});
+			},
+
+			// Validate fields
+			function (callback) {
+				var fields = [];
+				if (req.body.admin) fields.push(Validation.string('Admin ID (admin)', req.body.admin));
+				if (req.body.target) fields.push(Validation.string('Target ID (target)', req.body.target));
+				callback(Validation.catchErrors(fields));
+			},
+
+			// Page admin actions, add to reply
+			function (callback) {
+
+				// Setup query
+				var query = {};
+				if (req.body.admin) query.admin = req.body.admin;
+				if (req.body.target) query.target = req.body.target;
+
+				// Page objects
+				Paging.pageObjects({
+					'model': AdminAction,
+					'query': query,
+					'params': req.body,
+				}, function (err, objects) {
+					if (objects) Secretary.addToResponse({
+						'response': res,
+						'key': "objects",
+						'value': objects,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+};
\ No newline at end of file
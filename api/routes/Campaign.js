@@ -12,6 +12,7 @@ const Validation = require('./../tools/Validation');
 const Secretary = require('./../tools/Secretary');
 const Messages = require('./../tools/Messages');
 const Dates = require('./../tools/Dates');
+const Types = require('./../tools/Types');
 
 // Initialize config
 const config = require('./../../config');
@@ -28,12 +29,15 @@ module.exports = function (server) {
 	 * @api {POST} /campaign.create Create
 	 * @apiName Create
 	 * @apiGroup Campaign
-	 * @apiDescription Creates a new campaign for a charity user
+	 * @apiDescription Creates a new campaign for a charity editor
 	 * @apiUse Authorization
 	 *
 	 * @apiParam {String} name Name of campaign
 	 * @apiParam {String} [description] Description of campaign
 	 * @apiParam {Array} [pictures] Array of image URLs for campaign pictures
+	 * @apiParam {Number} [goal] Number of cents the campaign aims to raise
+	 * @apiParam {String} [currency] Currency code of goal (e.g. EUR)
+	 * @apiParam {Number} [endDate] Date (UNIX timestamp) when the campaign stops accepting donations
 	 *
 	 * @apiSuccess {Object} campaign Campaign object
 	 *
@@ -44,9 +48,9 @@ module.exports = function (server) {
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
-			// Authenticate charity user
+			// Authenticate charity editor
 			function (callback) {
-				Authentication.authenticateCharityUser(req, function (err, token) {
+				Authentication.authenticateCharityRole(req, Types.charityRoles.editor, function (err, token) {
 					callback(err, token);
 				});
 			},
@@ -64,6 +68,9 @@ module.exports = function (server) {
 				];
 				if (req.body.description) fields.push(Validation.string('Description', req.body.description));
 				if (req.body.pictures) fields.push(Validation.imageUrlArray('Pictures', req.body.pictures));
+				if (req.body.goal) fields.push(Validation.positiveNumber('Goal', req.body.goal));
+				if (req.body.currency) fields.push(Validation.currencyCode('Currency', req.body.currency));
+				if (req.body.endDate) fields.push(Validation.futureDate('End date', req.body.endDate));
 				callback(Validation.catchErrors(fields), token);
 			},
 
@@ -88,6 +95,9 @@ module.exports = function (server) {
 					'category': req.body.category,
 					'description': req.body.description,
 					'pictures': req.body.pictures,
+					'goal': req.body.goal,
+					'currency': req.body.currency,
+					'endDate': req.body.endDate,
 				}, function (err, campaign) {
 					if (campaign) Secretary.addToResponse({
 						'response': res,
@@ -125,13 +135,16 @@ module.exports = function (server) {
 	 * @api {POST} /campaign.edit Edit
 	 * @apiName Edit
 	 * @apiGroup Campaign
-	 * @apiDescription Edits a campaign for a charity user
+	 * @apiDescription Edits a campaign for a charity editor
 	 * @apiUse Authorization
 	 *
 	 * @apiParam {String} campaign GUID of campaign to edit
 	 * @apiParam {String} [name] Name of campaign
 	 * @apiParam {String} [description] Description of campaign
 	 * @apiParam {Array} [pictures] Array of image URLs for campaign pictures
+	 * @apiParam {Number} [goal] Number of cents the campaign aims to raise (null removes goal)
+	 * @apiParam {String} [currency] Currency code of goal (amount raised is converted)
+	 * @apiParam {Number} [endDate] Date (UNIX timestamp) when the campaign stops accepting donations (null removes end date)
 	 *
 	 * @apiSuccess {Object} campaign Campaign object
 	 *
@@ -142,9 +155,9 @@ module.exports = function (server) {
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
-			// Authenticate charity user
+			// Authenticate charity editor
 			function (callback) {
-				Authentication.authenticateCharityUser(req, function (err, token) {
+				Authentication.authenticateCharityRole(req, Types.charityRoles.editor, function (err, token) {
 					callback(err, token);
 				});
 			},
@@ -158,6 +171,9 @@ module.exports = function (server) {
 				if (req.body.category) fields.push(Validation.category(req.body.category, req.body.category));
 				if (req.body.description) fields.push(Validation.string('Description', req.body.description));
 				if (req.body.pictures) fields.push(Validation.imageUrlArray('Pictures', req.body.pictures));
+				if (req.body.goal != null) fields.push(Validation.positiveNumber('Goal', req.body.goal));
+				if (req.body.currency) fields.push(Validation.currencyCode('Currency', req.body.currency));
+				if (req.body.endDate != null) fields.push(Validation.futureDate('End date', req.body.endDate));
 				callback(Validation.catchErrors(fields), token);
 			},
 
@@ -212,6 +228,75 @@ module.exports = function (server) {
 					'category': req.body.category,
 					'description': req.body.description,
 					'pictures': req.body.pictures,
+					'goal': req.body.goal,
+					'currency': req.body.currency,
+					'endDate': req.body.endDate,
+				}, function (err, campaign) {
+					if (campaign) Secretary.addToResponse({
+						'response': res,
+						'key': "campaign",
+						'value': campaign
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /campaign.end End
+	 * @apiName End
+	 * @apiGroup Campaign
+	 * @apiDescription Ends a campaign early for a charity editor, the campaign stops accepting donations
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} campaign GUID of campaign to end
+	 *
+	 * @apiSuccess {Object} campaign Campaign object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/campaign.end', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate charity editor
+			function (callback) {
+				Authentication.authenticateCharityRole(req, Types.charityRoles.editor, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('Campaign ID', req.body.campaign),
+				]), token);
+			},
+
+			// Find campaign
+			function (token, callback) {
+				Database.findOne({
+					'model': Campaign,
+					'query': {
+						'guid': req.body.campaign,
+					}
+				}, function (err, campaign) {
+					if (!campaign) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, token, campaign);
+				})
+			},
+
+			// End campaign
+			function (token, campaign, callback) {
+				campaign.end({
+					'token': token,
 				}, function (err, campaign) {
 					if (campaign) Secretary.addToResponse({
 						'response': res,
@@ -8,12 +8,76 @@ const Validation = require('./../tools/Validation');
 const Secretary = require('./../tools/Secretary');
 const Messages = require('./../tools/Messages');
 const Dates = require('./../tools/Dates');
+const Types = require('./../tools/Types');
+const Email = require('./../tools/Email');
+const Currency = require('./../tools/Currency');
+const Documents = require('./../tools/Documents');
 
 // Initialize config
 const config = require('./../../config');
 
 // Initialize models
 const Charity = require('./../model/Charity');
+const CharityToken = require('./../model/CharityToken');
+const User = require('./../model/User');
+const Donation = require('./../model/Donation');
+
+// Days covered by reports when no start date is given
+const DefaultReportDays = 30;
+
+/**
+ * Authenticates a charity user and finds their charity and the date range of a report (defaults to the last 30 days)
+ * @memberof apiDocs
+ * @private
+ * @param {Object} req Express.js request object
+ * @param {function(err, charity, range)} callback Callback function (range has startDate and endDate)
+ */
+function findReportCharity (req, callback) {
+
+	// Synchronously perform the following tasks, then make callback...
+	Async.waterfall([
+
+		// Authenticate charity user
+		function (callback) {
+			Authentication.authenticateCharityUser(req, function (err, token) {
+				callback(err, token);
+			});
+		},
+
+		// Validate date range
+		function (token, callback) {
+			var fields = [];
+			if (req.body.startDate != null) fields.push(Validation.number('Start date', req.body.startDate));
+			if (req.body.endDate != null) fields.push(Validation.number('End date', req.body.endDate));
+			var err = Validation.catchErrors(fields);
+			if (err) return callback(err);
+
+			// Fill in missing dates
+			var range = {
+				'endDate': req.body.endDate != null ? req.body.endDate : parseInt(Dates.now()),
+			};
+			range.startDate = req.body.startDate != null ? req.body.startDate : parseInt(Dates.add(range.endDate, -DefaultReportDays, 'days'));
+			if (range.endDate <= range.startDate) err = Secretary.requestError('End date' + Messages.fieldErrors.endBeforeStart);
+			callback(err, token, range);
+		},
+
+		// Find charity using token
+		function (token, range, callback) {
+			Database.findOne({
+				'model': Charity,
+				'query': {
+					'guid': token.charity,
+				}
+			}, function (err, charity) {
+				if (!err && !charity) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+				else callback(err, charity, range);
+			})
+		},
+
+	], function (err, charity, range) {
+		callback(err, charity, range);
+	});
+};
 
 // Attach charityToken endpoints to server
 module.exports = function (server) {
@@ -23,12 +87,13 @@ module.exports = function (server) {
 	 * @api {POST} /charity.edit Edit
 	 * @apiName Edit
 	 * @apiGroup Charity
-	 * @apiDescription Edits a charity for a charity user
+	 * @apiDescription Edits a charity for a charity owner
 	 * @apiUse Authorization
 	 *
 	 * @apiParam {String} [name] Name of charity
 	 * @apiParam {String} [description] Description of charity
 	 * @apiParam {String} [logo] Image URL of charity logo
+	 * @apiParam {Boolean} [requireTwoFactor] True if staff must use two-factor authentication (owner must have it enabled)
 	 *
 	 * @apiSuccess {Object} charity Charity object
 	 *
@@ -39,9 +104,9 @@ module.exports = function (server) {
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
-			// Authenticate charity user
+			// Authenticate charity owner
 			function (callback) {
-				Authentication.authenticateCharityUser(req, function (err, token) {
+				Authentication.authenticateCharityRole(req, Types.charityRoles.owner, function (err, token) {
 					callback(err, token);
 				});
 			},
@@ -52,9 +117,24 @@ module.exports = function (server) {
 				if (req.body.name) fields.push(Validation.string('Name', req.body.name));
 				if (req.body.description) fields.push(Validation.string('Description', req.body.description));
 				if (req.body.logo) fields.push(Validation.imageUrl('Logo', req.body.logo));
+				if (req.body.requireTwoFactor !== undefined) fields.push(Validation.boolean('Require two factor', req.body.requireTwoFactor));
 				callback(Validation.catchErrors(fields), token);
 			},
 
+			// Ensure owner uses two-factor authentication before requiring it
+			function (token, callback) {
+				if (req.body.requireTwoFactor !== true) return callback(null, token);
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (user && !user.twoFactorEnabled) callback(Secretary.conflictError(Messages.conflictErrors.twoFactorOwnerRequired));
+					else callback(err, token);
+				});
+			},
+
 			// Find charity using token
 			function (token, callback) {
 				Database.findOne({
@@ -75,12 +155,435 @@ module.exports = function (server) {
 					'name': req.body.name,
 					'description': req.body.description,
 					'logo': req.body.logo,
+					'requireTwoFactor': req.body.requireTwoFactor,
+				}, function (err, charity) {
+					if (charity) Secretary.addToResponse({
+						'response': res,
+						'key': "charity",
+						'value': charity,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /charity.staff Staff
+	 * @apiName Staff
+	 * @apiGroup Charity
+	 * @apiDescription Queries the staff of a charity user's charity
+	 * @apiUse Authorization
+	 *
+	 * @apiSuccess {Array} users Array of staff user objects
+	 * @apiSuccess {Object} roles Charity role of each staff user, keyed by user GUID
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/charity.staff', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate charity user
+			function (callback) {
+				Authentication.authenticateCharityUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Find charity using token
+			function (token, callback) {
+				Database.findOne({
+					'model': Charity,
+					'query': {
+						'guid': token.charity,
+					}
+				}, function (err, charity) {
+					if (!charity) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, token, charity);
+				})
+			},
+
+			// Find staff users, add users and roles to response
+			function (token, charity, callback) {
+
+				// Build map of roles using staff GUIDs
+				var roles = {};
+				for (var i in charity.users) {
+					var user = charity.users[i].user || charity.users[i];
+					roles[user] = charity.getRole({'user': user});
+				}
+
+				// Find staff users
+				Database.find({
+					'model': User,
+					'query': {
+						'guid': {
+							'$in': Object.keys(roles),
+						},
+					},
+				}, function (err, users) {
+					if (users) Secretary.addToResponse({
+						'response': res,
+						'key': "users",
+						'value': users,
+					});
+					Secretary.addToResponse({
+						'response': res,
+						'key': "roles",
+						'value': roles,
+						'noFormat': true,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /charity.inviteStaff Invite Staff
+	 * @apiName Invite Staff
+	 * @apiGroup Charity
+	 * @apiDescription Emails an invitation to join a charity owner's charity
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} email Email of user to invite
+	 * @apiParam {String} role Charity role of invited user (owner, editor or viewer)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/charity.inviteStaff', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate charity owner
+			function (callback) {
+				Authentication.authenticateCharityRole(req, Types.charityRoles.owner, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.email('Email', req.body.email),
+					Validation.charityRole('Role', req.body.role),
+				]), token);
+			},
+
+			// Find charity using token
+			function (token, callback) {
+				Database.findOne({
+					'model': Charity,
+					'query': {
+						'guid': token.charity,
+					}
+				}, function (err, charity) {
+					if (!charity) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, token, charity);
+				})
+			},
+
+			// Ensure invited email doesn't already belong to staff
+			function (token, charity, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'email': req.body.email,
+					},
+				}, function (err, user) {
+					if (user && charity.getRole({'user': user.guid})) callback(Secretary.conflictError(Messages.conflictErrors.alreadyCharityStaff));
+					else callback(err, token, charity);
+				});
+			},
+
+			// Find inviting user using token
+			function (token, charity, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, inviter) {
+					if (!inviter) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, charity, inviter);
+				});
+			},
+
+			// Create new charity token for charity
+			function (charity, inviter, callback) {
+				CharityToken.create({
+					'email': req.body.email,
+					'charity': charity,
+					'role': req.body.role,
+					'inviter': inviter,
+				}, function (err, charityToken) {
+					callback(err, charity, charityToken);
+				});
+			},
+
+			// Email charity token
+			function (charity, charityToken, callback) {
+				Email.sendStaffInvitation({
+					'token': charityToken.token,
+					'email': req.body.email,
+					'charityName': charity.name,
+					'role': req.body.role,
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /charity.editStaff Edit Staff
+	 * @apiName Edit Staff
+	 * @apiGroup Charity
+	 * @apiDescription Changes the charity role of a staff user for a charity owner
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} user GUID of staff user
+	 * @apiParam {String} role New charity role of user (owner, editor or viewer)
+	 *
+	 * @apiSuccess {Object} charity Charity object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/charity.editStaff', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate charity owner
+			function (callback) {
+				Authentication.authenticateCharityRole(req, Types.charityRoles.owner, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('User ID (user)', req.body.user),
+					Validation.charityRole('Role', req.body.role),
+				]), token);
+			},
+
+			// Find charity using token
+			function (token, callback) {
+				Database.findOne({
+					'model': Charity,
+					'query': {
+						'guid': token.charity,
+					}
+				}, function (err, charity) {
+					if (!charity) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, token, charity);
+				})
+			},
+
+			// Ensure user is staff and charity keeps an owner
+			function (token, charity, callback) {
+				var role = charity.getRole({'user': req.body.user});
+				if (!role)
+					callback(Secretary.conflictError(Messages.conflictErrors.notCharityStaff));
+				else if (role == Types.charityRoles.owner && req.body.role != Types.charityRoles.owner && charity.countOwners() < 2)
+					callback(Secretary.conflictError(Messages.conflictErrors.lastCharityOwner));
+				else callback(null, token, charity);
+			},
+
+			// Update user's role, add charity to response
+			function (token, charity, callback) {
+				charity.setUserRole({
+					'token': token,
+					'user': req.body.user,
+					'role': req.body.role,
+				}, function (err, charity) {
+					if (charity) Secretary.addToResponse({
+						'response': res,
+						'key': "charity",
+						'value': charity,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /charity.removeStaff Remove Staff
+	 * @apiName Remove Staff
+	 * @apiGroup Charity
+	 * @apiDescription Removes a staff user from a charity (owners can remove anyone, staff can remove themselves)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} user GUID of staff user
+	 *
+	 * @apiSuccess {Object} charity Charity object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/charity.removeStaff', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate charity user
+			function (callback) {
+				Authentication.authenticateCharityUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('User ID (user)', req.body.user),
+				]), token);
+			},
+
+			// Find charity using token
+			function (token, callback) {
+				Database.findOne({
+					'model': Charity,
+					'query': {
+						'guid': token.charity,
+					}
+				}, function (err, charity) {
+					if (!charity) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, token, charity);
+				})
+			},
+
+			// Ensure user is staff and charity keeps an owner
+			function (token, charity, callback) {
+				var role = charity.getRole({'user': req.body.user});
+				if (!role)
+					callback(Secretary.conflictError(Messages.conflictErrors.notCharityStaff));
+				else if (role == Types.charityRoles.owner && charity.countOwners() < 2)
+					callback(Secretary.conflictError(Messages.conflictErrors.lastCharityOwner));
+				else callback(null, token, charity);
+			},
+
+			// Remove user from charity, add charity to response
+			function (token, charity, callback) {
+				charity.removeUser({
+					'token': token,
+					'user': req.body.user,
 				}, function (err, charity) {
 					if (charity) Secretary.addToResponse({
 						'response': res,
 						'key': "charity",
 						'value': charity,
 					});
+					callback(err, charity);
+				});
+			},
+
+			// Find removed user
+			function (charity, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': req.body.user,
+					},
+				}, function (err, user) {
+					callback(err, charity, user);
+				});
+			},
+
+			// Clear removed user's charity
+			function (charity, user, callback) {
+				if (user && user.charity == charity.guid) {
+					user.setCharity({
+						'charity': null,
+					}, function (err) {
+						callback(err);
+					});
+				} else callback();
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /charity.report Report
+	 * @apiName Report
+	 * @apiGroup Charity
+	 * @apiDescription Gets a fundraising report for a charity user's charity, with donations totaled by campaign, post and period (refunded donations are excluded)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {Number} [startDate] Date (UNIX timestamp) of first donation included (defaults to 30 days before end date)
+	 * @apiParam {Number} [endDate] Date (UNIX timestamp) after the last donation included (defaults to now)
+	 * @apiParam {String} [interval="day"] Length of each period (day, week or month)
+	 * @apiParam {String} [currency] Currency code of totals (defaults to the default currency)
+	 *
+	 * @apiSuccess {Object} report Report object (totalAmount, matchedAmount, donationCount, uniqueDonors, averageGift, campaigns, posts and periods)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/charity.report', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Find charity and date range
+			function (callback) {
+				findReportCharity(req, function (err, charity, range) {
+					callback(err, charity, range);
+				});
+			},
+
+			// Validate fields
+			function (charity, range, callback) {
+				var fields = [];
+				if (req.body.interval) fields.push(Validation.reportInterval('Interval', req.body.interval));
+				if (req.body.currency) fields.push(Validation.currencyCode('Currency', req.body.currency));
+				callback(Validation.catchErrors(fields), charity, range);
+			},
+
+			// Get report, add to response
+			function (charity, range, callback) {
+				Donation.getCharityReport({
+					'charity': charity,
+					'startDate': range.startDate,
+					'endDate': range.endDate,
+					'interval': req.body.interval || Types.reportIntervals.day,
+					'currency': req.body.currency || Currency.defaultCurrency,
+				}, function (err, report) {
+					if (report) Secretary.addToResponse({
+						'response': res,
+						'key': "report",
+						'value': report,
+						'noFormat': true,
+					});
 					callback(err);
 				});
 			},
@@ -90,4 +593,53 @@ module.exports = function (server) {
 			else Secretary.respond(req, res);
 		})
 	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /charity.exportDonations Export Donations
+	 * @apiName Export Donations
+	 * @apiGroup Charity
+	 * @apiDescription Downloads a CSV file of a charity user's charity's individual donations, including refunded donations (donors who keep their donations anonymous are not named, emails are only included for donors who share them with charities)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {Number} [startDate] Date (UNIX timestamp) of first donation included (defaults to 30 days before end date)
+	 * @apiParam {Number} [endDate] Date (UNIX timestamp) after the last donation included (defaults to now)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/charity.exportDonations', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Find charity and date range
+			function (callback) {
+				findReportCharity(req, function (err, charity, range) {
+					callback(err, charity, range);
+				});
+			},
+
+			// Get donations
+			function (charity, range, callback) {
+				Donation.getCharityExport({
+					'charity': charity,
+					'startDate': range.startDate,
+					'endDate': range.endDate,
+				}, function (err, rows) {
+					callback(err, rows);
+				});
+			},
+
+		], function (err, rows) {
+			if (err) return next(err);
+
+			// Send CSV export
+			Secretary.sendFile({
+				'response': res,
+				'data': Documents.makeDonationsCSV(rows),
+				'type': "text/csv",
+				'filename': "cchange-donations.csv",
+			});
+		})
+	})
 };
\ No newline at end of file
@@ -1,20 +1,22 @@
 
 // Initialize dependencies
 const Async = require('async');
-const Tokens = require('jsonwebtoken');
-const HashPassword = require('password-hash');
+const Authentication = require('./../tools/Authentication');
 const Database = require('./../tools/Database');
 const Validation = require('./../tools/Validation');
 const Secretary = require('./../tools/Secretary');
 const Messages = require('./../tools/Messages');
 const Dates = require('./../tools/Dates');
 const Email = require('./../tools/Email');
+const Types = require('./../tools/Types');
 
 // Initialize config
 const config = require('./../../config');
 
 // Initialize models
 const CharityToken = require('./../model/CharityToken');
+const AdminAction = require('./../model/AdminAction');
+const User = require('./../model/User');
 
 // Attach charityToken endpoints to server
 module.exports = function (server) {
@@ -25,43 +27,73 @@ module.exports = function (server) {
 	 * @apiName Create
 	 * @apiGroup CharityToken
 	 * @apiDescription Creates and emails a charity token for cChange administrators
+	 * @apiUse Authorization
 	 *
-	 * @apiParam {String} adminPassword Administration password
 	 * @apiParam {String} email Email of user to send charity token to
 	 *
+	 * @apiSuccess {Object} charityToken Charity token object
+	 *
 	 * @apiUse Error
 	 */
 	server.post('/charityToken.create', function (req, res, next) {
 
-		// Validate required fields
-		var err = Validation.catchErrors([
-			Validation.password('Admin password', req.body.adminPassword),
-			Validation.email('Email', req.body.email),
-		]);
-		if (err) return next(err);
-
-		// Check password
-		if (req.body.adminPassword !== config.adminPassword) {
-			return next(Secretary.conflictError(Messages.authErrors.adminUnauthorized));
-		}
-
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
-			// Create new charity token
+			// Authenticate administrator
 			function (callback) {
+				Authentication.authenticateAdmin(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.email('Email', req.body.email),
+				]), token);
+			},
+
+			// Find administrator using token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, admin) {
+					if (!admin) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, admin);
+				});
+			},
+
+			// Create new charity token
+			function (admin, callback) {
 				CharityToken.create({
 					'email': req.body.email,
+					'admin': admin,
 				}, function (err, charityToken) {
 					Secretary.addToResponse({
 						'response': res,
 						'key': "charityToken",
 						'value': charityToken,
 					});
-					callback(err, charityToken);
+					callback(err, admin, charityToken);
 				})
 			},
 
+			// Record admin action
+			function (admin, charityToken, callback) {
+				AdminAction.record({
+					'admin': admin,
+					'action': Types.adminActions.inviteCharity,
+					'target': charityToken,
+					'details': req.body.email,
+				}, function (err) {
+					callback(err, charityToken);
+				});
+			},
+
 			// Email charity token
 			function (charityToken, callback) {
 				Email.sendCharityToken({
@@ -0,0 +1,262 @@
+/**
+ * @namespace apiDocs
+ * @private
+ */
+
+// Initialize dependencies
+const Async = require('async');
+const Authentication = require('./../tools/Authentication');
+const Database = require('./../tools/Database');
+const Validation = require('./../tools/Validation');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+
+// Initialize models
+const Comment = require('./../model/Comment');
+const Post = require('./../model/Post');
+const Update = require('./../model/Update');
+const User = require('./../model/User');
+
+/**
+ * Finds a comment which wasn't deleted
+ * @memberof apiDocs
+ * @private
+ * @param {String} guid GUID of comment
+ * @param {function(err, comment)} callback Callback function
+ */
+function findComment (guid, callback) {
+	Database.findOne({
+		'model': Comment,
+		'query': {
+			'guid': guid,
+		},
+	}, function (err, comment) {
+		if (!err && (!comment || comment.erased)) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+		else callback(err, comment);
+	});
+};
+
+// Attach comment endpoints to server
+module.exports = function (server) {
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /comment.create Create
+	 * @apiName Create
+	 * @apiGroup Comment
+	 * @apiDescription Comments on a post or charity update, or replies to a comment (requires a verified email)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} text Body of comment
+	 * @apiParam {String} [post] GUID of post to comment on (required if update and parent not provided)
+	 * @apiParam {String} [update] GUID of update to comment on (required if post and parent not provided)
+	 * @apiParam {String} [parent] GUID of comment to reply to (ignores post and update, replies to replies are added to the same thread)
+	 *
+	 * @apiSuccess {Object} comment Comment object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/comment.create', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user with verified email
+			function (callback) {
+				Authentication.authenticateVerifiedUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				var fields = [
+					Validation.string('Text', req.body.text),
+				];
+				if (req.body.parent) fields.push(Validation.string('Parent comment ID (parent)', req.body.parent));
+				else if (req.body.update) fields.push(Validation.string('Update ID (update)', req.body.update));
+				else fields.push(Validation.string('Post ID (post)', req.body.post));
+				callback(Validation.catchErrors(fields), token);
+			},
+
+			// Find comment being replied to
+			function (token, callback) {
+				if (!req.body.parent) return callback(null, token, null);
+				findComment(req.body.parent, function (err, parent) {
+					callback(err, token, parent);
+				});
+			},
+
+			// Find post or update being commented on
+			function (token, parent, callback) {
+				var model = Post, guid = req.body.post;
+				if (parent) {
+					if (parent.update) model = Update, guid = parent.update;
+					else guid = parent.post;
+				} else if (req.body.update) {
+					model = Update, guid = req.body.update;
+				}
+				Database.findOne({
+					'model': model,
+					'query': {
+						'guid': guid,
+					},
+				}, function (err, target) {
+					if (!err && (!target || target.erased)) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, token, parent, target);
+				});
+			},
+
+			// Find user using token
+			function (token, parent, target, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!err && !user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, parent, target, user);
+				});
+			},
+
+			// Create comment, add to response
+			function (parent, target, user, callback) {
+				Comment.create({
+					'user': user,
+					'post': target.objectType == "post" ? target : null,
+					'update': target.objectType == "update" ? target : null,
+					'parent': parent,
+					'text': req.body.text,
+				}, function (err, comment) {
+					if (comment) Secretary.addToResponse({
+						'response': res,
+						'key': "comment",
+						'value': comment,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /comment.edit Edit
+	 * @apiName Edit
+	 * @apiGroup Comment
+	 * @apiDescription Edits a comment for its author
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} comment GUID of comment
+	 * @apiParam {String} text Body of comment
+	 *
+	 * @apiSuccess {Object} comment Comment object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/comment.edit', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('Comment ID (comment)', req.body.comment),
+					Validation.string('Text', req.body.text),
+				]), token);
+			},
+
+			// Find comment
+			function (token, callback) {
+				findComment(req.body.comment, function (err, comment) {
+					callback(err, token, comment);
+				});
+			},
+
+			// Edit comment, add to response
+			function (token, comment, callback) {
+				comment.edit({
+					'token': token,
+					'text': req.body.text,
+				}, function (err, comment) {
+					if (comment) Secretary.addToResponse({
+						'response': res,
+						'key': "comment",
+						'value': comment,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /comment.delete Delete
+	 * @apiName Delete
+	 * @apiGroup Comment
+	 * @apiDescription Deletes a comment and its replies (allowed for its author, administrators, and charity editors for comments on their charity's updates)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} comment GUID of comment
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/comment.delete', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('Comment ID (comment)', req.body.comment),
+				]), token);
+			},
+
+			// Find comment
+			function (token, callback) {
+				findComment(req.body.comment, function (err, comment) {
+					callback(err, token, comment);
+				});
+			},
+
+			// Delete comment
+			function (token, comment, callback) {
+				comment.erase({
+					'token': token,
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+};
\ No newline at end of file
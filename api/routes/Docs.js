@@ -27,4 +27,12 @@
   * @apiParam {String} [sortKey = "dateCreated"] Object property to sort by
   * @apiParam {Number} [pageNumber = 0] Page number (number of objects to skip in sorted query)
   *
+  */
+
+ /**
+  *
+  * @memberof apiDocs
+  * @apiDefine Idempotency
+  * @apiHeader {String} [Idempotency-Key] Unique key for this request, retries with the same key and body get the first response back instead of being processed again (keys expire after 24 hours)
+  *
   */
\ No newline at end of file
@@ -6,12 +6,15 @@
 // Initialize dependencies
 const Async = require('async');
 const Authentication = require('./../tools/Authentication');
+const Idempotency = require('./../tools/Idempotency');
 const Database = require('./../tools/Database');
 const Paging = require('./../tools/Paging');
 const Validation = require('./../tools/Validation');
 const Secretary = require('./../tools/Secretary');
 const Messages = require('./../tools/Messages');
 const Dates = require('./../tools/Dates');
+const Types = require('./../tools/Types');
+const Documents = require('./../tools/Documents');
 
 // Initialize config
 const config = require('./../../config');
@@ -23,6 +26,67 @@ const Campaign = require('./../model/Campaign');
 const Post = require('./../model/Post');
 const User = require('./../model/User');
 
+/**
+ * Finds a donation and approves or denies its requested refund, adds it to the response
+ * @memberof apiDocs
+ * @private
+ * @param {Object} req Express.js request object
+ * @param {Object} res Express.js response object
+ * @param {Boolean} approve True to approve refund, false to deny it
+ * @param {function(err)} callback Callback function
+ */
+function reviewRefund (req, res, approve, callback) {
+
+	// Synchronously perform the following tasks, then make callback...
+	Async.waterfall([
+
+		// Authenticate user (charity editor or administrator is checked by donation)
+		function (callback) {
+			Authentication.authenticateUser(req, function (err, token) {
+				callback(err, token);
+			});
+		},
+
+		// Validate required fields
+		function (token, callback) {
+			callback(Validation.catchErrors([
+				Validation.string('Donation ID (donation)', req.body.donation),
+			]), token);
+		},
+
+		// Find donation
+		function (token, callback) {
+			Database.findOne({
+				'model': Donation,
+				'query': {
+					'guid': req.body.donation,
+				}
+			}, function (err, donation) {
+				if (!err && !donation) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+				else callback(err, token, donation);
+			});
+		},
+
+		// Approve or deny refund, add to response
+		function (token, donation, callback) {
+			var review = approve ? donation.approveRefund : donation.denyRefund;
+			review.call(donation, {
+				'token': token,
+			}, function (err, donation) {
+				if (donation) Secretary.addToResponse({
+					'response': res,
+					'key': "donation",
+					'value': donation,
+				});
+				callback(err);
+			});
+		},
+
+	], function (err) {
+		callback(err);
+	});
+};
+
 // Attach campaign endpoints to server
 module.exports = function (server) {
 
@@ -31,10 +95,10 @@ module.exports = function (server) {
 	 * @api {POST} /donation.create Create
 	 * @apiName Create
 	 * @apiGroup Donation
-	 * @apiDescription Creates a new donation for a charity, campaign or post
+	 * @apiDescription Creates a new donation for a charity, campaign or post (requires a verified email)
 	 * @apiUse Authorization
 	 *
-	 * @apiParam {Number} amount Number of cents of donation
+	 * @apiParam {Number} amount Number of cents of donation (in the currency of the user's balance)
 	 * @apiParam {String} [post] GUID of post to make donation to (ignores campaign and charity)
 	 * @apiParam {String} [campaign] GUID of campaign to make donation to (ignores post and charity)
 	 * @apiParam {String} [charity] GUID of charity to make donation to (ignores campaign and post)
@@ -44,17 +108,19 @@ module.exports = function (server) {
 	 * @apiSuccess {Object} user Donating user object
 	 * @apiSuccess {Object} [campaign] Campaign object (if campaign or post provided)
 	 * @apiSuccess {Object} [post] Post object (if post provided)
+	 * @apiSuccess {Array} [matchedDonations] Donations made by sponsors matching this donation (if campaign has matching pledges)
 	 *
+	 * @apiUse Idempotency
 	 * @apiUse Error
 	 */
-	server.post('/donation.create', function (req, res, next) {
+	server.post('/donation.create', Idempotency.check, function (req, res, next) {
 
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
-			// Authenticate user
+			// Authenticate user with verified email
 			function (callback) {
-				Authentication.authenticateUser(req, function (err, token) {
+				Authentication.authenticateVerifiedUser(req, function (err, token) {
 					callback(err, token);
 				});
 			},
@@ -70,7 +136,7 @@ module.exports = function (server) {
 				callback(Validation.catchErrors(fields), token);
 			},
 
-			// Get user object with token, check if enough funds are available
+			// Get user object with token
 			function (token, callback) {
 				Database.findOne({
 					'model': User,
@@ -79,155 +145,200 @@ module.exports = function (server) {
 					}
 				}, function (err, user) {
 					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
-					else {
-						if (req.body.amount > user.balance) {
-							callback(Secretary.conflictError(Messages.conflictErrors.insufficientFunds));
-						} else callback(err, user);
-					}
+					else callback(err, user);
 				})
 			},
 
-			// Find post object if applicable
+			// Find post, campaign and charity objects
 			function (user, callback) {
-				if (req.body.post) {
-					Database.findOne({
-						'model': Post,
-						'query': {
-							'guid': req.body.post,
-						}
-					}, function (err, post) {
-						if (!post) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
-						else callback(err, user, post);
-					})
-				} else {
-					callback(null, user, null);
-				}
-			},
-
-			// Find campaign object if applicable
-			function (user, post, callback) {
-				if (post || req.body.campaign) {
-					var campaignToFind = req.body.campaign;
-					if (!campaignToFind) campaignToFind = post.campaign;
-					Database.findOne({
-						'model': Campaign,
-						'query': {
-							'guid': campaignToFind,
-						}
-					}, function (err, campaign) {
-						if (!campaign) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
-						else callback(err, user, post, campaign);
-					})
-				} else {
-					callback(null, user, null, null);
-				}
-			},
-
-			// Find charity object
-			function (user, post, campaign, callback) {
-				if (campaign || req.body.charity) {
-					var charityToFind = req.body.charity;
-					if (!charityToFind) charityToFind = campaign.charity;
-					Database.findOne({
-						'model': Charity,
-						'query': {
-							'guid': charityToFind,
-						}
-					}, function (err, charity) {
-						if (!charity) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
-						else callback(err, user, post, campaign, charity);
-					})
-				} else {
-					callback(Secretary.requestError("You must provide a post, campaign or charity to make a donation."));
-				}
-			},
-
-			// Decrement user's funds
-			function (user, post, campaign, charity, callback) {
-				user.updateBalance({
-					'change': 0-req.body.amount,
-				}, function (err, user) {
-					callback(err, user, post, campaign, charity);
+				Donation.findTargets({
+					'post': req.body.post,
+					'campaign': req.body.campaign,
+					'charity': req.body.charity,
+				}, function (err, targets) {
+					if (err) callback(err);
+					else callback(null, user, targets.post, targets.campaign, targets.charity);
 				});
 			},
 
-			// Make donation, add to request
+			// Make donation (debits user's funds), add donation, user, post, campaign and charity to request
 			function (user, post, campaign, charity, callback) {
-				Donation.create({
+				Donation.make({
 					'user': user,
 					'post': post,
 					'campaign': campaign,
 					'charity': charity,
 					'amount': req.body.amount,
+				}, function (err, result) {
+					var keys = ["donation", "user", "post", "campaign", "charity", "matchedDonations"];
+					if (result) for (var i in keys) {
+						if (result[keys[i]]) Secretary.addToResponse({
+							'response': res,
+							'key': keys[i],
+							'value': result[keys[i]],
+						});
+					}
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /donation.requestRefund Request Refund
+	 * @apiName Request Refund
+	 * @apiGroup Donation
+	 * @apiDescription Requests a refund for the user's donation (within 30 days of donating), the charity or an administrator approves or denies it
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} donation GUID of donation
+	 * @apiParam {String} [reason] Reason for requesting refund
+	 *
+	 * @apiSuccess {Object} donation Donation object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/donation.requestRefund', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate fields
+			function (token, callback) {
+				var fields = [
+					Validation.string('Donation ID (donation)', req.body.donation),
+				];
+				if (req.body.reason) fields.push(Validation.string('Reason', req.body.reason));
+				callback(Validation.catchErrors(fields), token);
+			},
+
+			// Find donation
+			function (token, callback) {
+				Database.findOne({
+					'model': Donation,
+					'query': {
+						'guid': req.body.donation,
+					}
+				}, function (err, donation) {
+					if (!err && !donation) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, token, donation);
+				});
+			},
+
+			// Request refund, add to response
+			function (token, donation, callback) {
+				donation.requestRefund({
+					'token': token,
+					'reason': req.body.reason,
 				}, function (err, donation) {
 					if (donation) Secretary.addToResponse({
 						'response': res,
 						'key': "donation",
-						'value': donation
+						'value': donation,
 					});
-					callback(err, user, post, campaign, charity, donation);
-				})
+					callback(err);
+				});
 			},
 
-			// Add donation to user, attach to response
-			function (user, post, campaign, charity, donation, callback) {
-				user.addDonation({
-					'donation': donation
-				}, function (err, user) {
-					if (user) Secretary.addToResponse({
-						'response': res,
-						'key': "user",
-						'value': user
-					});
-					callback(err, post, campaign, charity, donation);
-				})
-			},
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
 
-			// Add donation to post, attach to response (if applicable)
-			function (post, campaign, charity, donation, callback) {
-				if (post) {
-					post.addDonation({
-						'donation': donation
-					}, function (err, post) {
-						if (post) Secretary.addToResponse({
-							'response': res,
-							'key': "post",
-							'value': post
-						});
-						callback(err, campaign, charity, donation);
-					});
-				} else {
-					callback(null, campaign, charity, donation);
-				}
-			},
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /donation.approveRefund Approve Refund
+	 * @apiName Approve Refund
+	 * @apiGroup Donation
+	 * @apiDescription Approves a requested refund, returning the donation's amount to the donating user's balance (requires charity editor or administrator)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} donation GUID of donation
+	 *
+	 * @apiSuccess {Object} donation Donation object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/donation.approveRefund', function (req, res, next) {
+		reviewRefund(req, res, true, function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
 
-			// Add donation to campaign (if applicable)
-			function (campaign, charity, donation, callback) {
-				if (campaign) {
-					campaign.addDonation({
-						'donation': donation
-					}, function (err, campaign) {
-						if (campaign) Secretary.addToResponse({
-							'response': res,
-							'key': "campaign",
-							'value': campaign
-						});
-						callback(err, charity, donation);
-					});
-				} else {
-					callback (null, charity, donation);
-				}
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /donation.denyRefund Deny Refund
+	 * @apiName Deny Refund
+	 * @apiGroup Donation
+	 * @apiDescription Denies a requested refund, the charity keeps the donation (requires charity editor or administrator)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} donation GUID of donation
+	 *
+	 * @apiSuccess {Object} donation Donation object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/donation.denyRefund', function (req, res, next) {
+		reviewRefund(req, res, false, function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /donation.refundRequests Refund Requests
+	 * @apiName Refund Requests
+	 * @apiGroup Donation
+	 * @apiDescription Queries donations to the authenticated charity with requested refunds (requires charity editor)
+	 * @apiUse Authorization
+	 * @apiUse Paging
+	 *
+	 * @apiSuccess {Array} objects Array of donation objects
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/donation.refundRequests', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate charity editor
+			function (callback) {
+				Authentication.authenticateCharityRole(req, Types.charityRoles.editor, function (err, token) {
+					callback(err, token);
+				});
 			},
 
-			// Add donation to charity
-			function (charity, donation, callback) {
-				charity.addDonation({
-					'donation': donation
-				}, function (err, charity) {
-					if (charity) Secretary.addToResponse({
+			// Page donations with requested refunds, add to response
+			function (token, callback) {
+				Paging.pageObjects({
+					'model': Donation,
+					'query': {
+						'charity': token.charity,
+						'status': Types.donationStatuses.refundRequested,
+					},
+					'params': req.body,
+				}, function (err, objects) {
+					if (objects) Secretary.addToResponse({
 						'response': res,
-						'key': "charity",
-						'value': charity
+						'key': "objects",
+						'value': objects,
 					});
 					callback(err);
 				});
@@ -238,4 +349,170 @@ module.exports = function (server) {
 			else Secretary.respond(req, res);
 		})
 	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /donation.receipt Receipt
+	 * @apiName Receipt
+	 * @apiGroup Donation
+	 * @apiDescription Gets a receipt for one of the user's donations as JSON or a downloadable PDF
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} donation GUID of donation
+	 * @apiParam {String} [format="json"] Receipt format (json or pdf)
+	 *
+	 * @apiSuccess {Object} receipt Receipt object (json format only)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/donation.receipt', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate fields
+			function (token, callback) {
+				var fields = [
+					Validation.string('Donation ID (donation)', req.body.donation),
+				];
+				if (req.body.format) fields.push(Validation.documentFormat('Format', req.body.format));
+				callback(Validation.catchErrors(fields), token);
+			},
+
+			// Find user's donation
+			function (token, callback) {
+				Database.findOne({
+					'model': Donation,
+					'query': {
+						'guid': req.body.donation,
+					}
+				}, function (err, donation) {
+					if (!err && !donation) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (!err && donation.user != token.user && !token.admin) callback(Secretary.authorizationError(Messages.authErrors.noAccess));
+					else callback(err, donation);
+				});
+			},
+
+			// Get receipt
+			function (donation, callback) {
+				donation.getReceipt(function (err, receipt) {
+					callback(err, receipt);
+				});
+			},
+
+		], function (err, receipt) {
+			if (err) return next(err);
+
+			// Send PDF receipt
+			if (req.body.format == Types.documentFormats.pdf) return Documents.makeReceiptPDF(receipt, function (err, data) {
+				if (err) return next(err);
+				Secretary.sendFile({
+					'response': res,
+					'data': data,
+					'type': "application/pdf",
+					'filename': "cchange-receipt-" + receipt.receiptNumber + ".pdf",
+				});
+			});
+
+			// Send JSON receipt
+			Secretary.addToResponse({
+				'response': res,
+				'key': "receipt",
+				'value': receipt,
+				'noFormat': true,
+			});
+			Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /donation.statement Annual Statement
+	 * @apiName Annual Statement
+	 * @apiGroup Donation
+	 * @apiDescription Gets the user's giving statement for a calendar year, with donations totaled by charity in the user's currency (refunded donations are excluded), as JSON or a downloadable PDF
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {Number} year Calendar year (e.g. 2017)
+	 * @apiParam {String} [format="json"] Statement format (json or pdf)
+	 *
+	 * @apiSuccess {Object} statement Statement object (json format only)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/donation.statement', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate fields
+			function (token, callback) {
+				var fields = [
+					Validation.number('Year', req.body.year),
+				];
+				if (req.body.format) fields.push(Validation.documentFormat('Format', req.body.format));
+				callback(Validation.catchErrors(fields), token);
+			},
+
+			// Find user using token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					}
+				}, function (err, user) {
+					if (!err && !user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, user);
+				});
+			},
+
+			// Get statement
+			function (user, callback) {
+				Donation.getStatement({
+					'user': user,
+					'year': parseInt(req.body.year),
+				}, function (err, statement) {
+					callback(err, statement);
+				});
+			},
+
+		], function (err, statement) {
+			if (err) return next(err);
+
+			// Send PDF statement
+			if (req.body.format == Types.documentFormats.pdf) return Documents.makeStatementPDF(statement, function (err, data) {
+				if (err) return next(err);
+				Secretary.sendFile({
+					'response': res,
+					'data': data,
+					'type': "application/pdf",
+					'filename': "cchange-statement-" + statement.year + ".pdf",
+				});
+			});
+
+			// Send JSON statement
+			Secretary.addToResponse({
+				'response': res,
+				'key': "statement",
+				'value': statement,
+				'noFormat': true,
+			});
+			Secretary.respond(req, res);
+		})
+	})
 };
\ No newline at end of file
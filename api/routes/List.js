@@ -21,6 +21,7 @@ const Campaign = require('./../model/Campaign');
 const Update = require('./../model/Update');
 const Donation = require('./../model/Donation');
 const Post = require('./../model/Post');
+const Comment = require('./../model/Comment');
 
 // Attach user endpoints to server
 module.exports = function (server) {
@@ -192,6 +193,8 @@ module.exports = function (server) {
 	* @apiParam {String} [charity] Limit objects by charity
 	* @apiParam {String} [campaign] Limit objects by campaign
 	* @apiParam {String} [post] Limit objects by post
+	* @apiParam {String} [update] Limit comments by update
+	* @apiParam {String} [parent] Limit comments to replies to a comment (null lists top-level comments)
 	* @apiParam {String} [user] Limit objects by user
 	* @apiParam {String} [keyword] Limit objects by keyword
 	* @apiParam {String} [category] Limit objects by category
@@ -214,6 +217,8 @@ module.exports = function (server) {
 				if (req.body.charity) fields.push(Validation.string('Charity ID (charity)', req.body.charity));
 				if (req.body.campaign) fields.push(Validation.string('Campaign ID (campaign)', req.body.campaign));
 				if (req.body.post) fields.push(Validation.string('Post ID (post)', req.body.post));
+				if (req.body.update) fields.push(Validation.string('Update ID (update)', req.body.update));
+				if (req.body.parent) fields.push(Validation.string('Parent comment ID (parent)', req.body.parent));
 				if (req.body.user) fields.push(Validation.string('User ID (user)', req.body.user));
 				if (req.body.keyword) fields.push(Validation.string('Keyword', req.body.keyword));
 				if (req.body.category) fields.push(Validation.category('Category', req.body.category));
@@ -232,6 +237,7 @@ module.exports = function (server) {
 					case "campaign": model = Campaign; break;
 					case "update": model = Update; break;
 					case "donation": model = Donation; break;
+					case "comment": model = Comment; break;
 				}
 
 				// Setup query
@@ -239,6 +245,8 @@ module.exports = function (server) {
 				if (req.body.charity) query.charity = req.body.charity;
 				if (req.body.campaign) query.campaign = req.body.campaign;
 				if (req.body.post) query.post = req.body.post;
+				if (req.body.update) query.update = req.body.update;
+				if (req.body.parent !== undefined && req.body.type == "comment") query.parent = req.body.parent;
 				if (req.body.user) query.user = req.body.user;
 				if (req.body.keyword) {
 					query.$text = {
@@ -323,6 +331,7 @@ module.exports = function (server) {
  					case "campaign": model = Campaign; break;
  					case "update": model = Update; break;
  					case "donation": model = Donation; break;
+ 					case "comment": model = Comment; break;
  				}
 
  				// Page objects
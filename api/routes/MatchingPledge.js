@@ -0,0 +1,148 @@
+/**
+ * @namespace apiDocs
+ * @private
+ */
+
+// Initialize dependencies
+const Async = require('async');
+const Authentication = require('./../tools/Authentication');
+const Database = require('./../tools/Database');
+const Validation = require('./../tools/Validation');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+
+// Initialize models
+const MatchingPledge = require('./../model/MatchingPledge');
+const Campaign = require('./../model/Campaign');
+
+// Attach matching pledge endpoints to server
+module.exports = function (server) {
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /matchingPledge.create Create
+	 * @apiName Create
+	 * @apiGroup MatchingPledge
+	 * @apiDescription Adds a sponsor's pledge to match donations to a campaign up to a cap (requires charity editor or administrator)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} campaign GUID of campaign
+	 * @apiParam {String} sponsorName Name of sponsor
+	 * @apiParam {Number} ratio Cents matched for each cent donated (e.g. 1 doubles donations)
+	 * @apiParam {Number} cap Most cents the sponsor will give in total
+	 * @apiParam {Number} expiryDate Date (UNIX timestamp) after which donations are no longer matched
+	 *
+	 * @apiSuccess {Object} matchingPledge Matching pledge object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/matchingPledge.create', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user (charity editor or administrator is checked by matching pledge)
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('Campaign ID (campaign)', req.body.campaign),
+					Validation.string('Sponsor name', req.body.sponsorName),
+					Validation.positiveNumber('Ratio', req.body.ratio),
+					Validation.positiveNumber('Cap', req.body.cap),
+					Validation.futureDate('Expiry date', req.body.expiryDate),
+				]), token);
+			},
+
+			// Find campaign
+			function (token, callback) {
+				Database.findOne({
+					'model': Campaign,
+					'query': {
+						'guid': req.body.campaign,
+					}
+				}, function (err, campaign) {
+					if (!err && !campaign) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (!err && campaign.isEnded()) callback(Secretary.conflictError(Messages.conflictErrors.campaignEnded));
+					else callback(err, token, campaign);
+				});
+			},
+
+			// Create matching pledge, add to response
+			function (token, campaign, callback) {
+				MatchingPledge.create({
+					'token': token,
+					'campaign': campaign,
+					'sponsorName': req.body.sponsorName,
+					'ratio': req.body.ratio,
+					'cap': req.body.cap,
+					'expiryDate': req.body.expiryDate,
+				}, function (err, matchingPledge) {
+					if (matchingPledge) Secretary.addToResponse({
+						'response': res,
+						'key': "matchingPledge",
+						'value': matchingPledge,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /matchingPledge.list List
+	 * @apiName List
+	 * @apiGroup MatchingPledge
+	 * @apiDescription Gets all matching pledges for a campaign, including expired and used up pledges
+	 *
+	 * @apiParam {String} campaign GUID of campaign
+	 *
+	 * @apiSuccess {Array} objects Array of matching pledge objects
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/matchingPledge.list', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Validate required fields
+			function (callback) {
+				callback(Validation.catchErrors([
+					Validation.string('Campaign ID (campaign)', req.body.campaign),
+				]));
+			},
+
+			// Find matching pledges, add to response
+			function (callback) {
+				Database.find({
+					'model': MatchingPledge,
+					'query': {
+						'campaign': req.body.campaign,
+					},
+				}, function (err, matchingPledges) {
+					if (matchingPledges) Secretary.addToResponse({
+						'response': res,
+						'key': "objects",
+						'value': matchingPledges,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * @namespace apiDocs
+ * @private
+ */
+
+// Initialize dependencies
+const Async = require('async');
+const Authentication = require('./../tools/Authentication');
+const Database = require('./../tools/Database');
+const Validation = require('./../tools/Validation');
+const Paging = require('./../tools/Paging');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+
+// Initialize models
+const Notification = require('./../model/Notification');
+
+// Attach notification endpoints to server
+module.exports = function (server) {
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /notification.list List
+	 * @apiName List
+	 * @apiGroup Notification
+	 * @apiDescription Queries the authenticated user's notifications (newest first by default)
+	 * @apiUse Authorization
+	 * @apiUse Paging
+	 *
+	 * @apiParam {Boolean} [unread] True to only list unread notifications
+	 *
+	 * @apiSuccess {Array} objects Array of notification objects
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/notification.list', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate fields
+			function (token, callback) {
+				var fields = [];
+				if (req.body.unread !== undefined) fields.push(Validation.boolean('Unread', req.body.unread));
+				callback(Validation.catchErrors(fields), token);
+			},
+
+			// Page notifications, add to response
+			function (token, callback) {
+
+				// Setup query
+				var query = {
+					'user': token.user,
+				};
+				if (req.body.unread) query.read = false;
+
+				// Page objects
+				Paging.pageObjects({
+					'model': Notification,
+					'query': query,
+					'params': req.body,
+				}, function (err, objects) {
+					if (objects) Secretary.addToResponse({
+						'response': res,
+						'key': "objects",
+						'value': objects,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /notification.markRead Mark Read
+	 * @apiName Mark Read
+	 * @apiGroup Notification
+	 * @apiDescription Marks one of the authenticated user's notifications as read
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} notification GUID of notification
+	 *
+	 * @apiSuccess {Object} notification Notification object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/notification.markRead', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('Notification ID (notification)', req.body.notification),
+				]), token);
+			},
+
+			// Find notification
+			function (token, callback) {
+				Database.findOne({
+					'model': Notification,
+					'query': {
+						'guid': req.body.notification,
+					},
+				}, function (err, notification) {
+					if (!err && !notification) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, token, notification);
+				});
+			},
+
+			// Mark notification as read, add to response
+			function (token, notification, callback) {
+				notification.markRead({
+					'token': token,
+				}, function (err, notification) {
+					if (notification) Secretary.addToResponse({
+						'response': res,
+						'key': "notification",
+						'value': notification,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /notification.markAllRead Mark All Read
+	 * @apiName Mark All Read
+	 * @apiGroup Notification
+	 * @apiDescription Marks all of the authenticated user's notifications as read
+	 * @apiUse Authorization
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/notification.markAllRead', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Mark notifications as read
+			function (token, callback) {
+				Notification.markAllRead({
+					'user': token.user,
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+};
\ No newline at end of file
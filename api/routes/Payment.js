@@ -0,0 +1,145 @@
+/**
+ * @namespace apiDocs
+ * @private
+ */
+
+// Initialize dependencies
+const Async = require('async');
+const Authentication = require('./../tools/Authentication');
+const Database = require('./../tools/Database');
+const Payments = require('./../tools/Payments');
+const Validation = require('./../tools/Validation');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+
+// Initialize models
+const PaymentIntent = require('./../model/PaymentIntent');
+
+// Attach payment endpoints to server
+module.exports = function (server) {
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /payment.webhook Webhook
+	 * @apiName Webhook
+	 * @apiGroup Payment
+	 * @apiDescription Receives payment events from the payment provider, adds funds to users' balances for succeeded payments
+	 *
+	 * @apiHeader {String} Payment-Signature Signature of the request body ("t=timestamp,v1=signature")
+	 * @apiParam {String} type Event type (payment.succeeded or payment.failed)
+	 * @apiParam {Object} data Event data ({id} of payment)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/payment.webhook', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Check signature, read event
+			function (callback) {
+				var event = Payments.parseWebhook({
+					'rawBody': req.rawBody,
+					'signature': req.headers[Payments.signatureHeader],
+				});
+				if (!event) callback(Secretary.authorizationError(Messages.authErrors.webhookSignatureInvalid));
+				else callback(null, event);
+			},
+
+			// Handle event
+			function (event, callback) {
+				PaymentIntent.handleEvent(event, function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	// Fake confirmation is only registered for the fake development provider
+	if (Payments.isFake) {
+
+		/**
+		 * @memberof apiDocs
+		 * @api {POST} /payment.fakeConfirm Fake Confirm
+		 * @apiName Fake Confirm
+		 * @apiGroup Payment
+		 * @apiDescription Succeeds or fails a payment by sending a signed webhook through the fake payment provider (only available when the fake provider is configured)
+		 * @apiUse Authorization
+		 *
+		 * @apiParam {String} paymentIntent GUID of payment intent
+		 * @apiParam {Boolean} [succeed=true] False to fail the payment
+		 *
+		 * @apiSuccess {Object} paymentIntent Payment intent object
+		 *
+		 * @apiUse Error
+		 */
+		server.post('/payment.fakeConfirm', function (req, res, next) {
+
+			// Synchronously perform the following tasks...
+			Async.waterfall([
+
+				// Authenticate user
+				function (callback) {
+					Authentication.authenticateUser(req, function (err, token) {
+						callback(err, token);
+					});
+				},
+
+				// Validate fields
+				function (token, callback) {
+					var fields = [
+						Validation.string('Payment intent ID (paymentIntent)', req.body.paymentIntent),
+					];
+					if (req.body.succeed != null) fields.push(Validation.boolean('Succeed', req.body.succeed));
+					callback(Validation.catchErrors(fields), token);
+				},
+
+				// Find user's payment intent
+				function (token, callback) {
+					Database.findOne({
+						'model': PaymentIntent,
+						'query': {
+							'guid': req.body.paymentIntent,
+							'user': token.user,
+						},
+					}, function (err, paymentIntent) {
+						if (!err && !paymentIntent) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+						else callback(err, paymentIntent);
+					});
+				},
+
+				// Make signed webhook
+				function (paymentIntent, callback) {
+					var webhook = Payments.simulateWebhook({
+						'type': (req.body.succeed === false) ? Payments.events.failed : Payments.events.succeeded,
+						'payment': paymentIntent.providerId,
+					});
+					if (!webhook) callback(Secretary.conflictError(Messages.conflictErrors.paymentProviderUnsupported));
+					else callback(null, webhook);
+				},
+
+				// Handle webhook as if it were sent to /payment.webhook, add payment intent to response
+				function (webhook, callback) {
+					var event = Payments.parseWebhook(webhook);
+					if (!event) return callback(Secretary.authorizationError(Messages.authErrors.webhookSignatureInvalid));
+					PaymentIntent.handleEvent(event, function (err, paymentIntent) {
+						if (paymentIntent) Secretary.addToResponse({
+							'response': res,
+							'key': "paymentIntent",
+							'value': paymentIntent,
+						});
+						callback(err);
+					});
+				},
+
+			], function (err) {
+				if (err) next(err);
+				else Secretary.respond(req, res);
+			})
+		})
+	}
+};
\ No newline at end of file
@@ -28,7 +28,7 @@ module.exports = function (server) {
 	 * @api {POST} /post.create Create
 	 * @apiName Create
 	 * @apiGroup Post
-	 * @apiDescription Creates a new post for a user
+	 * @apiDescription Creates a new post for a user (requires a verified email)
 	 * @apiUse Authorization
 	 *
 	 * @apiParam {String} campaign GUID of campaign to support
@@ -45,9 +45,9 @@ module.exports = function (server) {
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
-			// Authenticate user
+			// Authenticate user with verified email
 			function (callback) {
-				Authentication.authenticateUser(req, function (err, token) {
+				Authentication.authenticateVerifiedUser(req, function (err, token) {
 					callback(err, token);
 				});
 			},
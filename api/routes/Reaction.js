@@ -0,0 +1,204 @@
+/**
+ * @namespace apiDocs
+ * @private
+ */
+
+// Initialize dependencies
+const Async = require('async');
+const Authentication = require('./../tools/Authentication');
+const Database = require('./../tools/Database');
+const Validation = require('./../tools/Validation');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+
+// Initialize models
+const Reaction = require('./../model/Reaction');
+const Post = require('./../model/Post');
+const Campaign = require('./../model/Campaign');
+const Update = require('./../model/Update');
+const User = require('./../model/User');
+
+/**
+ * Validates and finds the post, campaign or update a request reacts to
+ * @memberof apiDocs
+ * @private
+ * @param {Object} req Express.js request object (with post, campaign or update GUID in body)
+ * @param {function(err, target)} callback Callback function
+ */
+function findTarget (req, callback) {
+
+	// Select model and validate GUID
+	var model, error;
+	if (req.body.campaign) {
+		model = Campaign;
+		error = Validation.catchErrors([Validation.string('Campaign ID (campaign)', req.body.campaign)]);
+	} else if (req.body.update) {
+		model = Update;
+		error = Validation.catchErrors([Validation.string('Update ID (update)', req.body.update)]);
+	} else {
+		model = Post;
+		error = Validation.catchErrors([Validation.string('Post ID (post)', req.body.post)]);
+	}
+	if (error) return callback(error);
+
+	// Find target which wasn't deleted
+	Database.findOne({
+		'model': model,
+		'query': {
+			'guid': req.body.campaign || req.body.update || req.body.post,
+		},
+	}, function (err, target) {
+		if (!err && (!target || target.erased)) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+		else callback(err, target);
+	});
+};
+
+// Attach reaction endpoints to server
+module.exports = function (server) {
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /reaction.react React
+	 * @apiName React
+	 * @apiGroup Reaction
+	 * @apiDescription Reacts to a post, campaign or update, replacing the current user's previous reaction to it
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} reaction Reaction type (like, love, celebrate, support or sad)
+	 * @apiParam {String} [post] GUID of post (required if campaign and update not provided)
+	 * @apiParam {String} [campaign] GUID of campaign (required if post and update not provided)
+	 * @apiParam {String} [update] GUID of update (required if post and campaign not provided)
+	 *
+	 * @apiSuccess {Object} reaction Reaction object
+	 * @apiSuccess {Object} post Post object with reaction counts (if post provided)
+	 * @apiSuccess {Object} campaign Campaign object with reaction counts (if campaign provided)
+	 * @apiSuccess {Object} update Update object with reaction counts (if update provided)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/reaction.react', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.reactionType('Reaction', req.body.reaction),
+				]), token);
+			},
+
+			// Find post, campaign or update
+			function (token, callback) {
+				findTarget(req, function (err, target) {
+					callback(err, token, target);
+				});
+			},
+
+			// Find user using token
+			function (token, target, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!err && !user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, target, user);
+				});
+			},
+
+			// Save reaction, add to response
+			function (target, user, callback) {
+				Reaction.react({
+					'user': user,
+					'target': target,
+					'type': req.body.reaction,
+				}, function (err, reaction) {
+					if (reaction) {
+						Secretary.addToResponse({
+							'response': res,
+							'key': "reaction",
+							'value': reaction,
+						});
+						Secretary.addToResponse({
+							'response': res,
+							'key': target.objectType,
+							'value': target,
+						});
+					}
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /reaction.unreact Unreact
+	 * @apiName Unreact
+	 * @apiGroup Reaction
+	 * @apiDescription Removes the current user's reaction to a post, campaign or update
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} [post] GUID of post (required if campaign and update not provided)
+	 * @apiParam {String} [campaign] GUID of campaign (required if post and update not provided)
+	 * @apiParam {String} [update] GUID of update (required if post and campaign not provided)
+	 *
+	 * @apiSuccess {Object} post Post object with reaction counts (if post provided)
+	 * @apiSuccess {Object} campaign Campaign object with reaction counts (if campaign provided)
+	 * @apiSuccess {Object} update Update object with reaction counts (if update provided)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/reaction.unreact', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Find post, campaign or update
+			function (token, callback) {
+				findTarget(req, function (err, target) {
+					callback(err, token, target);
+				});
+			},
+
+			// Remove reaction, add target to response
+			function (token, target, callback) {
+				Reaction.unreact({
+					'user': token.user,
+					'target': target.guid,
+				}, function (err) {
+					if (!err) Secretary.addToResponse({
+						'response': res,
+						'key': target.objectType,
+						'value': target,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+};
\ No newline at end of file
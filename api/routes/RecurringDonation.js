@@ -0,0 +1,297 @@
+/**
+ * @namespace apiDocs
+ * @private
+ */
+
+// Initialize dependencies
+const Async = require('async');
+const Authentication = require('./../tools/Authentication');
+const Database = require('./../tools/Database');
+const Paging = require('./../tools/Paging');
+const Validation = require('./../tools/Validation');
+const Secretary = require('./../tools/Secretary');
+const Messages = require('./../tools/Messages');
+const Types = require('./../tools/Types');
+
+// Initialize models
+const RecurringDonation = require('./../model/RecurringDonation');
+const Donation = require('./../model/Donation');
+const User = require('./../model/User');
+
+/**
+ * Finds a recurring donation and changes its status, adds it to the response
+ * @memberof apiDocs
+ * @private
+ * @param {Object} req Express.js request object
+ * @param {Object} res Express.js response object
+ * @param {String} status New status (from Types.recurringDonationStatuses)
+ * @param {function(err)} callback Callback function
+ */
+function changeStatus (req, res, status, callback) {
+
+	// Synchronously perform the following tasks, then make callback...
+	Async.waterfall([
+
+		// Authenticate user
+		function (callback) {
+			Authentication.authenticateUser(req, function (err, token) {
+				callback(err, token);
+			});
+		},
+
+		// Validate required fields
+		function (token, callback) {
+			callback(Validation.catchErrors([
+				Validation.string('Recurring donation ID (recurringDonation)', req.body.recurringDonation),
+			]), token);
+		},
+
+		// Find recurring donation
+		function (token, callback) {
+			Database.findOne({
+				'model': RecurringDonation,
+				'query': {
+					'guid': req.body.recurringDonation,
+				},
+			}, function (err, recurringDonation) {
+				if (!err && !recurringDonation) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+				else callback(err, token, recurringDonation);
+			});
+		},
+
+		// Change status, add to response
+		function (token, recurringDonation, callback) {
+			recurringDonation.setStatus({
+				'token': token,
+				'status': status,
+			}, function (err, recurringDonation) {
+				if (recurringDonation) Secretary.addToResponse({
+					'response': res,
+					'key': "recurringDonation",
+					'value': recurringDonation,
+				});
+				callback(err);
+			});
+		},
+
+	], function (err) {
+		callback(err);
+	});
+};
+
+// Attach recurring donation endpoints to server
+module.exports = function (server) {
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /recurringDonation.create Create
+	 * @apiName Create
+	 * @apiGroup RecurringDonation
+	 * @apiDescription Sets up a monthly donation to a charity or campaign, the first donation is made right away (requires a verified email)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {Number} amount Number of cents of each donation (in the currency of the user's balance)
+	 * @apiParam {String} [campaign] GUID of campaign to donate to (ignores charity)
+	 * @apiParam {String} [charity] GUID of charity to donate to
+	 *
+	 * @apiSuccess {Object} recurringDonation Recurring donation object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/recurringDonation.create', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user with verified email
+			function (callback) {
+				Authentication.authenticateVerifiedUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				var fields = [
+					Validation.currency('Amount', req.body.amount),
+				];
+				if (req.body.campaign) fields.push(Validation.string('Campaign ID (campaign)', req.body.campaign));
+				else fields.push(Validation.string('Charity ID (charity)', req.body.charity));
+				callback(Validation.catchErrors(fields), token);
+			},
+
+			// Get user object with token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					}
+				}, function (err, user) {
+					if (!err && !user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, user);
+				});
+			},
+
+			// Find campaign and charity objects
+			function (user, callback) {
+				Donation.findTargets({
+					'campaign': req.body.campaign,
+					'charity': req.body.charity,
+				}, function (err, targets) {
+					if (err) callback(err);
+					else if (targets.campaign && targets.campaign.isEnded()) callback(Secretary.conflictError(Messages.conflictErrors.campaignEnded));
+					else callback(null, user, targets.campaign, targets.charity);
+				});
+			},
+
+			// Create recurring donation, add to response
+			function (user, campaign, charity, callback) {
+				RecurringDonation.create({
+					'user': user,
+					'charity': charity,
+					'campaign': campaign,
+					'amount': req.body.amount,
+				}, function (err, recurringDonation) {
+					if (recurringDonation) Secretary.addToResponse({
+						'response': res,
+						'key': "recurringDonation",
+						'value': recurringDonation,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /recurringDonation.pause Pause
+	 * @apiName Pause
+	 * @apiGroup RecurringDonation
+	 * @apiDescription Stops making a recurring donation until it's resumed
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} recurringDonation GUID of recurring donation
+	 *
+	 * @apiSuccess {Object} recurringDonation Recurring donation object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/recurringDonation.pause', function (req, res, next) {
+		changeStatus(req, res, Types.recurringDonationStatuses.paused, function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /recurringDonation.resume Resume
+	 * @apiName Resume
+	 * @apiGroup RecurringDonation
+	 * @apiDescription Starts making a paused recurring donation again (a donation that came due while paused is made right away)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} recurringDonation GUID of recurring donation
+	 *
+	 * @apiSuccess {Object} recurringDonation Recurring donation object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/recurringDonation.resume', function (req, res, next) {
+		changeStatus(req, res, Types.recurringDonationStatuses.active, function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /recurringDonation.cancel Cancel
+	 * @apiName Cancel
+	 * @apiGroup RecurringDonation
+	 * @apiDescription Permanently stops making a recurring donation
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} recurringDonation GUID of recurring donation
+	 *
+	 * @apiSuccess {Object} recurringDonation Recurring donation object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/recurringDonation.cancel', function (req, res, next) {
+		changeStatus(req, res, Types.recurringDonationStatuses.cancelled, function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /recurringDonation.list List
+	 * @apiName List
+	 * @apiGroup RecurringDonation
+	 * @apiDescription Queries the authenticated user's recurring donations
+	 * @apiUse Authorization
+	 * @apiUse Paging
+	 *
+	 * @apiParam {String} [status] Only list recurring donations with this status (ACTIVE, PAUSED or CANCELLED)
+	 *
+	 * @apiSuccess {Array} objects Array of recurring donation objects
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/recurringDonation.list', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate fields
+			function (token, callback) {
+				var fields = [];
+				if (req.body.status) fields.push(Validation.string('Status', req.body.status));
+				callback(Validation.catchErrors(fields), token);
+			},
+
+			// Page recurring donations, add to response
+			function (token, callback) {
+
+				// Setup query
+				var query = {
+					'user': token.user,
+				};
+				if (req.body.status) query.status = req.body.status;
+
+				// Page objects
+				Paging.pageObjects({
+					'model': RecurringDonation,
+					'query': query,
+					'params': req.body,
+				}, function (err, objects) {
+					if (objects) Secretary.addToResponse({
+						'response': res,
+						'key': "objects",
+						'value': objects,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+};
\ No newline at end of file
@@ -8,6 +8,7 @@ const Validation = require('./../tools/Validation');
 const Secretary = require('./../tools/Secretary');
 const Messages = require('./../tools/Messages');
 const Dates = require('./../tools/Dates');
+const Types = require('./../tools/Types');
 
 // Initialize config
 const config = require('./../../config');
@@ -24,7 +25,7 @@ module.exports = function (server) {
 	 * @api {POST} /update.create Create
 	 * @apiName Create
 	 * @apiGroup Update
-	 * @apiDescription Creates a new update for a charity user
+	 * @apiDescription Creates a new update for a charity editor
 	 * @apiUse Authorization
 	 *
 	 * @apiParam {String} name Name of update
@@ -39,9 +40,9 @@ module.exports = function (server) {
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
-			// Authenticate charity user
+			// Authenticate charity editor
 			function (callback) {
-				Authentication.authenticateCharityUser(req, function (err, token) {
+				Authentication.authenticateCharityRole(req, Types.charityRoles.editor, function (err, token) {
 					callback(err, token);
 				});
 			},
@@ -105,7 +106,7 @@ module.exports = function (server) {
 	 * @api {POST} /update.edit Edit
 	 * @apiName Edit
 	 * @apiGroup Update
-	 * @apiDescription Edits an update for a charity user
+	 * @apiDescription Edits an update for a charity editor
 	 * @apiUse Authorization
 	 *
 	 * @apiParam {String} update GUID of update to edit
@@ -121,9 +122,9 @@ module.exports = function (server) {
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
-			// Authenticate charity user
+			// Authenticate charity editor
 			function (callback) {
-				Authentication.authenticateCharityUser(req, function (err, token) {
+				Authentication.authenticateCharityRole(req, Types.charityRoles.editor, function (err, token) {
 					callback(err, token);
 				});
 			},
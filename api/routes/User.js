@@ -3,12 +3,16 @@
 const Async = require('async');
 const HashPassword = require('password-hash');
 const Authentication = require('./../tools/Authentication');
+const Idempotency = require('./../tools/Idempotency');
 const Database = require('./../tools/Database');
 const Validation = require('./../tools/Validation');
 const Secretary = require('./../tools/Secretary');
 const Messages = require('./../tools/Messages');
 const Dates = require('./../tools/Dates');
 const Paging = require('./../tools/Paging');
+const Email = require('./../tools/Email');
+const Types = require('./../tools/Types');
+const TwoFactor = require('./../tools/TwoFactor');
 
 // Initialize config
 const config = require('./../../config');
@@ -16,11 +20,228 @@ const config = require('./../../config');
 // Initialize models
 const User = require('./../model/User');
 const CharityToken = require('./../model/CharityToken');
+const PasswordResetToken = require('./../model/PasswordResetToken');
+const VerificationToken = require('./../model/VerificationToken');
+const Session = require('./../model/Session');
+const LoginAttempt = require('./../model/LoginAttempt');
 const Charity = require('./../model/Charity');
 const Campaign = require('./../model/Campaign');
 const Update = require('./../model/Update');
 const Donation = require('./../model/Donation');
-const Post = require('./../model/Donation');
+const Post = require('./../model/Post');
+const PaymentIntent = require('./../model/PaymentIntent');
+
+/**
+ * Creates a verification token for an email address and emails it
+ * @param {Object} user User object to verify
+ * @param {String} email Email address to verify
+ * @param {function(err)} callback Callback function
+ */
+function sendVerification (user, email, callback) {
+	Async.waterfall([
+
+		// Create new verification token
+		function (callback) {
+			VerificationToken.create({
+				'user': user,
+				'email': email,
+			}, function (err, verificationToken) {
+				callback(err, verificationToken);
+			});
+		},
+
+		// Email verification token
+		function (verificationToken, callback) {
+			Email.sendVerification({
+				'token': verificationToken.token,
+				'email': email,
+			}, function (err) {
+				callback(err);
+			});
+		},
+
+	], function (err) {
+		callback(err);
+	});
+};
+
+/**
+ * Finds a charity token, produces an error if it is invalid, used or expired
+ * @param {String} token Charity token (provided in email to user)
+ * @param {function(err, charityToken)} callback Callback function
+ */
+function findCharityToken (token, callback) {
+	Database.findOne({
+		'model': CharityToken,
+		'query': {
+			'token': token,
+		},
+	}, function (err, charityToken) {
+		if (err) {
+			callback(err);
+		} else if (!charityToken) {
+			callback(Secretary.conflictError(Messages.conflictErrors.charityTokenInvalid));
+		} else if (charityToken.used) {
+			callback(Secretary.conflictError(Messages.conflictErrors.charityTokenUsed));
+		} else if (charityToken.expiration < Dates.now()) {
+			callback(Secretary.conflictError(Messages.conflictErrors.charityTokenExpired));
+		} else {
+			callback(null, charityToken);
+		}
+	})
+};
+
+/**
+ * Checks a charity token can be redeemed by a user before it's marked as used
+ * @param {Object} charityToken Charity token object
+ * @param {String} email Email address of user redeeming token (must be the address the token was sent to)
+ * @param {String} charityName Name of new charity (required unless charity token is a staff invitation)
+ * @return {Object} Error object (or null)
+ */
+function checkCharityToken (charityToken, email, charityName) {
+	if (email.toLowerCase() != charityToken.email.toLowerCase())
+		return Secretary.conflictError(Messages.conflictErrors.charityTokenWrongEmail);
+	if (charityToken.charity) return null;
+	return Validation.catchErrors([
+		Validation.string('Charity name', charityName),
+	]);
+};
+
+/**
+ * Finds the charity of a staff invitation, otherwise creates a new charity
+ * @param {Object} charityToken Charity token object
+ * @param {String} charityName Name of new charity (checked by checkCharityToken)
+ * @param {function(err, charity)} callback Callback function
+ */
+function findOrCreateCharity (charityToken, charityName, callback) {
+	if (charityToken.charity) {
+		Database.findOne({
+			'model': Charity,
+			'query': {
+				'guid': charityToken.charity,
+			},
+		}, function (err, charity) {
+			if (!charity) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+			else callback(err, charity);
+		});
+	} else {
+		Charity.create({
+			'name': charityName,
+			'charityToken': charityToken,
+		}, function (err, charity) {
+			callback(err, charity);
+		});
+	}
+};
+
+/**
+ * Adds authentication tokens (and the session's charity if applicable) to a response
+ * @param {Object} res Express.js response object
+ * @param {String} token Authentication token
+ * @param {String} refreshToken Refresh token
+ * @param {Object} charity Charity object the session acts for (or null)
+ */
+function addTokensToResponse (res, token, refreshToken, charity) {
+	Secretary.addToResponse({
+		'response': res,
+		'key': "token",
+		'value': token,
+		'noFormat': true,
+	});
+	Secretary.addToResponse({
+		'response': res,
+		'key': "refreshToken",
+		'value': refreshToken,
+		'noFormat': true,
+	});
+	if (charity) Secretary.addToResponse({
+		'response': res,
+		'key': "charity",
+		'value': charity,
+	});
+};
+
+/**
+ * Makes the login attempt key for an email (emails are lowercased so every capitalization shares one counter)
+ * @param {String} email Email used to log in
+ * @return {String} Login attempt key
+ */
+function emailLoginKey (email) {
+	return "email:" + String(email).toLowerCase();
+};
+
+/**
+ * Checks a two-factor code (or recovery code) for a user, marking it as used so it can't be replayed
+ * @param {Object} user User object
+ * @param {String} code Two-factor code (ignored if recoveryCode is provided)
+ * @param {String} [recoveryCode] Recovery code
+ * @param {function(err, user)} callback Callback function (user is null if the code is incorrect or already used)
+ */
+function useTwoFactorCode (user, code, recoveryCode, callback) {
+	if (recoveryCode) {
+		var hash = TwoFactor.findRecoveryCode({
+			'hashes': user.twoFactorRecoveryCodes,
+			'code': recoveryCode,
+		});
+		if (!hash) return callback(null, null);
+		user.useRecoveryCode({'hash': hash}, callback);
+	} else {
+		var step = TwoFactor.verifyCode({
+			'secret': user.twoFactorSecret,
+			'code': code,
+			'lastStep': user.twoFactorLastStep,
+		});
+		if (!step) return callback(null, null);
+		user.useTwoFactorStep({'step': step}, callback);
+	}
+};
+
+/**
+ * Records a failed login for an email and IP address, emails user if their account was locked
+ * @param {Object} req Express.js request object
+ * @param {String} email Email used to log in
+ * @param {Object} user User object with email (or null if email isn't recognized)
+ * @param {function(err)} callback Callback function
+ */
+function recordLoginFailure (req, email, user, callback) {
+	Async.waterfall([
+
+		// Record failure for IP address (shared addresses get more attempts)
+		function (callback) {
+			LoginAttempt.recordFailure({
+				'key': "ip:" + req.ip,
+				'lockoutAttempts': 50,
+			}, function (err) {
+				callback(err);
+			});
+		},
+
+		// Record failure for email
+		function (callback) {
+			LoginAttempt.recordFailure({
+				'key': emailLoginKey(email),
+				'lockoutAttempts': 10,
+			}, function (err, loginAttempt, locked) {
+				callback(err, loginAttempt, locked);
+			});
+		},
+
+		// Email user if their account was locked
+		function (loginAttempt, locked, callback) {
+			if (!locked || !user) return callback();
+			Email.sendAccountLocked({
+				'email': user.email,
+				'minutes': Math.round((loginAttempt.blockedUntil - Dates.now()) / 60),
+			}, function (err) {
+				if (err) console.log(err);
+				callback();
+			});
+		},
+
+	], function (err) {
+		callback(err);
+	});
+};
 
 // Attach user endpoints to server
 module.exports = function (server) {
@@ -30,14 +251,17 @@ module.exports = function (server) {
 	 * @api {POST} /user.login Login
 	 * @apiName Login
 	 * @apiGroup User
-	 * @apiDescription Authenticates a user with an email and password
+	 * @apiDescription Authenticates a user with an email and password (repeated failures delay further attempts, then lock the account for 15 minutes)
 	 *
 	 * @apiParam {String} email User's email address
 	 * @apiParam {String} password User's password
+	 * @apiParam {String} [charity] GUID of charity to act for (defaults to the charity user last acted for, null for none)
 	 *
 	 * @apiSuccess {Object} user User object
-	 * @apiSuccess {String} token Authentication token
-	 * @apiSuccess {Object} charity Charity object (if user is a charity administrator)
+	 * @apiSuccess {String} token Authentication token (expires after 15 minutes)
+	 * @apiSuccess {String} refreshToken Token used to get a new authentication token
+	 * @apiSuccess {Object} charity Charity object (if user acts for a charity)
+	 * @apiSuccess {String} twoFactorToken Token for /user.login.twoFactor, returned instead of user and tokens if user has two-factor authentication (expires after 5 minutes)
 	 *
 	 * @apiUse Error
 	 */
@@ -48,11 +272,28 @@ module.exports = function (server) {
 			Validation.email('Email', req.body.email),
 			Validation.string('Password', req.body.password),
 		]);
+		if (!err && req.body.charity) err = Validation.catchErrors([
+			Validation.string('Charity ID (charity)', req.body.charity),
+		]);
 		if (err) return next(err);
 
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
+			// Ensure email and IP address aren't blocked by failed attempts
+			function (callback) {
+				LoginAttempt.blockedUntil({
+					'keys': [emailLoginKey(req.body.email), "ip:" + req.ip],
+				}, function (err, blockedUntil) {
+					if (err) return callback(err);
+					if (blockedUntil) {
+						res.set('Retry-After', blockedUntil - Dates.now());
+						return callback(Secretary.conflictError(Messages.conflictErrors.tooManyLoginAttempts));
+					}
+					callback();
+				});
+			},
+
 			// Query for user
 			function (callback) {
 				Database.findOne({
@@ -61,55 +302,64 @@ module.exports = function (server) {
 						'email': req.body.email,
 					}
 				}, function (err, user) {
-					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.emailNotFound));
-					else callback(err, user);
+					if (err) return callback(err);
+					if (!user) return recordLoginFailure(req, req.body.email, null, function (err) {
+						callback(err || Secretary.conflictError(Messages.conflictErrors.emailNotFound));
+					});
+					callback(null, user);
 				})
 			},
 
-			// Check password, add to request if correct
+			// Check password, add to request if correct (users with two-factor authentication are added after the second step)
 			function (user, callback) {
 				if (HashPassword.verify(req.body.password, user.password)) {
 					callback(null, user);
-					Secretary.addToResponse({
+					if (!user.twoFactorEnabled) Secretary.addToResponse({
 						'response': res,
 						'key': "user",
 						'value': user,
 					});
 				} else {
-					callback(Secretary.conflictError(Messages.conflictErrors.passwordIncorrect));
+					recordLoginFailure(req, req.body.email, user, function (err) {
+						callback(err || Secretary.conflictError(Messages.conflictErrors.passwordIncorrect));
+					});
 				}
 			},
 
-			// Add charity to response if user has a charity
+			// Authenticate user for selected (or current) charity, add token and charity to request
 			function (user, callback) {
-				if (user.charity) {
-					Database.findOne({
-						'model': Charity,
-						'query': {
-							'guid': user.charity,
-						}
-					}, function (err, charity) {
-						if (charity) Secretary.addToResponse({
+
+				// Require a second step for users with two-factor authentication
+				if (user.twoFactorEnabled) {
+					return Authentication.makeTwoFactorToken({
+						'user': user,
+						'charity': req.body.charity,
+					}, function (err, twoFactorToken) {
+						Secretary.addToResponse({
 							'response': res,
-							'key': "charity",
-							'value': charity
+							'key': "twoFactorToken",
+							'value': twoFactorToken,
+							'noFormat': true,
 						});
 						callback(err, user);
 					});
-				} else {
-					callback(null, user);
 				}
+
+				Authentication.makeUserToken({
+					'user': user,
+					'charity': req.body.charity,
+				}, function (err, token, refreshToken, charity) {
+					if (!err) addTokensToResponse(res, token, refreshToken, charity);
+					callback(err, user);
+				});
 			},
 
-			// Authenticate user, add token to request
+			// Clear failed attempts for email once login is complete (two-factor logins are cleared after the second step)
 			function (user, callback) {
-				Authentication.makeUserToken(user, function (err, token) {
-					Secretary.addToResponse({
-						'response': res,
-						'key': "token",
-						'value': token,
-						'noFormat': true,
-					})
+				if (user.twoFactorEnabled) return callback();
+				LoginAttempt.clear({
+					'key': emailLoginKey(user.email),
+				}, function (err) {
 					callback(err);
 				});
 			},
@@ -122,75 +372,102 @@ module.exports = function (server) {
 
 	/**
 	 * @memberof apiDocs
-	 * @api {POST} /user.create Create
-	 * @apiName Create
+	 * @api {POST} /user.login.twoFactor Login (Two-Factor)
+	 * @apiName Login (Two-Factor)
 	 * @apiGroup User
-	 * @apiDescription Creates a new user, returns authentication and new user
+	 * @apiDescription Completes a login for a user with two-factor authentication
 	 *
-	 * @apiParam {String} name User's name
-	 * @apiParam {String} email User's email address
-	 * @apiParam {String} password User's password (min. 8 characters, numbers and letter required)
+	 * @apiParam {String} twoFactorToken Token returned by /user.login
+	 * @apiParam {String} [code] Code from user's authenticator app
+	 * @apiParam {String} [recoveryCode] Single-use recovery code (if code isn't provided)
 	 *
 	 * @apiSuccess {Object} user User object
-	 * @apiSuccess {String} token Authentication token
+	 * @apiSuccess {String} token Authentication token (expires after 15 minutes)
+	 * @apiSuccess {String} refreshToken Token used to get a new authentication token
+	 * @apiSuccess {Object} charity Charity object (if user acts for a charity)
 	 *
 	 * @apiUse Error
 	 */
-	server.post('/user.create', function (req, res, next) {
+	server.post('/user.login.twoFactor', function (req, res, next) {
 
-		// Validate all fields
-		var validations = [
-			Validation.email('Email', req.body.email),
-			Validation.password('Password', req.body.password),
-			Validation.string('Name', req.body.name)
-		];
-		var err = Validation.catchErrors(validations);
+		// Validate required fields
+		var err = Validation.catchErrors([
+			Validation.string('Two factor token', req.body.twoFactorToken),
+			req.body.recoveryCode ? Validation.string('Recovery code', req.body.recoveryCode) : Validation.string('Code', req.body.code),
+		]);
 		if (err) return next(err);
 
-		// Hash password
-		var password = HashPassword.generate(req.body.password);
-
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
-			// Check if email is unique
+			// Verify two-factor token
 			function (callback) {
+				Authentication.verifyTwoFactorToken(req.body.twoFactorToken, function (err, twoFactorToken) {
+					callback(err, twoFactorToken);
+				});
+			},
+
+			// Find user using two-factor token
+			function (twoFactorToken, callback) {
 				Database.findOne({
 					'model': User,
 					'query': {
-						'email': req.body.email,
+						'guid': twoFactorToken.twoFactorUser,
 					},
 				}, function (err, user) {
-					if (user) callback(Secretary.conflictError(Messages.conflictErrors.emailAlreadyUsed));
-					else callback(err);
+					if (err) callback(err);
+					else if (!user || user.erased) callback(Secretary.conflictError(Messages.conflictErrors.twoFactorTokenInvalid));
+					else if (!user.twoFactorEnabled) callback(Secretary.conflictError(Messages.conflictErrors.twoFactorNotEnabled));
+					else callback(null, twoFactorToken, user);
 				});
 			},
 
-			// Create a new user, add to reply
-			function (callback) {
-				User.create({
-					'name': req.body.name,
-					'email': req.body.email,
-					'password': password,
-				}, function (err, user) {
-					if (user) Secretary.addToResponse({
+			// Ensure email and IP address aren't blocked by failed attempts
+			function (twoFactorToken, user, callback) {
+				LoginAttempt.blockedUntil({
+					'keys': [emailLoginKey(user.email), "ip:" + req.ip],
+				}, function (err, blockedUntil) {
+					if (err) return callback(err);
+					if (blockedUntil) {
+						res.set('Retry-After', blockedUntil - Dates.now());
+						return callback(Secretary.conflictError(Messages.conflictErrors.tooManyLoginAttempts));
+					}
+					callback(null, twoFactorToken, user);
+				});
+			},
+
+			// Check code (or recovery code), marking it as used
+			function (twoFactorToken, user, callback) {
+				useTwoFactorCode(user, req.body.code, req.body.recoveryCode, function (err, usedUser) {
+					if (err) return callback(err);
+					if (usedUser) return callback(null, twoFactorToken, user);
+					recordLoginFailure(req, user.email, user, function (err) {
+						callback(err || Secretary.conflictError(Messages.conflictErrors.twoFactorCodeIncorrect));
+					});
+				});
+			},
+
+			// Clear failed attempts for email, add user to response
+			function (twoFactorToken, user, callback) {
+				LoginAttempt.clear({
+					'key': emailLoginKey(user.email),
+				}, function (err) {
+					Secretary.addToResponse({
 						'response': res,
 						'key': "user",
 						'value': user,
 					});
-					callback(err, user);
+					callback(err, twoFactorToken, user);
 				});
 			},
 
-			// Create an authentication token for user, add to reply
-			function (user, callback) {
-				Authentication.makeUserToken(user, function (err, token) {
-					Secretary.addToResponse({
-						'response': res,
-						'key': "token",
-						'value': token,
-						'noFormat': true
-					})
+			// Authenticate user for charity requested at login, add token and charity to request
+			function (twoFactorToken, user, callback) {
+				Authentication.makeUserToken({
+					'user': user,
+					'charity': twoFactorToken.charity,
+				}, function (err, token, refreshToken, charity) {
+					if (!err) addTokensToResponse(res, token, refreshToken, charity);
 					callback(err);
 				});
 			},
@@ -198,141 +475,80 @@ module.exports = function (server) {
 		], function (err) {
 			if (err) next(err);
 			else Secretary.respond(req, res);
-		});
+		})
 	})
 
 	/**
 	 * @memberof apiDocs
-	 * @api {POST} /user.create.charity Create (Charity)
-	 * @apiName Create (Charity)
+	 * @api {POST} /user.twoFactor.enroll Enroll Two-Factor
+	 * @apiName Enroll Two-Factor
 	 * @apiGroup User
-	 * @apiDescription Creates a new user with a charity, returns authentication, user, charity
+	 * @apiDescription Starts two-factor authentication setup, returns a secret to add to an authenticator app
+	 * @apiUse Authorization
 	 *
-	 * @apiParam {String} name User's name
-	 * @apiParam {String} email User's email address
 	 * @apiParam {String} password User's password
-	 * @apiParam {String} charityName Name of charity
-	 * @apiParam {String} charityToken Charity token (provided in email to user)
 	 *
-	 * @apiSuccess {Object} user User object
-	 * @apiSuccess {String} token Authentication token
-	 * @apiSuccess {Object} charity Charity object
+	 * @apiSuccess {String} secret Base32 TOTP secret (for manual entry)
+	 * @apiSuccess {String} uri otpauth:// provisioning URI (shown as a QR code)
 	 *
 	 * @apiUse Error
 	 */
-	server.post('/user.create.charity', function (req, res, next) {
-
-		// Validate all fields
-		var validations = [
-			Validation.email('Email', req.body.email),
-			Validation.password('Password', req.body.password),
-			Validation.string('Name', req.body.name),
-			Validation.string('Charity token', req.body.charityToken),
-			Validation.string('Charity name', req.body.charityName),
-		];
-		var err = Validation.catchErrors(validations);
-		if (err) return next(err);
-
-		// Hash password
-		var password = HashPassword.generate(req.body.password);
+	server.post('/user.twoFactor.enroll', function (req, res, next) {
 
 		// Synchronously perform the following tasks...
 		Async.waterfall([
 
-			// Check if email is unique
+			// Authenticate user
 			function (callback) {
-				Database.findOne({
-					'model': User,
-					'query': {
-						'email': req.body.email,
-					},
-				}, function (err, user) {
-					if (user) callback(Secretary.conflictError(Messages.conflictErrors.emailAlreadyUsed));
-					else callback(err);
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
 				});
 			},
 
-			// Validate user's charityToken if provided
-			function (callback) {
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('Password', req.body.password),
+				]), token);
+			},
+
+			// Find current user, check password
+			function (token, callback) {
 				Database.findOne({
-					'model': CharityToken,
+					'model': User,
 					'query': {
-						'token': req.body.charityToken,
+						'guid': token.user,
 					},
-				}, function (err, charityToken) {
-					if (err) {
-						callback(err);
-					} else if (!charityToken) {
-						callback(Secretary.conflictError(Messages.conflictErrors.charityTokenInvalid));
-					} else if (charityToken.used) {
-						callback(Secretary.conflictError(Messages.conflictErrors.charityTokenUsed));
-					} else if (charityToken.expiration < Dates.now()) {
-						callback(Secretary.conflictError(Messages.conflictErrors.charityTokenExpired));
-					} else {
-						callback(null, charityToken);
-					}
-				})
-			},
-
-			// Create a charity
-			function (charityToken, callback) {
-				Charity.create({
-					'name': req.body.charityName,
-					'charityToken': charityToken,
-				}, function (err, charity) {
-					callback(err, charityToken, charity);
-				});
-			},
-
-			// Create a new user with charityGUID, add to reply
-			function (charityToken, charity, callback) {
-				User.create({
-					'name': req.body.name,
-					'email': req.body.email,
-					'password': password,
-					'charityGUID': charity.guid,
 				}, function (err, user) {
-					if (user) Secretary.addToResponse({
-						'response': res,
-						'key': "user",
-						'value': user,
-					});
-					callback(err, charityToken, charity, user);
+					if (err) callback(err);
+					else if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (!HashPassword.verify(req.body.password, user.password)) callback(Secretary.conflictError(Messages.conflictErrors.passwordIncorrect));
+					else if (user.twoFactorEnabled) callback(Secretary.conflictError(Messages.conflictErrors.twoFactorAlreadyEnabled));
+					else callback(null, user);
 				});
 			},
 
-			// Add user to charity, attach charity to response
-			function (charityToken, charity, user, callback) {
-				charity.addUser({
-					'user': user,
-				}, function (err, charity) {
-					if (charity) Secretary.addToResponse({
+			// Save new secret, add secret and URI to response
+			function (user, callback) {
+				var secret = TwoFactor.makeSecret();
+				user.setTwoFactorSecret({
+					'secret': secret,
+				}, function (err, user) {
+					Secretary.addToResponse({
 						'response': res,
-						'key': "charity",
-						'value': charity,
+						'key': "secret",
+						'value': secret,
+						'noFormat': true,
 					});
-					callback(err, charityToken, user);
-				});
-			},
-
-			// Mark charityToken as used
-			function (charityToken, user, callback) {
-				charityToken.markUsed({
-					'user': user,
-				}, function (err) {
-					callback(err, user);
-				});
-			},
-
-			// Create an authentication token for user, add to reply
-			function (user, callback) {
-				Authentication.makeUserToken(user, function (err, token) {
 					Secretary.addToResponse({
 						'response': res,
-						'key': "token",
-						'value': token,
-						'noFormat': true
-					})
+						'key': "uri",
+						'value': TwoFactor.makeURI({
+							'secret': secret,
+							'email': user.email,
+						}),
+						'noFormat': true,
+					});
 					callback(err);
 				});
 			},
@@ -345,20 +561,20 @@ module.exports = function (server) {
 
 	/**
 	 * @memberof apiDocs
-	 * @api {POST} /user.edit Edit
-	 * @apiName Edit
+	 * @api {POST} /user.twoFactor.confirm Confirm Two-Factor
+	 * @apiName Confirm Two-Factor
 	 * @apiGroup User
-	 * @apiDescription Edits an existing user
+	 * @apiDescription Enables two-factor authentication using a code from the enrolled authenticator app, returns recovery codes
+	 * @apiUse Authorization
 	 *
-	 * @apiParam {String} [name] User's name
-	 * @apiParam {String} [bio] User's bio
-	 * @apiParam {String} [picture] URL of User's profile picture
+	 * @apiParam {String} code Code from user's authenticator app
 	 *
 	 * @apiSuccess {Object} user User object
+	 * @apiSuccess {Array} recoveryCodes Single-use recovery codes (only shown once)
 	 *
 	 * @apiUse Error
 	 */
-	server.post('/user.edit', function (req, res, next) {
+	server.post('/user.twoFactor.confirm', function (req, res, next) {
 
 		// Synchronously perform the following tasks...
 		Async.waterfall([
@@ -370,16 +586,14 @@ module.exports = function (server) {
 				});
 			},
 
-			// Validate fields
+			// Validate required fields
 			function (token, callback) {
-				var fields = [];
-				if (req.body.name) fields.push(Validation.string('Name', req.body.name));
-				if (req.body.bio) fields.push(Validation.string('Bio', req.body.bio));
-				if (req.body.picture) fields.push(Validation.imageUrl('Picture', req.body.picture));
-				callback(Validation.catchErrors(fields), token);
+				callback(Validation.catchErrors([
+					Validation.string('Code', req.body.code),
+				]), token);
 			},
 
-			// Find user using token
+			// Find current user
 			function (token, callback) {
 				Database.findOne({
 					'model': User,
@@ -387,24 +601,43 @@ module.exports = function (server) {
 						'guid': token.user,
 					},
 				}, function (err, user) {
-					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
-					else callback(err, user);
+					if (err) callback(err);
+					else if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (user.twoFactorEnabled) callback(Secretary.conflictError(Messages.conflictErrors.twoFactorAlreadyEnabled));
+					else if (!user.twoFactorSecret) callback(Secretary.conflictError(Messages.conflictErrors.twoFactorNotEnrolled));
+					else callback(null, user);
 				});
 			},
 
-			// Update user, add to reply
+			// Check code
 			function (user, callback) {
-				user.edit({
-					'name': req.body.name,
-					'bio': req.body.bio,
-					'picture': req.body.picture,
+				var step = TwoFactor.verifyCode({
+					'secret': user.twoFactorSecret,
+					'code': req.body.code,
+				});
+				if (!step) callback(Secretary.conflictError(Messages.conflictErrors.twoFactorCodeIncorrect));
+				else callback(null, user, step);
+			},
+
+			// Enable two-factor authentication with new recovery codes, add user and recovery codes to response
+			function (user, step, callback) {
+				var recoveryCodes = TwoFactor.makeRecoveryCodes();
+				user.enableTwoFactor({
+					'recoveryCodes': recoveryCodes.map(TwoFactor.hashRecoveryCode),
+					'step': step,
 				}, function (err, user) {
 					if (user) Secretary.addToResponse({
 						'response': res,
 						'key': "user",
 						'value': user,
 					});
-					callback(err, user);
+					Secretary.addToResponse({
+						'response': res,
+						'key': "recoveryCodes",
+						'value': recoveryCodes,
+						'noFormat': true,
+					});
+					callback(err);
 				});
 			},
 
@@ -416,18 +649,21 @@ module.exports = function (server) {
 
 	/**
 	 * @memberof apiDocs
-	 * @api {POST} /user.addFunds Add Funds
-	 * @apiName Add Funds
+	 * @api {POST} /user.twoFactor.disable Disable Two-Factor
+	 * @apiName Disable Two-Factor
 	 * @apiGroup User
-	 * @apiDescription Adds funds to a users balance
+	 * @apiDescription Disables two-factor authentication (charities requiring it will deny access)
+	 * @apiUse Authorization
 	 *
-	 * @apiParam {Number} amount Amount of funds to add (in cents)
+	 * @apiParam {String} password User's password
+	 * @apiParam {String} [code] Code from user's authenticator app
+	 * @apiParam {String} [recoveryCode] Single-use recovery code (if code isn't provided)
 	 *
 	 * @apiSuccess {Object} user User object
 	 *
 	 * @apiUse Error
 	 */
-	server.post('/user.addFunds', function (req, res, next) {
+	server.post('/user.twoFactor.disable', function (req, res, next) {
 
 		// Synchronously perform the following tasks...
 		Async.waterfall([
@@ -439,14 +675,15 @@ module.exports = function (server) {
 				});
 			},
 
-			// Validate fields
+			// Validate required fields
 			function (token, callback) {
 				callback(Validation.catchErrors([
-					Validation.positiveNumber('Amount', req.body.amount)
+					Validation.string('Password', req.body.password),
+					req.body.recoveryCode ? Validation.string('Recovery code', req.body.recoveryCode) : Validation.string('Code', req.body.code),
 				]), token);
 			},
 
-			// Find user using token
+			// Find current user, check password
 			function (token, callback) {
 				Database.findOne({
 					'model': User,
@@ -454,22 +691,1717 @@ module.exports = function (server) {
 						'guid': token.user,
 					},
 				}, function (err, user) {
-					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
-					else callback(err, user);
+					if (err) callback(err);
+					else if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (!HashPassword.verify(req.body.password, user.password)) callback(Secretary.conflictError(Messages.conflictErrors.passwordIncorrect));
+					else if (!user.twoFactorEnabled) callback(Secretary.conflictError(Messages.conflictErrors.twoFactorNotEnabled));
+					else callback(null, user);
 				});
 			},
 
-			// Update user's balance, add to reply
+			// Check code (or recovery code), marking it as used
 			function (user, callback) {
-				user.updateBalance({
-					'change': req.body.amount,
-				}, function (err, user) {
+				useTwoFactorCode(user, req.body.code, req.body.recoveryCode, function (err, usedUser) {
+					if (!err && !usedUser) callback(Secretary.conflictError(Messages.conflictErrors.twoFactorCodeIncorrect));
+					else callback(err, usedUser);
+				});
+			},
+
+			// Disable two-factor authentication, add user to response
+			function (user, callback) {
+				user.disableTwoFactor(function (err, user) {
 					if (user) Secretary.addToResponse({
 						'response': res,
 						'key': "user",
 						'value': user,
 					});
-					callback(err, user);
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.refreshToken Refresh Token
+	 * @apiName Refresh Token
+	 * @apiGroup User
+	 * @apiDescription Exchanges a refresh token for a new authentication token and refresh token
+	 *
+	 * @apiParam {String} refreshToken Refresh token returned at login/signup or last refresh
+	 *
+	 * @apiSuccess {String} token Authentication token (expires after 15 minutes)
+	 * @apiSuccess {String} refreshToken Token used to get a new authentication token
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.refreshToken', function (req, res, next) {
+
+		// Validate required fields
+		var err = Validation.catchErrors([
+			Validation.string('Refresh token', req.body.refreshToken),
+		]);
+		if (err) return next(err);
+
+		// Rotate session, add tokens to reply
+		Authentication.refreshUserToken(req.body.refreshToken, function (err, token, refreshToken) {
+			if (err) return next(err);
+			Secretary.addToResponse({
+				'response': res,
+				'key': "token",
+				'value': token,
+				'noFormat': true,
+			});
+			Secretary.addToResponse({
+				'response': res,
+				'key': "refreshToken",
+				'value': refreshToken,
+				'noFormat': true,
+			});
+			Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.logout Logout
+	 * @apiName Logout
+	 * @apiGroup User
+	 * @apiDescription Revokes the session of the authorization token used
+	 * @apiUse Authorization
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.logout', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Find session using token
+			function (token, callback) {
+				Database.findOne({
+					'model': Session,
+					'query': {
+						'guid': token.session,
+					},
+				}, function (err, session) {
+					if (!session) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, session);
+				});
+			},
+
+			// Revoke session
+			function (session, callback) {
+				session.revoke(function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.logoutAll Logout All
+	 * @apiName Logout All
+	 * @apiGroup User
+	 * @apiDescription Revokes every session of an authorized user, on all devices
+	 * @apiUse Authorization
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.logoutAll', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Find user using token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, user);
+				});
+			},
+
+			// Revoke all of user's sessions
+			function (user, callback) {
+				Session.revokeAll({
+					'user': user,
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.create Create
+	 * @apiName Create
+	 * @apiGroup User
+	 * @apiDescription Creates a new user, returns authentication and new user, emails a verification link
+	 *
+	 * @apiParam {String} name User's name
+	 * @apiParam {String} email User's email address
+	 * @apiParam {String} password User's password (min. 8 characters, numbers and letter required)
+	 * @apiParam {String} [currency] Currency code of user's balance (e.g. EUR)
+	 *
+	 * @apiSuccess {Object} user User object
+	 * @apiSuccess {String} token Authentication token (expires after 15 minutes)
+	 * @apiSuccess {String} refreshToken Token used to get a new authentication token
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.create', function (req, res, next) {
+
+		// Validate all fields
+		var validations = [
+			Validation.email('Email', req.body.email),
+			Validation.password('Password', req.body.password),
+			Validation.string('Name', req.body.name)
+		];
+		if (req.body.currency) validations.push(Validation.currencyCode('Currency', req.body.currency));
+		var err = Validation.catchErrors(validations);
+		if (err) return next(err);
+
+		// Hash password
+		var password = HashPassword.generate(req.body.password);
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Check if email is unique
+			function (callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'email': req.body.email,
+					},
+				}, function (err, user) {
+					if (user) callback(Secretary.conflictError(Messages.conflictErrors.emailAlreadyUsed));
+					else callback(err);
+				});
+			},
+
+			// Create a new user, add to reply
+			function (callback) {
+				User.create({
+					'name': req.body.name,
+					'email': req.body.email,
+					'password': password,
+					'currency': req.body.currency,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err, user);
+				});
+			},
+
+			// Create an authentication token for user, add to reply
+			function (user, callback) {
+				Authentication.makeUserToken({
+					'user': user,
+				}, function (err, token, refreshToken) {
+					if (!err) addTokensToResponse(res, token, refreshToken, null);
+					callback(err, user);
+				});
+			},
+
+			// Email verification link to user (user can request another if sending fails)
+			function (user, callback) {
+				sendVerification(user, user.email, function (err) {
+					if (err) console.log(err);
+					callback();
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.create.charity Create (Charity)
+	 * @apiName Create (Charity)
+	 * @apiGroup User
+	 * @apiDescription Creates a new user with a new charity (or joins the charity of a staff invitation), returns authentication, user, charity
+	 *
+	 * @apiParam {String} name User's name
+	 * @apiParam {String} email User's email address (must be the address the charity token was sent to)
+	 * @apiParam {String} password User's password
+	 * @apiParam {String} [charityName] Name of charity (required unless charity token is a staff invitation)
+	 * @apiParam {String} charityToken Charity token (provided in email to user)
+	 *
+	 * @apiSuccess {Object} user User object
+	 * @apiSuccess {String} token Authentication token (expires after 15 minutes)
+	 * @apiSuccess {String} refreshToken Token used to get a new authentication token
+	 * @apiSuccess {Object} charity Charity object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.create.charity', function (req, res, next) {
+
+		// Validate all fields
+		var validations = [
+			Validation.email('Email', req.body.email),
+			Validation.password('Password', req.body.password),
+			Validation.string('Name', req.body.name),
+			Validation.string('Charity token', req.body.charityToken),
+		];
+		if (req.body.charityName) validations.push(Validation.string('Charity name', req.body.charityName));
+		var err = Validation.catchErrors(validations);
+		if (err) return next(err);
+
+		// Hash password
+		var password = HashPassword.generate(req.body.password);
+
+		// Initialize charityToken once it's marked as used (released if the request fails)
+		var usedCharityToken = null;
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Check if email is unique
+			function (callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'email': req.body.email,
+					},
+				}, function (err, user) {
+					if (user) callback(Secretary.conflictError(Messages.conflictErrors.emailAlreadyUsed));
+					else callback(err);
+				});
+			},
+
+			// Validate user's charityToken, ensure it was sent to user's email address
+			function (callback) {
+				findCharityToken(req.body.charityToken, function (err, charityToken) {
+					if (err) callback(err);
+					else callback(checkCharityToken(charityToken, req.body.email, req.body.charityName), charityToken);
+				});
+			},
+
+			// Generate a unique GUID for the new user
+			function (charityToken, callback) {
+				User.GUID(function (err, GUID) {
+					callback(err, charityToken, GUID);
+				});
+			},
+
+			// Mark charityToken as used before anything is created, so it can't be redeemed twice
+			function (charityToken, GUID, callback) {
+				charityToken.markUsed({
+					'user': GUID,
+				}, function (err, markedCharityToken) {
+					if (!err && !markedCharityToken) return callback(Secretary.conflictError(Messages.conflictErrors.charityTokenUsed));
+					if (markedCharityToken) usedCharityToken = markedCharityToken;
+					callback(err, charityToken, GUID);
+				});
+			},
+
+			// Find charity for staff invitations, otherwise create a charity
+			function (charityToken, GUID, callback) {
+				findOrCreateCharity(charityToken, req.body.charityName, function (err, charity) {
+					callback(err, charityToken, GUID, charity);
+				});
+			},
+
+			// Create a new user with charityGUID, add to reply (invited email is already verified)
+			function (charityToken, GUID, charity, callback) {
+				User.create({
+					'guid': GUID,
+					'name': req.body.name,
+					'email': req.body.email,
+					'password': password,
+					'charityGUID': charity.guid,
+					'emailVerified': true,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err, charityToken, charity, user);
+				});
+			},
+
+			// Add user to charity with invited role (new charities are owned by user), attach charity to response
+			function (charityToken, charity, user, callback) {
+				charity.addUser({
+					'user': user,
+					'role': charityToken.role || Types.charityRoles.owner,
+				}, function (err, charity) {
+					if (charity) Secretary.addToResponse({
+						'response': res,
+						'key': "charity",
+						'value': charity,
+					});
+					callback(err, user);
+				});
+			},
+
+			// Create an authentication token for user, add to reply
+			function (user, callback) {
+				Authentication.makeUserToken({
+					'user': user,
+				}, function (err, token, refreshToken) {
+					if (!err) addTokensToResponse(res, token, refreshToken, null);
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (!err) return Secretary.respond(req, res);
+
+			// Release charityToken so invitation can be used again
+			if (!usedCharityToken) return next(err);
+			usedCharityToken.release({
+				'user': usedCharityToken.user,
+			}, function (releaseErr) {
+				if (releaseErr) console.log(releaseErr);
+				next(err);
+			});
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.redeemCharityToken Redeem Charity Token
+	 * @apiName Redeem Charity Token
+	 * @apiGroup User
+	 * @apiDescription Adds an existing user to a new charity (or the charity of a staff invitation) and switches the user's session to it (user's email must be the address the charity token was sent to)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} charityToken Charity token (provided in email to user)
+	 * @apiParam {String} [charityName] Name of charity (required unless charity token is a staff invitation)
+	 *
+	 * @apiSuccess {Object} user User object
+	 * @apiSuccess {String} token Authentication token (expires after 15 minutes)
+	 * @apiSuccess {String} refreshToken Token used to get a new authentication token
+	 * @apiSuccess {Object} charity Charity object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.redeemCharityToken', function (req, res, next) {
+
+		// Initialize charityToken once it's marked as used (released if the request fails)
+		var usedCharityToken = null;
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				var validations = [
+					Validation.string('Charity token', req.body.charityToken),
+				];
+				if (req.body.charityName) validations.push(Validation.string('Charity name', req.body.charityName));
+				callback(Validation.catchErrors(validations), token);
+			},
+
+			// Find current user
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, token, user);
+				});
+			},
+
+			// Validate user's charityToken
+			function (token, user, callback) {
+				findCharityToken(req.body.charityToken, function (err, charityToken) {
+					callback(err, token, user, charityToken);
+				});
+			},
+
+			// Ensure user isn't already staff of invited charity
+			function (token, user, charityToken, callback) {
+				if (!charityToken.charity) return callback(null, token, user, charityToken);
+				Charity.findForUser({
+					'user': user.guid,
+				}, function (err, charities) {
+					for (var i in charities) {
+						if (charities[i].guid == charityToken.charity)
+							return callback(Secretary.conflictError(Messages.conflictErrors.alreadyCharityStaff));
+					}
+					callback(err, token, user, charityToken);
+				});
+			},
+
+			// Ensure invitation was sent to user's email address and new charities are named
+			function (token, user, charityToken, callback) {
+				callback(checkCharityToken(charityToken, user.email, req.body.charityName), token, user, charityToken);
+			},
+
+			// Mark charityToken as used
+			function (token, user, charityToken, callback) {
+				charityToken.markUsed({
+					'user': user.guid,
+				}, function (err, markedCharityToken) {
+					if (!err && !markedCharityToken) return callback(Secretary.conflictError(Messages.conflictErrors.charityTokenUsed));
+					if (markedCharityToken) usedCharityToken = markedCharityToken;
+					callback(err, token, user, charityToken);
+				});
+			},
+
+			// Find charity for staff invitations, otherwise create a charity
+			function (token, user, charityToken, callback) {
+				findOrCreateCharity(charityToken, req.body.charityName, function (err, charity) {
+					callback(err, token, user, charityToken, charity);
+				});
+			},
+
+			// Add user to charity with invited role (new charities are owned by user)
+			function (token, user, charityToken, charity, callback) {
+				charity.addUser({
+					'user': user,
+					'role': charityToken.role || Types.charityRoles.owner,
+				}, function (err, charity) {
+					callback(err, token, user, charity);
+				});
+			},
+
+			// Set charity as user's current charity, add user to reply
+			function (token, user, charity, callback) {
+				user.setCharity({
+					'charity': charity.guid,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err, token, user, charity);
+				});
+			},
+
+			// Switch user's session to charity, add tokens and charity to reply
+			function (token, user, charity, callback) {
+				Authentication.switchUserCharity({
+					'token': token,
+					'user': user,
+					'charity': charity.guid,
+				}, function (err, token, refreshToken, charity) {
+					if (!err) addTokensToResponse(res, token, refreshToken, charity);
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (!err) return Secretary.respond(req, res);
+
+			// Release charityToken so invitation can be used again
+			if (!usedCharityToken) return next(err);
+			usedCharityToken.release({
+				'user': usedCharityToken.user,
+			}, function (releaseErr) {
+				if (releaseErr) console.log(releaseErr);
+				next(err);
+			});
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.switchCharity Switch Charity
+	 * @apiName Switch Charity
+	 * @apiGroup User
+	 * @apiDescription Switches the charity a user acts for in the current session (previous authentication tokens stop working)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} [charity] GUID of charity to act for (omit to act as a regular user)
+	 *
+	 * @apiSuccess {Object} user User object
+	 * @apiSuccess {String} token Authentication token (expires after 15 minutes)
+	 * @apiSuccess {String} refreshToken Token used to get a new authentication token
+	 * @apiSuccess {Object} charity Charity object (if user acts for a charity)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.switchCharity', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate charity if provided
+			function (token, callback) {
+				if (!req.body.charity) return callback(null, token);
+				callback(Validation.catchErrors([
+					Validation.string('Charity ID (charity)', req.body.charity),
+				]), token);
+			},
+
+			// Find current user
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, token, user);
+				});
+			},
+
+			// Switch user's session to charity, add tokens and charity to reply
+			function (token, user, callback) {
+				Authentication.switchUserCharity({
+					'token': token,
+					'user': user,
+					'charity': req.body.charity || null,
+				}, function (err, token, refreshToken, charity) {
+					if (!err) addTokensToResponse(res, token, refreshToken, charity);
+					callback(err, user, charity);
+				});
+			},
+
+			// Remember charity as user's current charity for future logins, add user to reply
+			function (user, charity, callback) {
+				user.setCharity({
+					'charity': charity ? charity.guid : null,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.verifyEmail Verify Email
+	 * @apiName Verify Email
+	 * @apiGroup User
+	 * @apiDescription Verifies a user's email address using a verification token
+	 *
+	 * @apiParam {String} verificationToken Verification token (provided in email to user)
+	 *
+	 * @apiSuccess {Object} user User object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.verifyEmail', function (req, res, next) {
+
+		// Validate required fields
+		var err = Validation.catchErrors([
+			Validation.string('Verification token', req.body.verificationToken),
+		]);
+		if (err) return next(err);
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Validate verification token
+			function (callback) {
+				Database.findOne({
+					'model': VerificationToken,
+					'query': {
+						'token': req.body.verificationToken,
+					},
+				}, function (err, verificationToken) {
+					if (err) {
+						callback(err);
+					} else if (!verificationToken) {
+						callback(Secretary.conflictError(Messages.conflictErrors.verificationTokenInvalid));
+					} else if (verificationToken.used) {
+						callback(Secretary.conflictError(Messages.conflictErrors.verificationTokenUsed));
+					} else if (verificationToken.expiration < Dates.now()) {
+						callback(Secretary.conflictError(Messages.conflictErrors.verificationTokenExpired));
+					} else {
+						callback(null, verificationToken);
+					}
+				})
+			},
+
+			// Find user using verification token, ensure token is for user's current email
+			function (verificationToken, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': verificationToken.user,
+					},
+				}, function (err, user) {
+					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (user.email != verificationToken.email) callback(Secretary.conflictError(Messages.conflictErrors.verificationTokenInvalid));
+					else callback(err, verificationToken, user);
+				});
+			},
+
+			// Mark verification token as used
+			function (verificationToken, user, callback) {
+				verificationToken.markUsed(function (err, usedToken) {
+					if (!err && !usedToken) callback(Secretary.conflictError(Messages.conflictErrors.verificationTokenUsed));
+					else callback(err, user);
+				});
+			},
+
+			// Mark user's email as verified, add to reply
+			function (user, callback) {
+				user.markEmailVerified(function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.resendVerification Resend Verification
+	 * @apiName Resend Verification
+	 * @apiGroup User
+	 * @apiDescription Emails a new verification link to an authorized user
+	 * @apiUse Authorization
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.resendVerification', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Find user using token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (user.emailVerified) callback(Secretary.conflictError(Messages.conflictErrors.emailAlreadyVerified));
+					else callback(err, user);
+				});
+			},
+
+			// Email verification link to user
+			function (user, callback) {
+				sendVerification(user, user.email, function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.requestPasswordReset Request Password Reset
+	 * @apiName Request Password Reset
+	 * @apiGroup User
+	 * @apiDescription Emails a single-use password reset link to a user (succeeds for unknown emails too, so accounts can't be discovered)
+	 *
+	 * @apiParam {String} email User's email address
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.requestPasswordReset', function (req, res, next) {
+
+		// Validate required fields
+		var err = Validation.catchErrors([
+			Validation.email('Email', req.body.email),
+		]);
+		if (err) return next(err);
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Query for user
+			function (callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'email': req.body.email,
+					}
+				}, function (err, user) {
+					callback(err, user);
+				})
+			},
+
+			// Create new password reset token (unknown emails get the same response without an email)
+			function (user, callback) {
+				if (!user) return callback(null, null, null);
+				PasswordResetToken.create({
+					'user': user,
+				}, function (err, passwordResetToken) {
+					callback(err, user, passwordResetToken);
+				})
+			},
+
+			// Email password reset token
+			function (user, passwordResetToken, callback) {
+				if (!user) return callback();
+				Email.sendPasswordReset({
+					'token': passwordResetToken.token,
+					'email': user.email,
+				}, function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		})
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.resetPassword Reset Password
+	 * @apiName Reset Password
+	 * @apiGroup User
+	 * @apiDescription Sets a new password using a password reset token, signs out all existing sessions
+	 *
+	 * @apiParam {String} resetToken Password reset token (provided in email to user)
+	 * @apiParam {String} password User's new password (min. 8 characters, numbers and letter required)
+	 *
+	 * @apiSuccess {Object} user User object
+	 * @apiSuccess {String} token Authentication token (expires after 15 minutes)
+	 * @apiSuccess {String} refreshToken Token used to get a new authentication token
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.resetPassword', function (req, res, next) {
+
+		// Validate required fields
+		var err = Validation.catchErrors([
+			Validation.string('Reset token', req.body.resetToken),
+			Validation.password('Password', req.body.password),
+		]);
+		if (err) return next(err);
+
+		// Hash password
+		var password = HashPassword.generate(req.body.password);
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Validate password reset token
+			function (callback) {
+				Database.findOne({
+					'model': PasswordResetToken,
+					'query': {
+						'token': req.body.resetToken,
+					},
+				}, function (err, passwordResetToken) {
+					if (err) {
+						callback(err);
+					} else if (!passwordResetToken) {
+						callback(Secretary.conflictError(Messages.conflictErrors.resetTokenInvalid));
+					} else if (passwordResetToken.used) {
+						callback(Secretary.conflictError(Messages.conflictErrors.resetTokenUsed));
+					} else if (passwordResetToken.expiration < Dates.now()) {
+						callback(Secretary.conflictError(Messages.conflictErrors.resetTokenExpired));
+					} else {
+						callback(null, passwordResetToken);
+					}
+				})
+			},
+
+			// Mark password reset token as used
+			function (passwordResetToken, callback) {
+				passwordResetToken.markUsed(function (err, usedToken) {
+					if (!err && !usedToken) callback(Secretary.conflictError(Messages.conflictErrors.resetTokenUsed));
+					else callback(err, passwordResetToken);
+				});
+			},
+
+			// Find user using password reset token
+			function (passwordResetToken, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': passwordResetToken.user,
+					},
+				}, function (err, user) {
+					if (!user || user.erased) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, user);
+				});
+			},
+
+			// Update user's password, add to reply
+			function (user, callback) {
+				user.updatePassword({
+					'password': password,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err, user);
+				});
+			},
+
+			// Create an authentication token for user, add to reply
+			function (user, callback) {
+				Authentication.makeUserToken({
+					'user': user,
+				}, function (err, token, refreshToken) {
+					if (!err) addTokensToResponse(res, token, refreshToken, null);
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.edit Edit
+	 * @apiName Edit
+	 * @apiGroup User
+	 * @apiDescription Edits an existing user
+	 *
+	 * @apiParam {String} [name] User's name
+	 * @apiParam {String} [bio] User's bio
+	 * @apiParam {String} [picture] URL of User's profile picture
+	 * @apiParam {Boolean} [anonymousDonations] True to hide user's name from charities and other users on donations
+	 * @apiParam {Boolean} [shareEmailWithCharities] True to share user's email in charities' donation exports
+	 *
+	 * @apiSuccess {Object} user User object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.edit', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate fields
+			function (token, callback) {
+				var fields = [];
+				if (req.body.name) fields.push(Validation.string('Name', req.body.name));
+				if (req.body.bio) fields.push(Validation.string('Bio', req.body.bio));
+				if (req.body.picture) fields.push(Validation.imageUrl('Picture', req.body.picture));
+				if (req.body.anonymousDonations !== undefined) fields.push(Validation.boolean('Anonymous donations', req.body.anonymousDonations));
+				if (req.body.shareEmailWithCharities !== undefined) fields.push(Validation.boolean('Share email with charities', req.body.shareEmailWithCharities));
+				callback(Validation.catchErrors(fields), token);
+			},
+
+			// Find user using token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, user);
+				});
+			},
+
+			// Update user, add to reply
+			function (user, callback) {
+				user.edit({
+					'name': req.body.name,
+					'bio': req.body.bio,
+					'picture': req.body.picture,
+					'anonymousDonations': req.body.anonymousDonations,
+					'shareEmailWithCharities': req.body.shareEmailWithCharities,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err, user);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.emailPreferences Email Preferences
+	 * @apiName Email Preferences
+	 * @apiGroup User
+	 * @apiDescription Sets which types of email the current user gets (account and security emails are always sent),
+	 * returns the current preferences if no types are provided
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {Boolean} [digest] True to get weekly digests of followed charities
+	 * @apiParam {Boolean} [receipts] True to get donation receipts and recurring donation notices
+	 * @apiParam {Boolean} [announcements] True to get announcements from charities
+	 * @apiParam {Boolean} [social] True to get emails about follows, comments and reactions from other users
+	 *
+	 * @apiSuccess {Object} user User object (with emailPreferences)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.emailPreferences', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate fields
+			function (token, callback) {
+				var fields = [];
+				for (var key in Types.emailTypes) {
+					var type = Types.emailTypes[key];
+					if (req.body[type] !== undefined) fields.push(Validation.boolean('Email preference (' + type + ')', req.body[type]));
+				}
+				callback(Validation.catchErrors(fields), token);
+			},
+
+			// Find user using token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, user);
+				});
+			},
+
+			// Update user's email preferences, add to reply
+			function (user, callback) {
+				user.setEmailPreferences({
+					'preferences': req.body,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.unsubscribe Unsubscribe
+	 * @apiName Unsubscribe
+	 * @apiGroup User
+	 * @apiDescription Unsubscribes a user from a type of email without logging in, using the signed token from an
+	 * email's unsubscribe link
+	 *
+	 * @apiParam {String} unsubscribeToken Unsubscribe token (provided in email to user)
+	 *
+	 * @apiSuccess {String} emailType Type of email unsubscribed from
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.unsubscribe', function (req, res, next) {
+
+		// Validate required fields
+		var err = Validation.catchErrors([
+			Validation.string('Unsubscribe token', req.body.unsubscribeToken),
+		]);
+		if (err) return next(err);
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Validate unsubscribe token
+			function (callback) {
+				Authentication.verifyUnsubscribeToken(req.body.unsubscribeToken, function (err, unsubscribeToken) {
+					callback(err, unsubscribeToken);
+				});
+			},
+
+			// Find user using unsubscribe token, ensure token is for user's current email
+			function (unsubscribeToken, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': unsubscribeToken.unsubscribeUser,
+					},
+				}, function (err, user) {
+					if (!err && (!user || user.erased)) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (!err && user.email != unsubscribeToken.email) callback(Secretary.conflictError(Messages.conflictErrors.unsubscribeTokenInvalid));
+					else callback(err, unsubscribeToken, user);
+				});
+			},
+
+			// Unsubscribe user, add email type to reply
+			function (unsubscribeToken, user, callback) {
+				var preferences = {};
+				preferences[unsubscribeToken.emailType] = false;
+				user.setEmailPreferences({
+					'preferences': preferences,
+				}, function (err) {
+					if (!err) Secretary.addToResponse({
+						'response': res,
+						'key': "emailType",
+						'value': unsubscribeToken.emailType,
+						'noFormat': true,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.changePassword Change Password
+	 * @apiName Change Password
+	 * @apiGroup User
+	 * @apiDescription Changes the current user's password, ends all other sessions and returns new authentication
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} password User's current password
+	 * @apiParam {String} newPassword User's new password (min. 8 characters, numbers and letter required)
+	 *
+	 * @apiSuccess {Object} user User object
+	 * @apiSuccess {String} token Authentication token (expires after 15 minutes)
+	 * @apiSuccess {String} refreshToken Token used to get a new authentication token
+	 * @apiSuccess {Object} charity Charity object (if user acts for a charity)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.changePassword', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('Password', req.body.password),
+					Validation.password('New password', req.body.newPassword),
+				]), token);
+			},
+
+			// Find current user, check password
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (err) callback(err);
+					else if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (!HashPassword.verify(req.body.password, user.password)) callback(Secretary.conflictError(Messages.conflictErrors.passwordIncorrect));
+					else callback(null, token, user);
+				});
+			},
+
+			// Update user's password (revokes sessions), add to reply
+			function (token, user, callback) {
+				user.updatePassword({
+					'password': HashPassword.generate(req.body.newPassword),
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err, token, user);
+				});
+			},
+
+			// Create an authentication token for user's current charity, add to reply
+			function (token, user, callback) {
+				Authentication.makeUserToken({
+					'user': user,
+					'charity': token.charity || null,
+				}, function (err, token, refreshToken, charity) {
+					if (!err) addTokensToResponse(res, token, refreshToken, charity);
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.changeEmail Change Email
+	 * @apiName Change Email
+	 * @apiGroup User
+	 * @apiDescription Changes the current user's email, emails a verification link to the new address and a notice to the old address, ends all other sessions and returns new authentication
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} password User's current password
+	 * @apiParam {String} email User's new email address
+	 *
+	 * @apiSuccess {Object} user User object
+	 * @apiSuccess {String} token Authentication token (expires after 15 minutes)
+	 * @apiSuccess {String} refreshToken Token used to get a new authentication token
+	 * @apiSuccess {Object} charity Charity object (if user acts for a charity)
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.changeEmail', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('Password', req.body.password),
+					Validation.email('Email', req.body.email),
+				]), token);
+			},
+
+			// Find current user, check password
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (err) callback(err);
+					else if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (!HashPassword.verify(req.body.password, user.password)) callback(Secretary.conflictError(Messages.conflictErrors.passwordIncorrect));
+					else callback(null, token, user);
+				});
+			},
+
+			// Check if email is unique
+			function (token, user, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'email': req.body.email,
+					},
+				}, function (err, existingUser) {
+					if (existingUser) callback(Secretary.conflictError(Messages.conflictErrors.emailAlreadyUsed));
+					else callback(err, token, user);
+				});
+			},
+
+			// Update user's email (revokes sessions), add to reply
+			function (token, user, callback) {
+				var oldEmail = user.email;
+				user.updateEmail({
+					'email': req.body.email,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err, token, user, oldEmail);
+				});
+			},
+
+			// Create an authentication token for user's current charity, add to reply
+			function (token, user, oldEmail, callback) {
+				Authentication.makeUserToken({
+					'user': user,
+					'charity': token.charity || null,
+				}, function (err, token, refreshToken, charity) {
+					if (!err) addTokensToResponse(res, token, refreshToken, charity);
+					callback(err, user, oldEmail);
+				});
+			},
+
+			// Email verification link to new address (user can request another if sending fails)
+			function (user, oldEmail, callback) {
+				sendVerification(user, user.email, function (err) {
+					if (err) console.log(err);
+					callback(null, user, oldEmail);
+				});
+			},
+
+			// Notify old address of change
+			function (user, oldEmail, callback) {
+				Email.sendEmailChanged({
+					'email': oldEmail,
+					'newEmail': user.email,
+				}, function (err) {
+					if (err) console.log(err);
+					callback();
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.exportData Export Data
+	 * @apiName Export Data
+	 * @apiGroup User
+	 * @apiDescription Returns an archive of the current user's personal data
+	 * @apiUse Authorization
+	 *
+	 * @apiSuccess {Object} user User object
+	 * @apiSuccess {Array} posts Array of user's post objects
+	 * @apiSuccess {Array} donations Array of user's donation objects
+	 * @apiSuccess {Array} followingUsers Array of followed user objects
+	 * @apiSuccess {Array} followingCharities Array of followed charity objects
+	 * @apiSuccess {Array} charities Array of charity objects user belongs to
+	 * @apiSuccess {String} exportDate Date of export
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.exportData', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Find current user, add to response
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!user) return callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err, user);
+				});
+			},
+
+			// Find user's posts, add to response
+			function (user, callback) {
+				Database.find({
+					'model': Post,
+					'query': {
+						'user': user.guid,
+						'erased': {
+							'$ne': true,
+						},
+					},
+				}, function (err, posts) {
+					Secretary.addToResponse({
+						'response': res,
+						'key': "posts",
+						'value': posts || [],
+					});
+					callback(err, user);
+				});
+			},
+
+			// Find user's donations, add to response
+			function (user, callback) {
+				Database.find({
+					'model': Donation,
+					'query': {
+						'user': user.guid,
+					},
+				}, function (err, donations) {
+					Secretary.addToResponse({
+						'response': res,
+						'key': "donations",
+						'value': donations || [],
+					});
+					callback(err, user);
+				});
+			},
+
+			// Find followed users, add to response
+			function (user, callback) {
+				Database.find({
+					'model': User,
+					'query': {
+						'guid': {
+							'$in': user.followingUsers,
+						},
+					},
+				}, function (err, users) {
+					Secretary.addToResponse({
+						'response': res,
+						'key': "followingUsers",
+						'value': users || [],
+					});
+					callback(err, user);
+				});
+			},
+
+			// Find followed charities, add to response
+			function (user, callback) {
+				Database.find({
+					'model': Charity,
+					'query': {
+						'guid': {
+							'$in': user.followingCharities,
+						},
+					},
+				}, function (err, charities) {
+					Secretary.addToResponse({
+						'response': res,
+						'key': "followingCharities",
+						'value': charities || [],
+					});
+					callback(err, user);
+				});
+			},
+
+			// Find charities user belongs to, add to response
+			function (user, callback) {
+				Charity.findForUser({
+					'user': user.guid,
+				}, function (err, charities) {
+					Secretary.addToResponse({
+						'response': res,
+						'key': "charities",
+						'value': charities || [],
+					});
+					callback(err);
+				});
+			},
+
+			// Add export date to response, download as a file
+			function (callback) {
+				Secretary.addToResponse({
+					'response': res,
+					'key': "exportDate",
+					'value': Dates.now(),
+					'noFormat': true,
+				});
+				res.set('Content-Disposition', 'attachment; filename="cchange-data.json"');
+				callback();
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.delete Delete
+	 * @apiName Delete
+	 * @apiGroup User
+	 * @apiDescription Deletes the current user by anonymizing their profile and erasing their posts and comments and removing their reactions and notifications (donations are kept anonymously for charity records)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} password User's password
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.delete', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate required fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.string('Password', req.body.password),
+				]), token);
+			},
+
+			// Find current user, check password
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (err) callback(err);
+					else if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else if (!HashPassword.verify(req.body.password, user.password)) callback(Secretary.conflictError(Messages.conflictErrors.passwordIncorrect));
+					else callback(null, user);
+				});
+			},
+
+			// Ensure no charity is left without an owner
+			function (user, callback) {
+				Charity.findForUser({
+					'user': user.guid,
+				}, function (err, charities) {
+					for (var i in charities) {
+						if (charities[i].getRole({'user': user.guid}) == Types.charityRoles.owner && charities[i].countOwners() < 2)
+							return callback(Secretary.conflictError(Messages.conflictErrors.soleCharityOwner));
+					}
+					callback(err, user);
+				});
+			},
+
+			// Erase user
+			function (user, callback) {
+				user.erase(function (err) {
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.addFunds Add Funds
+	 * @apiName Add Funds
+	 * @apiGroup User
+	 * @apiDescription Starts a payment to add funds to a users balance (funds are added once the payment provider confirms payment)
+	 *
+	 * @apiParam {Number} amount Amount of funds to add (in cents of the currency of the user's balance)
+	 *
+	 * @apiSuccess {Object} paymentIntent Payment intent object (clientSecret is used to pay with the payment provider)
+	 *
+	 * @apiUse Idempotency
+	 * @apiUse Error
+	 */
+	server.post('/user.addFunds', Idempotency.check, function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.positiveNumber('Amount', req.body.amount)
+				]), token);
+			},
+
+			// Find user using token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, user);
+				});
+			},
+
+			// Create payment intent, add to reply
+			function (user, callback) {
+				PaymentIntent.create({
+					'user': user,
+					'amount': req.body.amount,
+				}, function (err, paymentIntent) {
+					if (paymentIntent) Secretary.addToResponse({
+						'response': res,
+						'key': "paymentIntent",
+						'value': paymentIntent,
+					});
+					callback(err);
+				});
+			},
+
+		], function (err) {
+			if (err) next(err);
+			else Secretary.respond(req, res);
+		});
+	})
+
+	/**
+	 * @memberof apiDocs
+	 * @api {POST} /user.setCurrency Set Currency
+	 * @apiName Set Currency
+	 * @apiGroup User
+	 * @apiDescription Changes the currency of the user's balance (the balance must be empty)
+	 * @apiUse Authorization
+	 *
+	 * @apiParam {String} currency Currency code (e.g. EUR)
+	 *
+	 * @apiSuccess {Object} user User object
+	 *
+	 * @apiUse Error
+	 */
+	server.post('/user.setCurrency', function (req, res, next) {
+
+		// Synchronously perform the following tasks...
+		Async.waterfall([
+
+			// Authenticate user
+			function (callback) {
+				Authentication.authenticateUser(req, function (err, token) {
+					callback(err, token);
+				});
+			},
+
+			// Validate fields
+			function (token, callback) {
+				callback(Validation.catchErrors([
+					Validation.currencyCode('Currency', req.body.currency),
+				]), token);
+			},
+
+			// Find user using token
+			function (token, callback) {
+				Database.findOne({
+					'model': User,
+					'query': {
+						'guid': token.user,
+					},
+				}, function (err, user) {
+					if (!err && !user) callback(Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+					else callback(err, user);
+				});
+			},
+
+			// Change currency, add to reply
+			function (user, callback) {
+				user.setCurrency({
+					'currency': req.body.currency,
+				}, function (err, user) {
+					if (user) Secretary.addToResponse({
+						'response': res,
+						'key': "user",
+						'value': user,
+					});
+					callback(err);
 				});
 			},
 
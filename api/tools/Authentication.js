@@ -4,6 +4,7 @@
 // Initialize dependencies
 const Token = require('jsonwebtoken');
 const Dates = require('./Dates');
+const Database = require('./Database');
 const Secretary = require('./Secretary');
 const Messages = require('./Messages');
 const Types = require('./Types');
@@ -11,6 +12,13 @@ const Types = require('./Types');
 // Initialize config
 const config = require('./../../config');
 
+// Charity roles, from least to most access
+const charityRoleRanks = [
+	Types.charityRoles.viewer,
+	Types.charityRoles.editor,
+	Types.charityRoles.owner,
+];
+
 // Functions ===================================================================
 
 function getTokenFromRequest (request) {
@@ -18,16 +26,18 @@ function getTokenFromRequest (request) {
 	return request.headers.authorization;
 };
 
-function makeUserToken (user, callback) {
+function makeAccessToken (session, callback) {
 
 	// Setup base object
 	var signedObject = {
-		'user': user.guid,
-		'exp': parseInt(Dates.fromNow(60, 'days')),
+		'user': session.user,
+		'session': session.guid,
+		'rotation': session.rotation,
+		'exp': parseInt(Dates.fromNow(15, 'minutes')),
 	};
 
 	// Add charity if applicable
-	if (user.charity) signedObject.charity = user.charity;
+	if (session.charity) signedObject.charity = session.charity;
 
 	// Create token using object and secret
 	Token.sign(signedObject, config.secret, function (err, token) {
@@ -35,7 +45,233 @@ function makeUserToken (user, callback) {
 	});
 };
 
-function authenticateUser (request, requireCharityUser, callback) {
+function findActiveCharity (user, charity, callback) {
+
+	// Handle user acting without a charity
+	if (!charity) return callback(null, null);
+
+	// Find charity (required here to avoid a circular dependency)
+	const Charity = require('./../model/Charity');
+	Database.findOne({
+		'model': Charity,
+		'query': {
+			'guid': charity,
+		},
+	}, function (err, charity) {
+		if (err) return callback(err);
+
+		// Error: user doesn't belong to charity
+		if (!charity || !charity.getRole({'user': user.guid}))
+			return callback(Secretary.authorizationError(Messages.authErrors.charityUnauthorized));
+
+		callback(null, charity);
+	});
+};
+
+function makeUserToken ({user, charity}, callback) {
+
+	// Default to user's current charity, dropping it if user no longer belongs to it
+	var defaultCharity = charity === undefined;
+	if (defaultCharity) charity = user.charity;
+	findActiveCharity(user, charity, function (err, charity) {
+		if (err && !defaultCharity) return callback(err);
+		if (err) charity = null;
+
+		// Start a new session for user (required here to avoid a circular dependency)
+		const Session = require('./../model/Session');
+		Session.create({
+			'user': user,
+			'charity': charity,
+		}, function (err, session) {
+			if (err) return callback(err);
+
+			// Create access token for session
+			makeAccessToken(session, function (err, token) {
+				callback(err, token, session.refreshToken, charity);
+			});
+		});
+	});
+};
+
+function switchUserCharity ({token, user, charity}, callback) {
+
+	// Ensure user belongs to charity
+	findActiveCharity(user, charity, function (err, charity) {
+		if (err) return callback(err);
+
+		// Find token's session
+		const Session = require('./../model/Session');
+		Database.findOne({
+			'model': Session,
+			'query': {
+				'guid': token.session,
+			},
+		}, function (err, session) {
+			if (err) return callback(err);
+			if (!session) return callback(Secretary.authorizationError(Messages.authErrors.sessionInvalid));
+
+			// Switch session's charity, invalidating access tokens for the previous charity
+			session.switchCharity({
+				'charity': charity,
+			}, function (err, session) {
+				if (err) return callback(err);
+				if (!session) return callback(Secretary.authorizationError(Messages.authErrors.sessionInvalid));
+
+				// Create access token for switched session
+				makeAccessToken(session, function (err, token) {
+					callback(err, token, session.refreshToken, charity);
+				});
+			});
+		});
+	});
+};
+
+function refreshUserToken (refreshToken, callback) {
+
+	// Find session using refresh token
+	const Session = require('./../model/Session');
+	Database.findOne({
+		'model': Session,
+		'query': {
+			'refreshToken': refreshToken,
+		},
+	}, function (err, session) {
+		if (err) return callback(err);
+
+		// Error: Unknown, revoked or expired session
+		if (!session || session.revoked || session.expiration < Dates.now())
+			return callback(Secretary.authorizationError(Messages.authErrors.sessionInvalid));
+
+		// Rotate refresh token, invalidating older access tokens
+		session.rotate(function (err, session) {
+			if (err) return callback(err);
+			if (!session) return callback(Secretary.authorizationError(Messages.authErrors.sessionInvalid));
+
+			// Create access token for rotated session
+			makeAccessToken(session, function (err, token) {
+				callback(err, token, session.refreshToken);
+			});
+		});
+	});
+};
+
+function makeTwoFactorToken ({user, charity}, callback) {
+
+	// Sign short-lived token proving user's password was correct
+	Token.sign({
+		'twoFactorUser': user.guid,
+		'charity': charity,
+		'exp': parseInt(Dates.fromNow(5, 'minutes')),
+	}, config.secret, function (err, token) {
+		callback(err, token);
+	});
+};
+
+function verifyTwoFactorToken (token, callback) {
+	Token.verify(token, config.secret, function (err, decodedToken) {
+		if (!decodedToken || !decodedToken.twoFactorUser)
+			return callback(Secretary.conflictError(Messages.conflictErrors.twoFactorTokenInvalid));
+		callback(null, decodedToken);
+	});
+};
+
+function makeUnsubscribeToken ({user, type}, callback) {
+
+	// Sign token allowing user's current email address to be unsubscribed from an email type without logging in
+	Token.sign({
+		'unsubscribeUser': user.guid,
+		'email': user.email,
+		'emailType': type,
+	}, config.secret, function (err, token) {
+		callback(err, token);
+	});
+};
+
+function verifyUnsubscribeToken (token, callback) {
+	Token.verify(token, config.secret, function (err, decodedToken) {
+		if (!decodedToken || !decodedToken.unsubscribeUser || !decodedToken.emailType)
+			return callback(Secretary.conflictError(Messages.conflictErrors.unsubscribeTokenInvalid));
+		callback(null, decodedToken);
+	});
+};
+
+function verifyToken (token, callback) {
+
+	// Verify token signature and expiration
+	Token.verify(token, config.secret, function (err, decodedToken) {
+		if (err && err.name == 'TokenExpiredError') return callback(Secretary.authorizationError(Messages.authErrors.tokenExpired));
+		if (!decodedToken || !decodedToken.session) return callback(Secretary.authorizationError(Messages.authErrors.unauthorized));
+
+		// Find token's session and user (required here to avoid a circular dependency)
+		const Session = require('./../model/Session');
+		const User = require('./../model/User');
+		Database.findOne({
+			'model': Session,
+			'query': {
+				'guid': decodedToken.session,
+			},
+		}, function (err, session) {
+			if (err) return callback(err);
+
+			// Error: session was revoked or token was issued before the session's refresh token was rotated
+			if (!session || session.revoked || session.user != decodedToken.user || session.rotation != decodedToken.rotation)
+				return callback(Secretary.authorizationError(Messages.authErrors.sessionInvalid));
+
+			// Error: token was issued for a different charity than the session's
+			if ((session.charity || null) != (decodedToken.charity || null))
+				return callback(Secretary.authorizationError(Messages.authErrors.sessionInvalid));
+
+			Database.findOne({
+				'model': User,
+				'query': {
+					'guid': decodedToken.user,
+				},
+			}, function (err, user) {
+				if (err) return callback(err);
+
+				// Error: user no longer exists or was deleted
+				if (!user || user.erased) return callback(Secretary.authorizationError(Messages.authErrors.unauthorized));
+
+				// Attach current administrator status
+				decodedToken.admin = user.admin == true;
+
+				// Success: Handle current user token
+				if (!decodedToken.charity) return callback(null, decodedToken, user);
+
+				// Find token's charity
+				const Charity = require('./../model/Charity');
+				Database.findOne({
+					'model': Charity,
+					'query': {
+						'guid': decodedToken.charity,
+					},
+				}, function (err, charity) {
+					if (err) return callback(err);
+
+					// Attach user's current charity role
+					decodedToken.role = charity ? charity.getRole({'user': user.guid}) : null;
+
+					// Error: user no longer belongs to token's charity
+					if (!decodedToken.role)
+						return callback(Secretary.authorizationError(Messages.authErrors.charityUnauthorized));
+
+					// Attach whether charity requires two-factor authentication the user hasn't enabled
+					decodedToken.twoFactorMissing = charity.requireTwoFactor == true && !user.twoFactorEnabled;
+
+					// Success: Handle current charity user token
+					callback(null, decodedToken, user);
+				});
+			});
+		});
+	});
+};
+
+function hasCharityRole (token, role) {
+	if (!token.charity || !token.role) return false;
+	return charityRoleRanks.indexOf(token.role) >= charityRoleRanks.indexOf(role);
+};
+
+function authenticateUser (request, {requireCharityUser, requireCharityRole, requireVerifiedUser, requireAdmin}, callback) {
 
 	// Get token from request
 	var token = getTokenFromRequest(request);
@@ -46,21 +282,49 @@ function authenticateUser (request, requireCharityUser, callback) {
 	}
 
 	// Verifiy token & determine charity user
-	Token.verify(token, config.secret, function (err, decodedToken) {
+	verifyToken(token, function (err, decodedToken, user) {
 
 		// Handle successful token
 		if (decodedToken) {
 
 			// Error: Missing charity permissions
-			if (requireCharityUser && !decodedToken.charity)
+			if ((requireCharityUser || requireCharityRole) && !decodedToken.charity)
 				return callback(Secretary.authorizationError(Messages.authErrors.charityUnauthorized));
 
+			// Error: Charity requires two-factor authentication
+			if ((requireCharityUser || requireCharityRole) && decodedToken.twoFactorMissing)
+				return callback(Secretary.authorizationError(Messages.authErrors.twoFactorRequired));
+
+			// Error: Charity role doesn't allow action
+			if (requireCharityRole && !hasCharityRole(decodedToken, requireCharityRole))
+				return callback(Secretary.authorizationError(Messages.authErrors.charityRoleUnauthorized));
+
+			// Error: Unverified email
+			if (requireVerifiedUser && !user.emailVerified)
+				return callback(Secretary.authorizationError(Messages.authErrors.unverified));
+
+			// Error: Missing administrator permissions
+			if (requireAdmin && !user.admin)
+				return callback(Secretary.authorizationError(Messages.authErrors.adminUnauthorized));
+
 			// Success: Handle proper token
 			return callback(null, decodedToken);
 		}
 
 		// Error: unsuccessful token
-		else callback(Secretary.authorizationError(Messages.authErrors.unauthorized));
+		else callback(err);
+	});
+};
+
+function authenticateViewer (request, callback) {
+
+	// Use viewer already found for request
+	if (request.viewerToken !== undefined) return callback(null, request.viewerToken);
+
+	// Authenticate user, treat requests without a valid token as public
+	authenticateUser(request, {}, function (err, decodedToken) {
+		request.viewerToken = decodedToken || null;
+		callback(null, request.viewerToken);
 	});
 };
 
@@ -73,14 +337,14 @@ function getAuthenticationType (request, callback) {
 	if (!token) return callback(null, Types.auth.public);
 
 	// Handle provided token
-	Token.verify(token, config.secret, function (err, decodedToken) {
-
-		// Handle error
-		if (err) callback(err);
+	verifyToken(token, function (err, decodedToken) {
 
 		// Handle successful token
 		if (decodedToken) {
 
+			// Handle administrator token (admin authorization)
+			if (decodedToken.admin) return callback(null, Types.auth.admin);
+
 			// Handle charity token (charity authorization)
 			if (decodedToken.charity) return callback(null, Types.auth.charity);
 
@@ -131,7 +395,33 @@ module.exports = {
 	 * });
 	 */
 	authenticateCharityUser: function (request, callback) {
-		authenticateUser(request, true, callback);
+		authenticateUser(request, {'requireCharityUser': true}, callback);
+	},
+
+	/**
+	 * Produces an authentication error or returns a decoded token for a charity user with at least a given role
+	 * @memberof tools/Authentication
+	 * @param {object} request Express.js request object
+	 * @param {String} role Minimum charity role (from Types.charityRoles)
+	 * @param {function(err, decodedToken)} callback Callback function
+	 * @example
+	 * authenticateCharityRole(request, Types.charityRoles.editor, (err, decodedToken) {
+	 *	   // handle error or decoded token
+	 * });
+	 */
+	authenticateCharityRole: function (request, role, callback) {
+		authenticateUser(request, {'requireCharityRole': role}, callback);
+	},
+
+	/**
+	 * Checks if a decoded token's charity role is at least a given role
+	 * @memberof tools/Authentication
+	 * @param {Object} token Decoded token object
+	 * @param {String} role Minimum charity role (from Types.charityRoles)
+	 * @return {Boolean} True if token's role is sufficient
+	 */
+	hasCharityRole: function (token, role) {
+		return hasCharityRole(token, role);
 	},
 
 	/**
@@ -145,20 +435,141 @@ module.exports = {
 	 * });
 	 */
 	authenticateUser: function (request, callback) {
-		authenticateUser(request, false, callback);
+		authenticateUser(request, {}, callback);
+	},
+
+	/**
+	 * Returns the decoded token of the user viewing a request, or null if the request isn't authenticated (the viewer is
+	 * saved on the request, so objects formatted for it don't authenticate again)
+	 * @memberof tools/Authentication
+	 * @param {object} request Express.js request object
+	 * @param {function(err, decodedToken)} callback Callback function
+	 */
+	authenticateViewer: function (request, callback) {
+		authenticateViewer(request, callback);
+	},
+
+	/**
+	 * Produces an authentication error or returns a decoded token for a user with a verified email
+	 * @memberof tools/Authentication
+	 * @param {object} request Express.js request object
+	 * @param {function(err, decodedToken)} callback Callback function
+	 * @example
+	 * authenticateVerifiedUser(request, (err, decodedToken) {
+	 *	   // handle error or decoded token
+	 * });
+	 */
+	authenticateVerifiedUser: function (request, callback) {
+		authenticateUser(request, {'requireVerifiedUser': true}, callback);
 	},
 
 	/**
-	 * Creates a token using a user object
+	 * Produces an authentication error or returns a decoded token for an administrator
 	 * @memberof tools/Authentication
-	 * @param {object} user User model object
+	 * @param {object} request Express.js request object
+	 * @param {function(err, decodedToken)} callback Callback function
+	 * @example
+	 * authenticateAdmin(request, (err, decodedToken) {
+	 *	   // handle error or decoded token
+	 * });
+	 */
+	authenticateAdmin: function (request, callback) {
+		authenticateUser(request, {'requireAdmin': true}, callback);
+	},
+
+	/**
+	 * Starts a new session for a user, creates a short-lived access token and a refresh token
+	 * @memberof tools/Authentication
+	 * @param {Object} params
+	 * @param {Object} params.user User model object
+	 * @param {String} [params.charity] GUID of charity user acts for (defaults to user's current charity, null for none)
+	 * @param {function(err, encodedToken, refreshToken, charity)} callback Callback function (charity is the session's charity object or null)
+	 * @example
+	 * makeUserToken({user, charity}, function (err, token, refreshToken, charity) {
+	 *	   // handle error or tokens
+	 * });
+	 */
+	makeUserToken: function ({user, charity}, callback) {
+		makeUserToken({user, charity}, callback);
+	},
+
+	/**
+	 * Switches the charity a user acts for in the current session, creates a new access token and refresh token
+	 * @memberof tools/Authentication
+	 * @param {Object} params
+	 * @param {Object} params.token Decoded token object
+	 * @param {Object} params.user User model object
+	 * @param {String} params.charity GUID of charity user acts for (null for none)
+	 * @param {function(err, encodedToken, refreshToken, charity)} callback Callback function (charity is the session's charity object or null)
+	 * @example
+	 * switchUserCharity({token, user, charity}, function (err, token, refreshToken, charity) {
+	 *	   // handle error or tokens
+	 * });
+	 */
+	switchUserCharity: function ({token, user, charity}, callback) {
+		switchUserCharity({token, user, charity}, callback);
+	},
+
+	/**
+	 * Creates a short-lived token for completing a login with two-factor authentication
+	 * @memberof tools/Authentication
+	 * @param {Object} params
+	 * @param {Object} params.user User model object
+	 * @param {String} [params.charity] GUID of charity requested at login
 	 * @param {function(err, encodedToken)} callback Callback function
 	 * @example
-	 * makeUserToken(user, function (err, token) {
+	 * makeTwoFactorToken({user, charity}, function (err, twoFactorToken) {
 	 *	   // handle error or token
 	 * });
 	 */
-	makeUserToken: function (user, callback) {
-		makeUserToken(user, callback);
+	makeTwoFactorToken: function ({user, charity}, callback) {
+		makeTwoFactorToken({user, charity}, callback);
+	},
+
+	/**
+	 * Produces an error or returns a decoded two-factor login token
+	 * @memberof tools/Authentication
+	 * @param {String} token Encoded two-factor token
+	 * @param {function(err, decodedToken)} callback Callback function (decodedToken has twoFactorUser and charity)
+	 */
+	verifyTwoFactorToken: function (token, callback) {
+		verifyTwoFactorToken(token, callback);
+	},
+
+	/**
+	 * Creates a signed token which unsubscribes a user from an email type without logging in (tokens don't expire, but
+	 * stop working if the user's email address changes)
+	 * @memberof tools/Authentication
+	 * @param {Object} params
+	 * @param {Object} params.user User model object
+	 * @param {String} params.type Email type (see Types.emailTypes)
+	 * @param {function(err, encodedToken)} callback Callback function
+	 */
+	makeUnsubscribeToken: function ({user, type}, callback) {
+		makeUnsubscribeToken({user, type}, callback);
+	},
+
+	/**
+	 * Produces an error or returns a decoded unsubscribe token
+	 * @memberof tools/Authentication
+	 * @param {String} token Encoded unsubscribe token
+	 * @param {function(err, decodedToken)} callback Callback function (decodedToken has unsubscribeUser, email and emailType)
+	 */
+	verifyUnsubscribeToken: function (token, callback) {
+		verifyUnsubscribeToken(token, callback);
+	},
+
+	/**
+	 * Rotates a session's refresh token and creates a new access token for the session
+	 * @memberof tools/Authentication
+	 * @param {string} refreshToken Refresh token returned at login/signup or last refresh
+	 * @param {function(err, encodedToken, refreshToken)} callback Callback function
+	 * @example
+	 * refreshUserToken(refreshToken, function (err, token, refreshToken) {
+	 *	   // handle error or tokens
+	 * });
+	 */
+	refreshUserToken: function (refreshToken, callback) {
+		refreshUserToken(refreshToken, callback);
 	},
 }
\ No newline at end of file
@@ -0,0 +1,196 @@
+/** @namespace tools/Currency */
+// Currency.js: converts amounts between currencies with rates from the configured exchange rate source
+
+// Initialize dependencies
+const Secretary = require('./Secretary');
+const Messages = require('./Messages');
+
+// Initialize config
+const config = require('./../../config');
+
+// Currency settings (config.currency overrides these defaults)
+const Settings = Object.assign({
+	'default': "USD",
+	'rateSource': "static",
+}, config.currency);
+const RateCacheMinutes = 60; // Rates are fetched from the rate source at most this often
+
+// Supported currencies: number of decimal digits in each currency's smallest unit (e.g. cents for USD)
+const Digits = {
+	'USD': 2,
+	'EUR': 2,
+	'GBP': 2,
+	'CAD': 2,
+	'AUD': 2,
+	'MXN': 2,
+	'INR': 2,
+	'JPY': 0,
+};
+
+// Symbols used when formatting amounts (currencies without one are formatted with their code)
+const Symbols = {
+	'USD': "$",
+	'EUR': "€",
+	'GBP': "£",
+	'CAD': "CA$",
+	'AUD': "A$",
+	'JPY': "¥",
+};
+
+// Rate Sources ================================================================
+
+// Each rate source implements:
+//   getRates(callback(err, rates)): gets exchange rates, rates maps each currency code to its value in units of a
+//   common base currency (e.g. {'USD': 1, 'EUR': 0.92})
+const RateSources = {
+
+	// Static: fixed local table for development and testing (units per US dollar)
+	'static': {
+		getRates: function (callback) {
+			callback(null, {
+				'USD': 1,
+				'EUR': 0.92,
+				'GBP': 0.79,
+				'CAD': 1.36,
+				'AUD': 1.52,
+				'MXN': 17.1,
+				'INR': 83.2,
+				'JPY': 149.5,
+			});
+		},
+	},
+};
+
+// Rate source used for all conversions
+const RateSource = RateSources[Settings.rateSource];
+if (!RateSource) throw new Error("Unknown exchange rate source: " + Settings.rateSource);
+if (!Digits.hasOwnProperty(Settings.default)) throw new Error("Unsupported default currency: " + Settings.default);
+
+// Rates cached from rate source
+var cachedRates = null;
+var dateRatesCached = 0;
+
+// Helper functions ============================================================
+
+// Gets exchange rates, using cached rates if they're recent enough
+function getRates (callback) {
+	if (cachedRates && Date.now() - dateRatesCached < RateCacheMinutes * 60 * 1000) return callback(null, cachedRates);
+	RateSource.getRates(function (err, rates) {
+		if (err) return callback(err);
+		cachedRates = rates;
+		dateRatesCached = Date.now();
+		callback(null, rates);
+	});
+};
+
+// Converts an amount with the given rates (amounts are in each currency's smallest unit)
+function convertWithRates (rates, amount, from, to) {
+	if (from == to) return amount;
+	var units = amount / Math.pow(10, Digits[from]);
+	var convertedUnits = units / rates[from] * rates[to];
+	return Math.round(convertedUnits * Math.pow(10, Digits[to]));
+};
+
+// Writes an amount in the smallest unit of currency as a decimal number of whole units
+function decimalAmount (amount, currency) {
+	var digits = Digits.hasOwnProperty(currency) ? Digits[currency] : 2;
+	return (amount / Math.pow(10, digits)).toFixed(digits);
+};
+
+// Checks that rates are known for each currency
+function hasRates (rates, currencies) {
+	for (var i in currencies) {
+		if (!Digits.hasOwnProperty(currencies[i]) || !rates[currencies[i]]) return false;
+	}
+	return true;
+};
+
+// Functions ===================================================================
+module.exports = {
+
+	/**
+	 * Currency code used for amounts stored without a currency
+	 * @memberof tools/Currency
+	 */
+	defaultCurrency: Settings.default,
+
+	/**
+	 * Codes of supported currencies
+	 * @memberof tools/Currency
+	 */
+	codes: Object.keys(Digits),
+
+	/**
+	 * Checks if a currency is supported
+	 * @memberof tools/Currency
+	 * @param {String} currency Currency code (e.g. "USD")
+	 * @return {Boolean} True if currency is supported
+	 */
+	isSupported: function (currency) {
+		return Digits.hasOwnProperty(currency);
+	},
+
+	/**
+	 * Converts an amount from one currency to another
+	 * @memberof tools/Currency
+	 * @param {Object} params
+	 * @param {Number} params.amount Amount in the smallest unit of the from currency (e.g. cents)
+	 * @param {String} params.from Currency code of amount
+	 * @param {String} params.to Currency code to convert to
+	 * @param {function(err, amount)} callback Callback function (amount is in the smallest unit of the to currency)
+	 */
+	convert: function ({amount, from, to}, callback) {
+		if (from == to) return callback(null, amount);
+		getRates(function (err, rates) {
+			if (err) return callback(err);
+			if (!hasRates(rates, [from, to])) return callback(Secretary.conflictError(Messages.conflictErrors.currencyUnsupported));
+			callback(null, convertWithRates(rates, amount, from, to));
+		});
+	},
+
+	/**
+	 * Adds up amounts in different currencies
+	 * @memberof tools/Currency
+	 * @param {Object} params
+	 * @param {Array} params.amounts Array of amounts, each {amount, currency} (currency defaults to the default currency)
+	 * @param {String} params.currency Currency code of total
+	 * @param {function(err, total)} callback Callback function (total is in the smallest unit of currency)
+	 */
+	total: function ({amounts, currency}, callback) {
+		getRates(function (err, rates) {
+			if (err) return callback(err);
+			var total = 0;
+			for (var i in amounts) {
+				var from = amounts[i].currency || Settings.default;
+				if (!hasRates(rates, [from, currency])) return callback(Secretary.conflictError(Messages.conflictErrors.currencyUnsupported));
+				total += convertWithRates(rates, amounts[i].amount, from, currency);
+			}
+			callback(null, total);
+		});
+	},
+
+	/**
+	 * Writes an amount as a decimal number of whole units (e.g. "12.50" for 1250 cents)
+	 * @memberof tools/Currency
+	 * @param {Number} amount Amount in the smallest unit of currency
+	 * @param {String} [currency] Currency code (defaults to the default currency)
+	 * @return {String} Decimal amount
+	 */
+	toDecimal: function (amount, currency) {
+		return decimalAmount(amount, currency || Settings.default);
+	},
+
+	/**
+	 * Formats an amount for display (e.g. "$12.50" or "12.50 INR")
+	 * @memberof tools/Currency
+	 * @param {Number} amount Amount in the smallest unit of currency
+	 * @param {String} [currency] Currency code (defaults to the default currency)
+	 * @return {String} Formatted amount
+	 */
+	format: function (amount, currency) {
+		currency = currency || Settings.default;
+		var units = decimalAmount(amount, currency);
+		if (Symbols[currency]) return Symbols[currency] + units;
+		return units + " " + currency;
+	},
+};
\ No newline at end of file
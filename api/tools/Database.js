@@ -73,4 +73,84 @@ module.exports.update = function ({model, query, update}, callback) {
 	model.findOneAndUpdate(query, update, options, function (err, object) {
 		callback(err, object);
 	});
+};
+
+/**
+ * Removes objects from the database using model
+ * @memberof tools/Database
+ * @param {Object} params
+ * @param {Object} params.model Mongoose model object
+ * @param {Object} params.query MongoDB query object
+ * @param {function (err)} callback Callback function
+ */
+module.exports.remove = function ({model, query}, callback) {
+	model.remove(query, function (err) {
+		callback(err);
+	});
+};
+
+/**
+ * Updates an existing object in the database using model, never creates a new object
+ * @memberof tools/Database
+ * @param {Object} params
+ * @param {Object} params.model Mongoose model object
+ * @param {Object} params.query MongoDB query object (object is only updated if it matches)
+ * @param {Number} params.update MongoDB update query object
+ * @param {function (err, object)} callback Callback function (object is null if nothing matched)
+ */
+module.exports.updateExisting = function ({model, query, update}, callback) {
+
+	// Setup options
+	var options = {
+		'runValidators': true, // Allows mongoDB to validate update
+		'new': true, // Returns the modified document
+	};
+
+	// Make query and update with Mongoose
+	model.findOneAndUpdate(query, update, options, function (err, object) {
+		callback(err, object);
+	});
+};
+
+/**
+ * Updates all objects in the database matching a query using model, never creates new objects
+ * @memberof tools/Database
+ * @param {Object} params
+ * @param {Object} params.model Mongoose model object
+ * @param {Object} params.query MongoDB query object
+ * @param {Number} params.update MongoDB update query object
+ * @param {function (err)} callback Callback function
+ */
+module.exports.updateAll = function ({model, query, update}, callback) {
+	model.update(query, update, {'multi': true}, function (err) {
+		callback(err);
+	});
+};
+
+/**
+ * Counts the objects in the database matching a query using model
+ * @memberof tools/Database
+ * @param {Object} params
+ * @param {Object} params.model Mongoose model object
+ * @param {Object} params.query MongoDB query object
+ * @param {function (err, count)} callback Callback function
+ */
+module.exports.count = function ({model, query}, callback) {
+	model.count(query, function (err, count) {
+		callback(err, count);
+	});
+};
+
+/**
+ * Runs an aggregation pipeline using model
+ * @memberof tools/Database
+ * @param {Object} params
+ * @param {Object} params.model Mongoose model object
+ * @param {Array} params.pipeline MongoDB aggregation pipeline
+ * @param {function (err, results)} callback Callback function
+ */
+module.exports.aggregate = function ({model, pipeline}, callback) {
+	model.aggregate(pipeline, function (err, results) {
+		callback(err, results);
+	});
 };
\ No newline at end of file
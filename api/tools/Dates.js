@@ -25,4 +25,37 @@ module.exports = {
 	fromNow: function (num, string) {
 		return Moment().add(num, string).format('X');
 	},
+
+	/**
+	 * Gets the first moment of a calendar year
+	 * @memberof tools/Dates
+	 * @param {Number} year Calendar year (e.g. 2017)
+	 * @return {Number} UNIX Timestamp
+	 */
+	startOfYear: function (year) {
+		return Moment({'year': year}).startOf('year').format('X');
+	},
+
+	/**
+	 * Gets the first moment of the day, week or month containing a time
+	 * @memberof tools/Dates
+	 * @param {Number} date UNIX Timestamp
+	 * @param {String} string Time units identifier (e.g. "month")
+	 * @return {Number} UNIX Timestamp
+	 */
+	startOf: function (date, string) {
+		return Moment.unix(date).startOf(string).format('X');
+	},
+
+	/**
+	 * Gets an exact time based on another time
+	 * @memberof tools/Dates
+	 * @param {Number} date UNIX Timestamp
+	 * @param {Number} num Number of time units to add to time
+	 * @param {String} string Time units identifier
+	 * @return {Number} UNIX Timestamp
+	 */
+	add: function (date, num, string) {
+		return Moment.unix(date).add(num, string).format('X');
+	},
 };
\ No newline at end of file
@@ -0,0 +1,158 @@
+/** @namespace tools/Documents */
+// Documents.js: creates PDF documents (donation receipts and giving statements) and CSV exports
+
+// Initialize dependencies
+const Canvas = require('canvas');
+const Moment = require('moment');
+const Currency = require('./Currency');
+
+// Page layout (US letter, in points)
+const PageWidth = 612;
+const PageHeight = 792;
+const Margin = 54;
+const Font = "Helvetica";
+
+// Helper functions ============================================================
+function formatDate (date) {
+	return Moment.unix(date).format('MMMM D, YYYY');
+};
+
+// Writes a CSV field, quoting it if needed (fields starting like a formula are prefixed so spreadsheets show them as text)
+function csvField (value) {
+	if (value === null || value === undefined) return "";
+	var text = String(value);
+	if (/^[=+\-@]/.test(text)) text = "'" + text;
+	if (/[",\r\n]/.test(text)) text = '"' + text.replace(/"/g, '""') + '"';
+	return text;
+};
+
+// Writes rows of fields as CSV
+function writeCSV (rows) {
+	return rows.map(function (row) {
+		return row.map(csvField).join(",");
+	}).join("\r\n") + "\r\n";
+};
+
+// Writes lines ({text, size, bold, indent}) onto as many PDF pages as needed
+function writePDF (lines, callback) {
+
+	// Setup PDF canvas
+	var canvas = new Canvas(PageWidth, PageHeight, 'pdf');
+	var ctx = canvas.getContext('2d');
+	ctx.fillStyle = "#000000";
+
+	// Write each line, starting a new page when the current one is full
+	var y = Margin;
+	for (var i in lines) {
+		var line = lines[i];
+		var size = line.size || 11;
+		if (y + size > PageHeight - Margin) {
+			ctx.addPage();
+			ctx.fillStyle = "#000000";
+			y = Margin;
+		}
+		y += size;
+		ctx.font = (line.bold ? "bold " : "") + size + "px " + Font;
+		if (line.text) ctx.fillText(line.text, Margin + (line.indent || 0), y);
+		y += size * 0.6;
+	}
+
+	// Get PDF data
+	try {
+		callback(null, canvas.toBuffer());
+	} catch (err) {
+		callback(err);
+	}
+};
+
+// Functions ===================================================================
+module.exports = {
+
+	/**
+	 * Creates a PDF receipt for a donation
+	 * @memberof tools/Documents
+	 * @param {Object} receipt Receipt object (from Donation.getReceipt)
+	 * @param {function (err, data)} callback Callback function (data is a PDF buffer)
+	 */
+	makeReceiptPDF: function (receipt, callback) {
+		var lines = [
+			{'text': "cChange Donation Receipt", 'size': 20, 'bold': true},
+			{},
+			{'text': "Receipt number: " + receipt.receiptNumber},
+			{'text': "Date: " + formatDate(receipt.date)},
+			{},
+			{'text': "Donor", 'bold': true},
+			{'text': receipt.donorName, 'indent': 12},
+			{'text': receipt.donorEmail, 'indent': 12},
+			{},
+			{'text': "Donation", 'bold': true},
+			{'text': "Charity: " + receipt.charityName, 'indent': 12},
+		];
+		if (receipt.campaignName) lines.push({'text': "Campaign: " + receipt.campaignName, 'indent': 12});
+		lines.push({'text': "Amount: " + Currency.format(receipt.amount, receipt.currency), 'indent': 12});
+		lines.push({'text': "Status: " + receipt.status, 'indent': 12});
+		lines.push({});
+		lines.push({'text': "Thank you for giving through cChange.", 'size': 10});
+		writePDF(lines, callback);
+	},
+
+	/**
+	 * Creates a PDF annual giving statement
+	 * @memberof tools/Documents
+	 * @param {Object} statement Statement object (from Donation.getStatement)
+	 * @param {function (err, data)} callback Callback function (data is a PDF buffer)
+	 */
+	makeStatementPDF: function (statement, callback) {
+		var lines = [
+			{'text': "cChange Giving Statement " + statement.year, 'size': 20, 'bold': true},
+			{},
+			{'text': statement.donorName},
+			{'text': statement.donorEmail},
+			{'text': "Generated " + formatDate(statement.dateGenerated)},
+			{},
+			{'text': "Total given: " + Currency.format(statement.totalAmount, statement.currency), 'size': 14, 'bold': true},
+		];
+		for (var i in statement.charities) {
+			var charity = statement.charities[i];
+			lines.push({});
+			lines.push({'text': charity.charityName + ": " + Currency.format(charity.amount, statement.currency), 'bold': true});
+			for (var j in charity.donations) {
+				var donation = charity.donations[j];
+				var text = formatDate(donation.date) + "  " + Currency.format(donation.amount, donation.currency);
+				if (donation.currency != statement.currency) text += " (" + Currency.format(donation.convertedAmount, statement.currency) + ")";
+				if (donation.campaignName) text += "  (" + donation.campaignName + ")";
+				lines.push({'text': text, 'indent': 12, 'size': 10});
+			}
+		}
+		if (!statement.charities.length) lines.push({'text': "No donations were made this year."});
+		writePDF(lines, callback);
+	},
+
+	/**
+	 * Creates a CSV export of a charity's donations
+	 * @memberof tools/Documents
+	 * @param {Array} rows Donation rows (from Donation.getCharityExport)
+	 * @return {String} CSV document
+	 */
+	makeDonationsCSV: function (rows) {
+		var lines = [
+			["Donation ID", "Date", "Amount", "Currency", "Status", "Donor Name", "Donor Email", "Sponsor", "Campaign", "Post ID"],
+		];
+		for (var i in rows) {
+			var row = rows[i];
+			lines.push([
+				row.donation,
+				Moment.unix(row.date).format('YYYY-MM-DD HH:mm:ss'),
+				Currency.toDecimal(row.amount, row.currency),
+				row.currency,
+				row.status,
+				row.donorName,
+				row.donorEmail,
+				row.sponsorName,
+				row.campaignName,
+				row.post,
+			]);
+		}
+		return writeCSV(lines);
+	},
+};
\ No newline at end of file
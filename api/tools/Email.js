@@ -3,6 +3,11 @@
 
 // Initialize dependencies
 const SendGrid = require('@sendgrid/mail');
+const Moment = require('moment');
+const Currency = require('./Currency');
+const Secretary = require('./Secretary');
+const Authentication = require('./Authentication');
+const Types = require('./Types');
 
 // Initialize config
 const config = require('./../../config');
@@ -10,6 +15,66 @@ const config = require('./../../config');
 // Setup SendGrid
 SendGrid.setApiKey(config.sendgrid);
 
+// Helper functions ============================================================
+
+// Escapes text written by users and charities before it's added to an email
+function escapeHTML (text) {
+	return String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+};
+
+// Sends an email with SendGrid
+function deliver ({email, subject, body, headers}, callback) {
+	SendGrid.send({
+	    'from': config.fromEmail,
+	    'to': email,
+	    'subject': subject,
+	    'html': body,
+	    'headers': headers,
+	}, function(err) {
+		callback(err);
+	});
+};
+
+// Sends an email, checking the recipient's preferences for optional types and adding an unsubscribe link (emails without
+// a type are account emails, which are always sent to the given address)
+function send ({email, user, type, subject, body}, callback) {
+	if (!type) return deliver({email, subject, body}, function (err) {
+		callback(err, true);
+	});
+
+	// Optional emails are sent to a user, so their preferences can be checked
+	if (!user) return callback(Secretary.serverError("Missing recipient for " + type + " email"));
+
+	// Report email as not sent if recipient was deleted or unsubscribed
+	if (user.erased || (user.emailPreferences && user.emailPreferences[type] === false)) return callback(null, false);
+
+	// Add unsubscribe link, send email
+	Authentication.makeUnsubscribeToken({
+		'user': user,
+		'type': type,
+	}, function (err, token) {
+		if (err) return callback(err);
+		var unsubscribeURL = config.appURL + "unsubscribe/" + token;
+		body += "<br /><br />";
+		body += "<a href='" + unsubscribeURL + "'>Unsubscribe</a> from these emails, or choose which emails you get in your cChange settings.";
+		deliver({
+			'email': user.email,
+			'subject': subject,
+			'body': body,
+			'headers': {
+				'List-Unsubscribe': "<" + unsubscribeURL + ">",
+			},
+		}, function (err) {
+			callback(err, !err);
+		});
+	});
+};
+
 // Functions ===================================================================
 module.exports = {
 
@@ -34,13 +99,246 @@ module.exports = {
 		body += "This link will expire in 7 days";
 
 		// Send email
-		SendGrid.send({
-		    'from': config.fromEmail,
-		    'to': email,
-		    'subject': "Make your cChange Charity Account",
-		    'html': body,
-		}, function(err) {
-			callback(err);
-		});
+		send({
+			'email': email,
+			'type': null,
+			'subject': "Make your cChange Charity Account",
+			'body': body,
+		}, callback);
+	},
+
+	/**
+	 * Sends an email with a password reset token
+	 * @memberof tools/Email
+	 * @param {Object} params
+	 * @param {String} params.token Encoded password reset token string
+	 * @param {String} params.email Address to send email to
+	 * @param {function (err)} callback Callback function
+	 */
+	sendPasswordReset: function ({token, email}, callback) {
+
+		// Initialize route
+		const route = "resetPassword/";
+
+		// Setup email
+		var body = "We received a request to reset the password for your cChange account. Click the link to choose a new password: ";
+		body += "<br /><br />";
+		body += "<a href='" + config.appURL + route + token +"'>Reset your cChange password</a>";
+		body += "<br /><br />";
+		body += "This link will expire in 24 hours. If you didn't request a password reset, you can ignore this email.";
+
+		// Send email
+		send({
+			'email': email,
+			'type': null,
+			'subject': "Reset your cChange password",
+			'body': body,
+		}, callback);
+	},
+
+	/**
+	 * Sends an email with an email verification token
+	 * @memberof tools/Email
+	 * @param {Object} params
+	 * @param {String} params.token Encoded verification token string
+	 * @param {String} params.email Address to send email to
+	 * @param {function (err)} callback Callback function
+	 */
+	sendVerification: function ({token, email}, callback) {
+
+		// Initialize route
+		const route = "verifyEmail/";
+
+		// Setup email
+		var body = "Please confirm the email address for your cChange account. Click the link to verify it: ";
+		body += "<br /><br />";
+		body += "<a href='" + config.appURL + route + token +"'>Verify your email address</a>";
+		body += "<br /><br />";
+		body += "This link will expire in 7 days";
+
+		// Send email
+		send({
+			'email': email,
+			'type': null,
+			'subject': "Verify your cChange email address",
+			'body': body,
+		}, callback);
+	},
+
+	/**
+	 * Sends an email with a charity token for joining an existing charity
+	 * @memberof tools/Email
+	 * @param {Object} params
+	 * @param {String} params.token Encoded charity token string
+	 * @param {String} params.email Address to send email to
+	 * @param {String} params.charityName Name of charity user is invited to
+	 * @param {String} params.role Charity role user is invited with
+	 * @param {function (err)} callback Callback function
+	 */
+	sendStaffInvitation: function ({token, email, charityName, role}, callback) {
+
+		// Initialize route
+		const route = "charityJoin/";
+
+		// Setup email
+		var body = "You've been invited to join " + escapeHTML(charityName) + " on cChange as " + (/^[aeiou]/.test(role) ? "an " : "a ") + role + ". Click the link to get started: ";
+		body += "<br /><br />";
+		body += "<a href='" + config.appURL + route + token +"'>Join " + escapeHTML(charityName) + "</a>";
+		body += "<br /><br />";
+		body += "This link will expire in 10 days";
+
+		// Send email
+		send({
+			'email': email,
+			'type': null,
+			'subject': "Join " + charityName + " on cChange",
+			'body': body,
+		}, callback);
+	},
+
+	/**
+	 * Sends an email to a user's previous address notifying them that their email was changed
+	 * @memberof tools/Email
+	 * @param {Object} params
+	 * @param {String} params.email Previous address to send email to
+	 * @param {String} params.newEmail New address of user
+	 * @param {function (err)} callback Callback function
+	 */
+	sendEmailChanged: function ({email, newEmail}, callback) {
+
+		// Setup email
+		var body = "The email address for your cChange account was changed to " + escapeHTML(newEmail) + ".";
+		body += "<br /><br />";
+		body += "If you didn't make this change, please contact cChange support right away.";
+
+		// Send email
+		send({
+			'email': email,
+			'type': null,
+			'subject': "Your cChange email address was changed",
+			'body': body,
+		}, callback);
+	},
+
+	/**
+	 * Sends a donation receipt
+	 * @memberof tools/Email
+	 * @param {Object} params
+	 * @param {Object} params.user User object of donor (their email preferences are checked)
+	 * @param {Object} params.receipt Receipt object (from Donation.getReceipt)
+	 * @param {function (err, sent)} callback Callback function (sent is false if user unsubscribed from receipts)
+	 */
+	sendDonationReceipt: function ({user, receipt}, callback) {
+
+		// Setup email
+		var body = "Thank you for your donation to " + escapeHTML(receipt.charityName) + "!";
+		body += "<br /><br />";
+		body += "Receipt number: " + receipt.receiptNumber + "<br />";
+		body += "Date: " + Moment.unix(receipt.date).format('MMMM D, YYYY') + "<br />";
+		body += "Donor: " + escapeHTML(receipt.donorName) + "<br />";
+		body += "Charity: " + escapeHTML(receipt.charityName) + "<br />";
+		if (receipt.campaignName) body += "Campaign: " + escapeHTML(receipt.campaignName) + "<br />";
+		body += "Amount: " + Currency.format(receipt.amount, receipt.currency);
+		body += "<br /><br />";
+		body += "Keep this email for your records, you can also download receipts and yearly giving statements from cChange.";
+
+		// Send email
+		send({
+			'user': user,
+			'type': Types.emailTypes.receipts,
+			'subject': "Your receipt for donating to " + receipt.charityName,
+			'body': body,
+		}, callback);
+	},
+
+	/**
+	 * Sends an email notifying a user that a recurring donation was skipped because their balance was too low
+	 * @memberof tools/Email
+	 * @param {Object} params
+	 * @param {Object} params.user User object of donor (their email preferences are checked)
+	 * @param {Number} params.amount Number of cents of recurring donation
+	 * @param {String} [params.currency] Currency code of amount
+	 * @param {String} params.charityName Name of charity receiving recurring donation
+	 * @param {function (err, sent)} callback Callback function (sent is false if user unsubscribed from receipts)
+	 */
+	sendRecurringDonationSkipped: function ({user, amount, currency, charityName}, callback) {
+
+		// Setup email
+		var body = "Your monthly donation of " + Currency.format(amount, currency) + " to " + escapeHTML(charityName) + " was skipped because your cChange balance was too low.";
+		body += "<br /><br />";
+		body += "Add funds to your balance to make sure next month's donation goes through.";
+
+		// Send email
+		send({
+			'user': user,
+			'type': Types.emailTypes.receipts,
+			'subject': "Your monthly donation to " + charityName + " was skipped",
+			'body': body,
+		}, callback);
+	},
+
+	/**
+	 * Sends an email notifying a user that their account was locked after failed login attempts
+	 * @memberof tools/Email
+	 * @param {Object} params
+	 * @param {String} params.email Address to send email to
+	 * @param {Number} params.minutes Length of lockout in minutes
+	 * @param {function (err)} callback Callback function
+	 */
+	sendAccountLocked: function ({email, minutes}, callback) {
+
+		// Setup email
+		var body = "There were too many failed attempts to log in to your cChange account, so logging in has been disabled for " + minutes + " minutes.";
+		body += "<br /><br />";
+		body += "If this wasn't you, someone may be trying to guess your password. You can reset your password from the login page once the lockout ends.";
+
+		// Send email
+		send({
+			'email': email,
+			'type': null,
+			'subject': "Your cChange account has been locked",
+			'body': body,
+		}, callback);
+	},
+
+	/**
+	 * Sends a weekly digest of new campaigns and updates from the charities a user follows
+	 * @memberof tools/Email
+	 * @param {Object} params
+	 * @param {Object} params.user User object to send digest to (their email preferences are checked)
+	 * @param {Array} params.charities Array of charities with news, each {name, campaigns, updates} (campaigns and
+	 * updates are arrays of objects with a name and description)
+	 * @param {function (err, sent)} callback Callback function (sent is false if user unsubscribed from digests)
+	 */
+	sendWeeklyDigest: function ({user, charities}, callback) {
+
+		// Setup email
+		var body = "Hi " + escapeHTML(user.name) + ", here's what the charities you follow have been up to this week.";
+		for (var i in charities) {
+			body += "<br /><br />";
+			body += "<b>" + escapeHTML(charities[i].name) + "</b><br />";
+			for (var j in charities[i].campaigns) {
+				var campaign = charities[i].campaigns[j];
+				body += "New campaign: " + escapeHTML(campaign.name);
+				if (campaign.description) body += " - " + escapeHTML(campaign.description);
+				body += "<br />";
+			}
+			for (var j in charities[i].updates) {
+				var update = charities[i].updates[j];
+				body += "Update: " + escapeHTML(update.name);
+				if (update.description) body += " - " + escapeHTML(update.description);
+				body += "<br />";
+			}
+		}
+		body += "<br />";
+		body += "<a href='" + config.appURL + "'>See more on cChange</a>";
+
+		// Send email
+		send({
+			'user': user,
+			'type': Types.emailTypes.digest,
+			'subject': "Your weekly cChange digest",
+			'body': body,
+		}, callback);
 	},
 };
\ No newline at end of file
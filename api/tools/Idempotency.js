@@ -0,0 +1,84 @@
+/** @namespace tools/Idempotency */
+// Idempotency.js: replays responses for requests retried with the same Idempotency-Key header
+
+// Initialize dependencies
+const Crypto = require('crypto');
+const Authentication = require('./Authentication');
+const Validation = require('./Validation');
+const Secretary = require('./Secretary');
+const Messages = require('./Messages');
+
+// Helper functions ============================================================
+
+// Writes a value as JSON with object keys sorted (so property order doesn't change fingerprints)
+function sortedJSON (value) {
+	if (Array.isArray(value)) return "[" + value.map(sortedJSON).join(",") + "]";
+	if (value && typeof value === 'object') {
+		return "{" + Object.keys(value).sort().map(function (key) {
+			return JSON.stringify(key) + ":" + sortedJSON(value[key]);
+		}).join(",") + "}";
+	}
+	return JSON.stringify(value);
+};
+
+// Hashes a request's route and body
+function fingerprint (request) {
+	return Crypto.createHash('sha256').update(request.path + " " + sortedJSON(request.body || {})).digest('hex');
+};
+
+// Functions ===================================================================
+module.exports = {
+
+	/**
+	 * Express.js middleware which claims a request's Idempotency-Key (attached to request.idempotencyKey), or replays
+	 * the response saved for it. Requests without the header, or without a valid token, are handled normally.
+	 * @memberof tools/Idempotency
+	 * @param {Object} req Express.js request object
+	 * @param {Object} res Express.js response object
+	 * @param {function(err)} next Express.js next function
+	 */
+	check: function (req, res, next) {
+
+		// Handle requests without key normally
+		var key = req.get('Idempotency-Key');
+		if (key === undefined) return next();
+
+		// Error: Invalid key
+		var err = Validation.catchErrors([
+			Validation.string('Idempotency-Key header', key),
+		]);
+		if (err) return next(err);
+
+		// Scope key to user (required here to avoid a circular dependency)
+		const IdempotencyKey = require('./../model/IdempotencyKey');
+		Authentication.authenticateUser(req, function (err, token) {
+			if (err) return next(); // Route handles authentication error
+
+			IdempotencyKey.claim({
+				'key': token.user + ":" + key,
+				'fingerprint': fingerprint(req),
+			}, function (err, idempotencyKey, existingKey) {
+				if (err) return next(err);
+
+				// Handle first request with key
+				if (idempotencyKey) {
+					req.idempotencyKey = idempotencyKey;
+					return next();
+				}
+
+				// Error: Key used for a different request
+				if (existingKey.fingerprint != fingerprint(req))
+					return next(Secretary.conflictError(Messages.conflictErrors.idempotencyKeyReused));
+
+				// Error: First request hasn't finished
+				if (!existingKey.completed)
+					return next(Secretary.conflictError(Messages.conflictErrors.idempotencyKeyInProgress));
+
+				// Replay saved response
+				res.set('Idempotent-Replayed', "true");
+				res.status(existingKey.responseCode);
+				res.json(existingKey.responseBody);
+			});
+		});
+	},
+};
\ No newline at end of file
@@ -22,9 +22,15 @@ module.exports = {
 	'authErrors': {
 		'missingToken': "Missing authorization token",
 		'unauthorized': "Unauthorized",
+		'tokenExpired': "Authorization token has expired",
+		'sessionInvalid': "Your session has ended, please log in again",
 		'charityUnauthorized': "Unauthorized for charity access",
 		'noAccess': "Unauthorized to access object",
-		'adminUnauthorized': "You are not authorized to invite charities",
+		'charityRoleUnauthorized': "Your charity role does not allow this",
+		'adminUnauthorized': "Unauthorized for administrator access",
+		'unverified': "You must verify your email address to do this",
+		'twoFactorRequired': "Your charity requires two-factor authentication, enable it to continue",
+		'webhookSignatureInvalid': "Invalid webhook signature",
 	},
 
 	/**
@@ -36,6 +42,7 @@ module.exports = {
 		'emptyString': " is an empty string",
 		'number': " is not a number",
 		'array': " is not an array",
+		'boolean': " is not a boolean",
 	},
 
 	/**
@@ -51,6 +58,13 @@ module.exports = {
 		'invalidImageURL': " is not a valid image URL",
 		'invalidCategoryType': " is not a valid category",
 		'invalidObjectType': " is not a valid object type",
+		'invalidCharityRole': " is not a valid charity role",
+		'invalidDocumentFormat': " must be json or pdf",
+		'dateInPast': " must be in the future",
+		'invalidCurrency': " is not a supported currency",
+		'invalidReportInterval': " must be day, week or month",
+		'invalidReactionType': " must be like, love, celebrate, support or sad",
+		'endBeforeStart': " must be after the start date",
 	},
 
 	/**
@@ -65,9 +79,54 @@ module.exports = {
 		'charityTokenInvalid': "Your token is invalid",
 		'charityTokenUsed': "Your invitiation has already been used",
 		'charityTokenExpired': "Your invitation has expired",
+		'charityTokenWrongEmail': "Your invitation was sent to a different email address",
 		'insufficientFunds': "Your balance is insufficient to make this donation",
+		'campaignEnded': "This campaign has ended and is no longer accepting donations",
+		'resetTokenInvalid': "Your password reset link is invalid",
+		'resetTokenUsed': "Your password reset link has already been used",
+		'resetTokenExpired': "Your password reset link has expired",
+		'verificationTokenInvalid': "Your verification link is invalid",
+		'verificationTokenUsed': "Your verification link has already been used",
+		'verificationTokenExpired': "Your verification link has expired",
+		'unsubscribeTokenInvalid': "Your unsubscribe link is invalid",
+		'emailAlreadyVerified': "Your email address is already verified",
+		'adminSelfRevoke': "You cannot revoke your own administrator access",
+		'lastCharityOwner': "A charity must have at least one owner",
+		'notCharityStaff': "This user is not a member of your charity",
+		'alreadyCharityStaff': "This user is already a member of your charity",
+		'tooManyLoginAttempts': "Too many failed login attempts, please try again later",
+		'twoFactorCodeIncorrect': "Incorrect authentication code",
+		'twoFactorAlreadyEnabled': "Two-factor authentication is already enabled",
+		'twoFactorNotEnabled': "Two-factor authentication is not enabled",
+		'twoFactorNotEnrolled': "Start two-factor authentication setup first",
+		'twoFactorTokenInvalid': "Your login has expired, please log in again",
+		'twoFactorOwnerRequired': "Enable two-factor authentication on your account before requiring it for your charity",
+		'transactionCompleted': "This transaction has already been completed",
+		'refundNotAllowed': "A refund can't be requested for this donation",
+		'refundWindowClosed': "Refunds can only be requested within 30 days of donating",
+		'refundNotRequested': "No refund has been requested for this donation",
+		'idempotencyKeyReused': "This Idempotency-Key was already used for a different request",
+		'idempotencyKeyInProgress': "A request with this Idempotency-Key is still being processed",
+		'paymentIntentCompleted': "This payment has already been completed",
+		'paymentProviderUnsupported': "The payment provider does not support this action",
+		'currencyUnsupported': "No exchange rate is available for this currency",
+		'currencyChangeNotAllowed': "Your balance must be empty to change its currency",
+		'recurringDonationCancelled': "This recurring donation has been cancelled",
+		'soleCharityOwner': "Add another owner to your charities before deleting your account",
 	},
 
+	/**
+	 * Name shown in place of deleted users
+	 * @memberof tools/Messages
+	 */
+	'deletedUser': "Deleted user",
+
+	/**
+	 * Name shown in place of donors who keep their donations anonymous
+	 * @memberof tools/Messages
+	 */
+	'anonymousDonor': "Anonymous donor",
+
 	/**
 	 * Basic server error message
 	 * @memberof tools/Messages
@@ -48,6 +48,9 @@ module.exports = {
 			// Query database
 			function (callback) {
 
+				// Exclude erased objects unless query says otherwise
+				var pageQuery = Object.assign({'erased': {'$ne': true}}, query);
+
 				// Setup parameters from request
 				var pageSize = (params.pageSize == null) ? PageSize : params.pageSize;
 				var sort = (params.sort == null) ? Sort : params.sort;
@@ -69,7 +72,7 @@ module.exports = {
 					Async.each(models, function (model, callback) {
 						Database.find({
 							'model': model,
-							'query': query,
+							'query': pageQuery,
 						}, function (err, objects) {
 							if (objects) for (var i in objects) allObjects.push(objects[i]);
 							callback(err);
@@ -98,7 +101,7 @@ module.exports = {
 					// Using paging function
 					Database.page({
 						'model': model,
-						'query': query,
+						'query': pageQuery,
 						'pageSize': pageSize,
 						'sort': pageSort,
 						'skip': pageNumber*pageSize,
@@ -0,0 +1,177 @@
+/** @namespace tools/Payments */
+// Payments.js: takes card payments through the configured payment provider and checks its webhooks
+
+// Initialize dependencies
+const Crypto = require('crypto');
+
+// Initialize config
+const config = require('./../../config');
+
+// Payment settings (config.payments must name a provider and a webhook secret, there are no defaults so a deployment
+// can't fall back to the fake provider or sign webhooks with the authentication secret)
+const Settings = Object.assign({}, config.payments);
+if (!Settings.provider) throw new Error("Missing payment provider (config.payments.provider)");
+if (!Settings.webhookSecret) throw new Error("Missing payment webhook secret (config.payments.webhookSecret)");
+if (Settings.webhookSecret == config.secret) throw new Error("Payment webhook secret must differ from config.secret");
+const SignatureToleranceSeconds = 300; // Webhooks signed longer ago than this are rejected
+
+// Webhook event types
+const Events = {
+	'succeeded': "payment.succeeded",
+	'failed': "payment.failed",
+};
+
+// Helper functions ============================================================
+
+// Signs a webhook payload as "t=timestamp,v1=signature"
+function signPayload (payload) {
+	var timestamp = Math.floor(Date.now() / 1000);
+	var signature = Crypto.createHmac('sha256', Settings.webhookSecret).update(timestamp + "." + payload).digest('hex');
+	return "t=" + timestamp + ",v1=" + signature;
+};
+
+// Checks a webhook payload against its "t=timestamp,v1=signature" header
+function verifyPayload (payload, header) {
+	if (!payload || !header) return false;
+
+	// Read timestamp and signature from header
+	var parts = {};
+	String(header).split(",").forEach(function (part) {
+		var pair = part.split("=");
+		parts[pair[0].trim()] = pair[1];
+	});
+	var timestamp = parseInt(parts.t);
+	if (!timestamp || !parts.v1) return false;
+
+	// Reject old signatures (prevents replaying captured webhooks)
+	if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SignatureToleranceSeconds) return false;
+
+	// Compare signatures in constant time
+	var expected = Buffer.from(Crypto.createHmac('sha256', Settings.webhookSecret).update(timestamp + "." + payload).digest('hex'));
+	var actual = Buffer.from(parts.v1);
+	return expected.length == actual.length && Crypto.timingSafeEqual(expected, actual);
+};
+
+// Providers ===================================================================
+
+// Each provider implements:
+//   createPayment({guid, amount, currency}, callback(err, payment)): starts a payment, payment is {id, clientSecret}
+//   parseEvent({rawBody, signature}): returns the webhook event {type, payment} (or null if the signature is invalid)
+//   makeEvent({type, payment}) [optional]: returns a signed webhook {rawBody, signature} for offline testing
+const Providers = {
+
+	// Fake: local provider for development only, payments are confirmed with /payment.fakeConfirm instead of a card
+	'fake': {
+		createPayment: function ({guid, amount, currency}, callback) {
+			callback(null, {
+				'id': "fake_" + Crypto.randomBytes(12).toString('hex'),
+				'clientSecret': Crypto.randomBytes(16).toString('hex'),
+			});
+		},
+		parseEvent: function ({rawBody, signature}) {
+			if (!verifyPayload(rawBody, signature)) return null;
+			try {
+				var event = JSON.parse(rawBody);
+				return {
+					'type': event.type,
+					'payment': event.data && event.data.id,
+				};
+			} catch (err) {
+				return null;
+			}
+		},
+		makeEvent: function ({type, payment}) {
+			var rawBody = JSON.stringify({
+				'type': type,
+				'data': {
+					'id': payment,
+				},
+			});
+			return {
+				'rawBody': rawBody,
+				'signature': signPayload(rawBody),
+			};
+		},
+	},
+};
+
+// Provider used for all payments
+const Provider = Providers[Settings.provider];
+if (!Provider) throw new Error("Unknown payment provider: " + Settings.provider);
+
+module.exports = {
+
+	/**
+	 * Name of the configured payment provider
+	 * @memberof tools/Payments
+	 */
+	provider: Settings.provider,
+
+	/**
+	 * True if the fake development provider is configured (enables /payment.fakeConfirm)
+	 * @memberof tools/Payments
+	 */
+	isFake: Settings.provider == "fake",
+
+	/**
+	 * Webhook event types
+	 * @memberof tools/Payments
+	 */
+	events: Events,
+
+	/**
+	 * Name of the request header holding webhook signatures
+	 * @memberof tools/Payments
+	 */
+	signatureHeader: "payment-signature",
+
+	/**
+	 * Starts a payment with the payment provider
+	 * @memberof tools/Payments
+	 * @param {Object} params
+	 * @param {String} params.guid GUID of payment intent the payment is for
+	 * @param {Number} params.amount Number of cents to charge
+	 * @param {String} params.currency Currency code of amount
+	 * @param {function(err, payment)} callback Callback function (payment is {id, clientSecret})
+	 */
+	createPayment: function ({guid, amount, currency}, callback) {
+		Provider.createPayment({
+			'guid': guid,
+			'amount': amount,
+			'currency': currency,
+		}, function (err, payment) {
+			callback(err, payment);
+		});
+	},
+
+	/**
+	 * Checks a webhook's signature and reads its event
+	 * @memberof tools/Payments
+	 * @param {Object} params
+	 * @param {String} params.rawBody Unparsed request body
+	 * @param {String} params.signature Signature header
+	 * @return {Object} Event {type, payment} (or null if the signature is invalid)
+	 */
+	parseWebhook: function ({rawBody, signature}) {
+		return Provider.parseEvent({
+			'rawBody': rawBody,
+			'signature': signature,
+		});
+	},
+
+	/**
+	 * Makes a signed webhook as the payment provider would send it (only supported by providers meant for testing)
+	 * @memberof tools/Payments
+	 * @param {Object} params
+	 * @param {String} params.type Event type (from Payments.events)
+	 * @param {String} params.payment Provider ID of payment
+	 * @return {Object} Webhook {rawBody, signature} (or null if the provider doesn't support this)
+	 */
+	simulateWebhook: function ({type, payment}) {
+		if (!Provider.makeEvent) return null;
+		return Provider.makeEvent({
+			'type': type,
+			'payment': payment,
+		});
+	},
+};
\ No newline at end of file
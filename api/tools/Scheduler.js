@@ -0,0 +1,303 @@
+/** @namespace tools/Scheduler */
+// Scheduler.js: runs background jobs (e.g. recurring donations) inside the server process
+
+// Initialize dependencies
+const Async = require('async');
+const Database = require('./Database');
+const Email = require('./Email');
+const Secretary = require('./Secretary');
+const Messages = require('./Messages');
+const Currency = require('./Currency');
+const Dates = require('./Dates');
+
+// How often jobs check for due work
+const IntervalMinutes = 1;
+
+// Jobs =======================================================================
+
+/**
+ * Makes one claimed recurring donation through the same logic as /donation.create
+ * @memberof tools/Scheduler
+ * @param {Object} recurringDonation Claimed recurring donation object
+ * @param {function(err)} callback Callback function
+ */
+function makeRecurringDonation (recurringDonation, callback) {
+
+	// Initialize models (required here to avoid circular dependencies)
+	const User = require('./../model/User');
+	const Donation = require('./../model/Donation');
+
+	Async.waterfall([
+
+		// Find donating user, cancel recurring donation if they were deleted
+		function (callback) {
+			Database.findOne({
+				'model': User,
+				'query': {
+					'guid': recurringDonation.user,
+				},
+			}, function (err, user) {
+				if (err || (user && !user.erased)) return callback(err, user);
+				recurringDonation.end(function (err) {
+					callback(err || Secretary.conflictError(Messages.conflictErrors.objectNotFound));
+				});
+			});
+		},
+
+		// Find campaign and charity
+		function (user, callback) {
+			Donation.findTargets({
+				'campaign': recurringDonation.campaign,
+				'charity': recurringDonation.charity,
+			}, function (err, targets) {
+				callback(err, user, targets);
+			});
+		},
+
+		// Convert amount to user's balance currency
+		function (user, targets, callback) {
+			Currency.convert({
+				'amount': recurringDonation.amount,
+				'from': recurringDonation.currency,
+				'to': user.currency,
+			}, function (err, amount) {
+				callback(err, user, targets, amount);
+			});
+		},
+
+		// Make donation
+		function (user, targets, amount, callback) {
+			Donation.make({
+				'user': user,
+				'campaign': targets.campaign,
+				'charity': targets.charity,
+				'amount': amount,
+			}, function (err, result) {
+
+				// Handle successful donation
+				if (!err) return recurringDonation.recordResult({
+					'donation': result.donation,
+				}, callback);
+
+				// Stop donating to ended campaigns
+				if (err.message == Messages.conflictErrors.campaignEnded) return recurringDonation.end(function (err) {
+					callback(err);
+				});
+
+				// Skip donation for insufficient funds, notify user
+				if (err.message != Messages.conflictErrors.insufficientFunds) return callback(err);
+				recurringDonation.recordResult({
+					'donation': null,
+				}, function (err) {
+					if (err) return callback(err);
+					Email.sendRecurringDonationSkipped({
+						'user': user,
+						'amount': recurringDonation.amount,
+						'currency': recurringDonation.currency,
+						'charityName': targets.charity.name,
+					}, function (err) {
+						callback(err);
+					});
+				});
+			});
+		},
+
+	], function (err) {
+		callback(err);
+	});
+};
+
+/**
+ * Claims and makes all due recurring donations
+ * @memberof tools/Scheduler
+ * @param {function(err)} callback Callback function
+ */
+function runRecurringDonations (callback) {
+
+	// Initialize model (required here to avoid circular dependencies)
+	const RecurringDonation = require('./../model/RecurringDonation');
+
+	RecurringDonation.findDue(function (err, recurringDonations) {
+		if (err) return callback(err);
+
+		// Make each donation one at a time
+		Async.eachSeries(recurringDonations, function (recurringDonation, callback) {
+
+			// Claim donation so it's only made once
+			recurringDonation.claim(function (err, claimedDonation) {
+				if (err || !claimedDonation) return callback(err);
+				makeRecurringDonation(recurringDonation, function (err) {
+					if (err) console.log('Recurring donation ' + recurringDonation.guid + ' failed:', err);
+					callback();
+				});
+			});
+		}, function (err) {
+			callback(err);
+		});
+	});
+};
+
+/**
+ * Sends a user a digest of the campaigns and updates their followed charities created since a time
+ * @memberof tools/Scheduler
+ * @param {Object} user User object
+ * @param {Number} since UNIX timestamp of the start of the digest
+ * @param {function(err)} callback Callback function
+ */
+function sendWeeklyDigest (user, since, callback) {
+
+	// Initialize models (required here to avoid circular dependencies)
+	const Charity = require('./../model/Charity');
+	const Campaign = require('./../model/Campaign');
+	const Update = require('./../model/Update');
+
+	// Setup query for news from followed charities
+	var query = {
+		'charity': {
+			'$in': user.followingCharities,
+		},
+		'dateCreated': {
+			'$gt': since,
+		},
+		'erased': {
+			'$ne': true,
+		},
+	};
+
+	Async.waterfall([
+
+		// Find new campaigns and updates
+		function (callback) {
+			Async.parallel({
+				'campaigns': function (callback) {
+					Database.find({
+						'model': Campaign,
+						'query': query,
+					}, callback);
+				},
+				'updates': function (callback) {
+					Database.find({
+						'model': Update,
+						'query': query,
+					}, callback);
+				},
+			}, function (err, news) {
+				callback(err, news);
+			});
+		},
+
+		// Find charities with news
+		function (news, callback) {
+			if (!news.campaigns.length && !news.updates.length) return callback(null, news, []);
+			Database.find({
+				'model': Charity,
+				'query': {
+					'guid': {
+						'$in': user.followingCharities,
+					},
+				},
+			}, function (err, charities) {
+				callback(err, news, charities);
+			});
+		},
+
+		// Group news by charity, send email
+		function (news, charities, callback) {
+			var digest = [];
+			for (var i in charities) {
+				var charity = {
+					'name': charities[i].name,
+					'campaigns': news.campaigns.filter(function (campaign) {
+						return campaign.charity == charities[i].guid;
+					}),
+					'updates': news.updates.filter(function (update) {
+						return update.charity == charities[i].guid;
+					}),
+				};
+				if (charity.campaigns.length || charity.updates.length) digest.push(charity);
+			}
+
+			// Only send digests with news
+			if (!digest.length) return callback();
+			Email.sendWeeklyDigest({
+				'user': user,
+				'charities': digest,
+			}, function (err) {
+				callback(err);
+			});
+		},
+
+	], function (err) {
+		callback(err);
+	});
+};
+
+/**
+ * Claims and sends all due weekly digests
+ * @memberof tools/Scheduler
+ * @param {function(err)} callback Callback function
+ */
+function runWeeklyDigests (callback) {
+
+	// Initialize model (required here to avoid circular dependencies)
+	const User = require('./../model/User');
+
+	User.findDueForDigest(function (err, users) {
+		if (err) return callback(err);
+
+		// Send each digest one at a time
+		Async.eachSeries(users, function (user, callback) {
+
+			// Cover the week since the last digest (or the past week for a first digest)
+			var since = Math.max(user.lastDigest || 0, Dates.fromNow(-1, 'weeks'));
+
+			// Claim digest so it's only sent once
+			user.claimDigest(function (err, claimedUser) {
+				if (err || !claimedUser) return callback(err);
+				sendWeeklyDigest(user, since, function (err) {
+					if (err) console.log('Weekly digest for user ' + user.guid + ' failed:', err);
+					callback();
+				});
+			});
+		}, function (err) {
+			callback(err);
+		});
+	});
+};
+
+// Functions ===================================================================
+
+// Jobs run on every tick
+const jobs = [
+	runRecurringDonations,
+	runWeeklyDigests,
+];
+
+// True while jobs are running (prevents overlapping ticks)
+var running = false;
+
+function tick () {
+	if (running) return;
+	running = true;
+	Async.eachSeries(jobs, function (job, callback) {
+		job(function (err) {
+			if (err) console.log('Scheduled job error:', err);
+			callback();
+		});
+	}, function () {
+		running = false;
+	});
+};
+
+module.exports = {
+
+	/**
+	 * Starts running scheduled jobs
+	 * @memberof tools/Scheduler
+	 */
+	start: function () {
+		console.log('Starting scheduler...');
+		tick();
+		setInterval(tick, IntervalMinutes * 60 * 1000);
+	},
+};
\ No newline at end of file
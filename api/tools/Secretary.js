@@ -12,7 +12,11 @@ const privateKeys = [
 	"_id",
 	"__v",
 	"password",
-	"charityToken"
+	"charityToken",
+	"twoFactorSecret",
+	"twoFactorRecoveryCodes",
+	"twoFactorLastStep",
+	"pendingTransactions"
 ];
 
 // Helper functions ============================================================
@@ -29,6 +33,54 @@ function removePrivateKeys(object) {
 	return object;
 }
 
+function formatObject(request, response, object, callback) {
+
+	// Replace erased users with a placeholder
+	if (object.objectType == "user" && object.erased) {
+		return callback(null, {
+			'guid': object.guid,
+			'objectType': object.objectType,
+			'erased': true,
+			'name': Messages.deletedUser,
+		});
+	}
+
+	// Format object using its own formatter
+	object.format({
+		'req': request,
+		'res': response,
+	}, callback);
+}
+
+function prepareObjects(request, response, objects, callback) {
+
+	// Group objects by model
+	var models = [];
+	var modelObjects = [];
+	for (var i in objects) {
+		var model = objects[i].constructor;
+		if (!model || !model.prepareFormat) continue;
+		var index = models.indexOf(model);
+		if (index < 0) {
+			index = models.length;
+			models.push(model);
+			modelObjects.push([]);
+		}
+		modelObjects[index].push(objects[i]);
+	}
+
+	// Let each model load what it needs to format its objects at once
+	Async.eachOf(models, function (model, index, callback) {
+		model.prepareFormat({
+			'req': request,
+			'res': response,
+			'objects': modelObjects[index],
+		}, callback);
+	}, function (err) {
+		callback(err);
+	});
+}
+
 function formatAndAttachObjects(request, response, callback) {
 
 	// Return if no objectsToFormat
@@ -46,26 +98,23 @@ function formatAndAttachObjects(request, response, callback) {
 		// Format array (maintains order using index)
 		if (object instanceof Array) {
 			var formattedObjects = new Array(object.length);
-			Async.eachOf(object, function (arrayObject, index, callback) {
-				arrayObject.format({
-					'req': request,
-					'res': response,
-				}, function (err, formattedObject) {
-					if (formattedObject) formattedObjects[index] = removePrivateKeys(formattedObject);
+			prepareObjects(request, response, object, function (err) {
+				if (err) return callback(err);
+				Async.eachOf(object, function (arrayObject, index, callback) {
+					formatObject(request, response, arrayObject, function (err, formattedObject) {
+						if (formattedObject) formattedObjects[index] = removePrivateKeys(formattedObject);
+						callback(err);
+					});
+				}, function (err) {
+					response.body[key] = formattedObjects;
 					callback(err);
-				});
-			}, function (err) {
-				response.body[key] = formattedObjects;
-				callback(err);
-			})
+				})
+			});
 		}
 
 		// Format single object
 		else {
-			object.format({
-				'req': request,
-				'res': response,
-			}, function (err, formattedObject) {
+			formatObject(request, response, object, function (err, formattedObject) {
 				if (formattedObject) response.body[key] = removePrivateKeys(formattedObject);
 				callback(err);
 			});
@@ -138,6 +187,22 @@ module.exports = {
 		return createError(Messages.codes.serverError, Messages.serverError);
 	},
 
+	/**
+	 * Sends a file as a download instead of a JSON response
+	 * @memberof tools/Secretary
+	 * @param {Object} params
+	 * @param {Object} params.response Express.js response object
+	 * @param {Buffer} params.data File contents
+	 * @param {String} params.type MIME type of file
+	 * @param {String} params.filename Name of downloaded file
+	 */
+	sendFile: function ({response, data, type, filename}) {
+		response.status(Messages.codes.success);
+		response.set('Content-Type', type);
+		response.set('Content-Disposition', 'attachment; filename="' + filename + '"');
+		response.send(data);
+	},
+
 	/**
 	 * Attaches objects, status and message to response, sends response
 	 * @memberof tools/Secretary
@@ -146,10 +211,18 @@ module.exports = {
 	 */
 	respond: function (request, response) {
 
+		// Initialize response body
+		if (!response.body) response.body = {};
+
 		// Format and attach objects
 		formatAndAttachObjects(request, response, function (err) {
 			if (err) {
 
+				// Release idempotency key so request can be retried
+				if (request.idempotencyKey) request.idempotencyKey.release(function (err) {
+					if (err) console.log(err);
+				});
+
 				// Send attachment error
 				response.status(Messages.codes.serverError);
 				response.body.message = "Error formatting objects";
@@ -157,9 +230,20 @@ module.exports = {
 
 			} else {
 
-				// Send successful response
+				// Setup successful response
 				response.status(Messages.codes.success);
 				response.body.message = Messages.success;
+
+				// Save response for retries with the same idempotency key
+				if (request.idempotencyKey) return request.idempotencyKey.complete({
+					'code': Messages.codes.success,
+					'body': response.body,
+				}, function (err) {
+					if (err) console.log(err);
+					response.json(response.body);
+				});
+
+				// Send successful response
 				response.json(response.body);
 			}
 		});
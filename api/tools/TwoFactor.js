@@ -0,0 +1,136 @@
+/** @namespace tools/TwoFactor */
+// TwoFactor.js: generates and checks time-based one-time passwords (TOTP, RFC 6238)
+
+// Initialize dependencies
+const Crypto = require('crypto');
+const HashPassword = require('password-hash');
+
+// TOTP settings (defaults used by authenticator apps)
+const Issuer = "cChange";
+const Digits = 6;
+const StepSeconds = 30;
+const WindowSteps = 1; // Steps before and after the current step which are accepted
+const RecoveryCodeCount = 10;
+const Base32Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Helper functions ============================================================
+function base32Encode (buffer) {
+	var bits = "";
+	for (var i = 0; i < buffer.length; i++) bits += ("00000000" + buffer[i].toString(2)).slice(-8);
+	var output = "";
+	for (var i = 0; i < bits.length; i += 5) output += Base32Alphabet[parseInt((bits.substr(i, 5) + "0000").substr(0, 5), 2)];
+	return output;
+};
+
+function base32Decode (string) {
+	var bits = "";
+	string = string.toUpperCase().replace(/=+$/, "");
+	for (var i = 0; i < string.length; i++) bits += ("00000" + Base32Alphabet.indexOf(string[i]).toString(2)).slice(-5);
+	var bytes = [];
+	for (var i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.substr(i, 8), 2));
+	return Buffer.from(bytes);
+};
+
+function currentStep () {
+	return Math.floor(Date.now() / 1000 / StepSeconds);
+};
+
+function makeCode (secret, step) {
+
+	// Write step as 8-byte big-endian counter
+	var counter = Buffer.alloc(8);
+	counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+	counter.writeUInt32BE(step % 0x100000000, 4);
+
+	// Sign counter with secret, truncate dynamically (RFC 4226)
+	var hmac = Crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+	var offset = hmac[hmac.length - 1] & 0xf;
+	var binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+	return ("000000" + (binary % Math.pow(10, Digits))).slice(-Digits);
+};
+
+module.exports = {
+
+	/**
+	 * Generates a new base32 TOTP secret
+	 * @memberof tools/TwoFactor
+	 * @return {String} Base32 encoded secret
+	 */
+	makeSecret: function () {
+		return base32Encode(Crypto.randomBytes(20));
+	},
+
+	/**
+	 * Makes an otpauth:// provisioning URI (shown to users as a QR code by authenticator apps)
+	 * @memberof tools/TwoFactor
+	 * @param {Object} params
+	 * @param {String} params.secret Base32 encoded secret
+	 * @param {String} params.email Email of user the secret belongs to
+	 * @return {String} Provisioning URI
+	 */
+	makeURI: function ({secret, email}) {
+		var label = encodeURIComponent(Issuer + ":" + email);
+		return "otpauth://totp/" + label + "?secret=" + secret + "&issuer=" + encodeURIComponent(Issuer) + "&digits=" + Digits + "&period=" + StepSeconds;
+	},
+
+	/**
+	 * Checks a code against a secret, allowing for small clock differences
+	 * @memberof tools/TwoFactor
+	 * @param {Object} params
+	 * @param {String} params.secret Base32 encoded secret
+	 * @param {String} params.code Code entered by user
+	 * @param {Number} [params.lastStep] Step of the last accepted code (codes can't be reused)
+	 * @return {Number} Step of the matching code (or null if code is incorrect)
+	 */
+	verifyCode: function ({secret, code, lastStep}) {
+		if (!secret || !code) return null;
+		code = String(code).replace(/\s/g, "");
+		var step = currentStep();
+		for (var i = -WindowSteps; i <= WindowSteps; i++) {
+			if (lastStep && step + i <= lastStep) continue;
+			if (makeCode(secret, step + i) == code) return step + i;
+		}
+		return null;
+	},
+
+	/**
+	 * Generates a set of single-use recovery codes
+	 * @memberof tools/TwoFactor
+	 * @return {Array} Array of recovery code strings
+	 */
+	makeRecoveryCodes: function () {
+		var codes = [];
+		for (var i = 0; i < RecoveryCodeCount; i++) {
+			var code = Crypto.randomBytes(5).toString('hex');
+			codes.push(code.substr(0, 5) + "-" + code.substr(5));
+		}
+		return codes;
+	},
+
+	/**
+	 * Hashes a recovery code for storage
+	 * @memberof tools/TwoFactor
+	 * @param {String} code Recovery code
+	 * @return {String} Hashed recovery code
+	 */
+	hashRecoveryCode: function (code) {
+		return HashPassword.generate(code.toLowerCase());
+	},
+
+	/**
+	 * Finds the stored hash matching a recovery code
+	 * @memberof tools/TwoFactor
+	 * @param {Object} params
+	 * @param {Array} params.hashes Array of hashed recovery codes
+	 * @param {String} params.code Recovery code entered by user
+	 * @return {String} Matching hash (or null if code is incorrect)
+	 */
+	findRecoveryCode: function ({hashes, code}) {
+		if (!code) return null;
+		code = String(code).replace(/\s/g, "").toLowerCase();
+		for (var i in hashes) {
+			if (HashPassword.verify(code, hashes[i])) return hashes[i];
+		}
+		return null;
+	},
+};
\ No newline at end of file
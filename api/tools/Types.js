@@ -21,6 +21,276 @@ module.exports = {
 		 * @memberof tools/Types
 		 */
 		'charity': "AUTHORIZED_CHARITY_USER",
+
+		/**
+		 * Administrator auth type
+		 * @memberof tools/Types
+		 */
+		'admin': "AUTHORIZED_ADMIN_USER",
+	},
+	'charityRoles': {
+
+		/**
+		 * Charity owner role type (manages charity and staff)
+		 * @memberof tools/Types
+		 */
+		'owner': "owner",
+
+		/**
+		 * Charity editor role type (manages campaigns and updates)
+		 * @memberof tools/Types
+		 */
+		'editor': "editor",
+
+		/**
+		 * Charity viewer role type (read-only access)
+		 * @memberof tools/Types
+		 */
+		'viewer': "viewer",
+	},
+	'adminActions': {
+
+		/**
+		 * Charity invitation admin action type
+		 * @memberof tools/Types
+		 */
+		'inviteCharity': "INVITE_CHARITY",
+
+		/**
+		 * Grant administrator admin action type
+		 * @memberof tools/Types
+		 */
+		'grantAdmin': "GRANT_ADMIN",
+
+		/**
+		 * Revoke administrator admin action type
+		 * @memberof tools/Types
+		 */
+		'revokeAdmin': "REVOKE_ADMIN",
+	},
+	'transactionTypes': {
+
+		/**
+		 * Deposit transaction type (funds added to a user's balance)
+		 * @memberof tools/Types
+		 */
+		'deposit': "DEPOSIT",
+
+		/**
+		 * Donation transaction type (funds moved from a user to a charity)
+		 * @memberof tools/Types
+		 */
+		'donation': "DONATION",
+
+		/**
+		 * Refund transaction type (funds moved from a charity back to a user)
+		 * @memberof tools/Types
+		 */
+		'refund': "REFUND",
+	},
+	'donationStatuses': {
+
+		/**
+		 * Completed donation status (funds given to charity)
+		 * @memberof tools/Types
+		 */
+		'completed': "COMPLETED",
+
+		/**
+		 * Refund requested donation status (waiting for charity or administrator review)
+		 * @memberof tools/Types
+		 */
+		'refundRequested': "REFUND_REQUESTED",
+
+		/**
+		 * Refunded donation status (funds returned to user, excluded from totals)
+		 * @memberof tools/Types
+		 */
+		'refunded': "REFUNDED",
+
+		/**
+		 * Refund denied donation status (funds kept by charity, refunds can't be requested again)
+		 * @memberof tools/Types
+		 */
+		'refundDenied': "REFUND_DENIED",
+	},
+	'recurringDonationStatuses': {
+
+		/**
+		 * Active recurring donation status (donations are made every month)
+		 * @memberof tools/Types
+		 */
+		'active': "ACTIVE",
+
+		/**
+		 * Paused recurring donation status (donations are skipped until resumed)
+		 * @memberof tools/Types
+		 */
+		'paused': "PAUSED",
+
+		/**
+		 * Cancelled recurring donation status (no more donations are made)
+		 * @memberof tools/Types
+		 */
+		'cancelled': "CANCELLED",
+	},
+	'transactionStatuses': {
+
+		/**
+		 * Pending transaction status (balances may be partially updated)
+		 * @memberof tools/Types
+		 */
+		'pending': "PENDING",
+
+		/**
+		 * Committed transaction status (all changes applied)
+		 * @memberof tools/Types
+		 */
+		'committed': "COMMITTED",
+
+		/**
+		 * Rolled back transaction status (all changes undone)
+		 * @memberof tools/Types
+		 */
+		'rolledBack': "ROLLED_BACK",
+	},
+	'paymentIntentStatuses': {
+
+		/**
+		 * Pending payment intent status (waiting for the payment provider to confirm payment)
+		 * @memberof tools/Types
+		 */
+		'pending': "PENDING",
+
+		/**
+		 * Succeeded payment intent status (payment confirmed, funds added to balance)
+		 * @memberof tools/Types
+		 */
+		'succeeded': "SUCCEEDED",
+
+		/**
+		 * Failed payment intent status (payment declined or cancelled, no funds added)
+		 * @memberof tools/Types
+		 */
+		'failed': "FAILED",
+	},
+	'documentFormats': {
+
+		/**
+		 * JSON document format
+		 * @memberof tools/Types
+		 */
+		'json': "json",
+
+		/**
+		 * PDF document format
+		 * @memberof tools/Types
+		 */
+		'pdf': "pdf",
+	},
+	'reportIntervals': {
+
+		/**
+		 * Daily report interval
+		 * @memberof tools/Types
+		 */
+		'day': "day",
+
+		/**
+		 * Weekly report interval (weeks start on Sunday)
+		 * @memberof tools/Types
+		 */
+		'week': "week",
+
+		/**
+		 * Monthly report interval
+		 * @memberof tools/Types
+		 */
+		'month': "month",
+	},
+	'emailTypes': {
+
+		/**
+		 * Digest email type (weekly digests of followed charities)
+		 * @memberof tools/Types
+		 */
+		'digest': "digest",
+
+		/**
+		 * Receipts email type (donation receipts and recurring donation notices)
+		 * @memberof tools/Types
+		 */
+		'receipts': "receipts",
+
+		/**
+		 * Announcements email type (announcements from charities)
+		 * @memberof tools/Types
+		 */
+		'announcements': "announcements",
+
+		/**
+		 * Social email type (follows, comments and reactions from other users)
+		 * @memberof tools/Types
+		 */
+		'social': "social",
+	},
+	'notificationTypes': {
+
+		/**
+		 * Follow notification type (another user followed the user)
+		 * @memberof tools/Types
+		 */
+		'follow': "FOLLOW",
+
+		/**
+		 * Donation notification type (someone donated to the user's post)
+		 * @memberof tools/Types
+		 */
+		'donation': "DONATION",
+
+		/**
+		 * Update notification type (a followed charity posted an update)
+		 * @memberof tools/Types
+		 */
+		'update': "UPDATE",
+
+		/**
+		 * Campaign notification type (a followed charity started a campaign)
+		 * @memberof tools/Types
+		 */
+		'campaign': "CAMPAIGN",
+	},
+	'reactionTypes': {
+
+		/**
+		 * Like reaction type (👍)
+		 * @memberof tools/Types
+		 */
+		'like': "like",
+
+		/**
+		 * Love reaction type (❤️)
+		 * @memberof tools/Types
+		 */
+		'love': "love",
+
+		/**
+		 * Celebrate reaction type (🎉)
+		 * @memberof tools/Types
+		 */
+		'celebrate': "celebrate",
+
+		/**
+		 * Support reaction type (🙌)
+		 * @memberof tools/Types
+		 */
+		'support': "support",
+
+		/**
+		 * Sad reaction type (😢)
+		 * @memberof tools/Types
+		 */
+		'sad': "sad",
 	},
 	'categories': {
 
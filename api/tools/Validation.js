@@ -5,6 +5,8 @@
 const Messages = require('./Messages');
 const Secretary = require('./Secretary');
 const Types = require('./Types');
+const Dates = require('./Dates');
+const Currency = require('./Currency');
 
 // Validation helper functions =================================================
 function getErrorsFromArray (errors) {
@@ -41,6 +43,14 @@ function isInvalidNumber (input) {
 	return null;
 };
 
+function isInvalidBoolean (input) {
+	if (input === null || input === undefined)
+		return Messages.fieldErrors.missing;
+	if (!(typeof input === 'boolean'))
+		return Messages.typeErrors.boolean;
+	return null;
+};
+
 function isInvalidArray (input) {
 	if (!(input instanceof Array))
 		return Messages.typeErrors.array;
@@ -102,6 +112,48 @@ function isInvalidCategory (input) {
 	return Messages.fieldErrors.invalidCategoryType;
 };
 
+function isInvalidCharityRole (input) {
+	var roles = Types.charityRoles;
+	for (var key in roles) {
+		if (input == roles[key]) return null;
+	}
+	return Messages.fieldErrors.invalidCharityRole;
+};
+
+function isInvalidFutureDate (input) {
+	if (input <= Dates.now()) return Messages.fieldErrors.dateInPast;
+	return null;
+};
+
+function isInvalidDocumentFormat (input) {
+	var formats = Types.documentFormats;
+	for (var key in formats) {
+		if (input == formats[key]) return null;
+	}
+	return Messages.fieldErrors.invalidDocumentFormat;
+};
+
+function isInvalidReportInterval (input) {
+	var intervals = Types.reportIntervals;
+	for (var key in intervals) {
+		if (input == intervals[key]) return null;
+	}
+	return Messages.fieldErrors.invalidReportInterval;
+};
+
+function isInvalidReactionType (input) {
+	var reactions = Types.reactionTypes;
+	for (var key in reactions) {
+		if (input == reactions[key]) return null;
+	}
+	return Messages.fieldErrors.invalidReactionType;
+};
+
+function isInvalidCurrencyCode (input) {
+	if (!Currency.isSupported(input)) return Messages.fieldErrors.invalidCurrency;
+	return null;
+};
+
 function isInvalidObjectType (input) {
 	switch (input) {
 		case "user":
@@ -110,6 +162,7 @@ function isInvalidObjectType (input) {
 		case "campaign":
 		case "update":
 		case "donation":
+		case "comment":
 			return null;
 	}
 	return Messages.fieldErrors.invalidObjectType;
@@ -184,6 +237,19 @@ module.exports.number = function (name, input) {
 	], name);
 };
 
+/**
+ * Returns error with boolean input
+ * @memberof tools/Validation
+ * @param {String} name Name of field
+ * @param {Boolean} input Field input
+ * @return {Object} Error message (or null)
+ */
+module.exports.boolean = function (name, input) {
+	return getNamedErrorFromArray([
+		isInvalidBoolean(input),
+	], name);
+};
+
 /**
  * Returns error with category input
  * @memberof tools/Validation
@@ -198,6 +264,90 @@ module.exports.category = function (name, input) {
 	], name);
 };
 
+/**
+ * Returns error with charity role input
+ * @memberof tools/Validation
+ * @param {String} name Name of field
+ * @param {String} input Field input
+ * @return {Object} Error message (or null)
+ */
+module.exports.charityRole = function (name, input) {
+	return getNamedErrorFromArray([
+		isInvalidString(input),
+		isInvalidCharityRole(input)
+	], name);
+};
+
+/**
+ * Returns error with future date input
+ * @memberof tools/Validation
+ * @param {String} name Name of field
+ * @param {Number} input Field input (UNIX timestamp)
+ * @return {Object} Error message (or null)
+ */
+module.exports.futureDate = function (name, input) {
+	return getNamedErrorFromArray([
+		isInvalidNumber(input),
+		isInvalidFutureDate(input),
+	], name);
+};
+
+/**
+ * Returns error with document format input
+ * @memberof tools/Validation
+ * @param {String} name Name of field
+ * @param {String} input Field input
+ * @return {Object} Error message (or null)
+ */
+module.exports.documentFormat = function (name, input) {
+	return getNamedErrorFromArray([
+		isInvalidString(input),
+		isInvalidDocumentFormat(input)
+	], name);
+};
+
+/**
+ * Returns error with report interval input
+ * @memberof tools/Validation
+ * @param {String} name Name of field
+ * @param {String} input Field input
+ * @return {Object} Error message (or null)
+ */
+module.exports.reportInterval = function (name, input) {
+	return getNamedErrorFromArray([
+		isInvalidString(input),
+		isInvalidReportInterval(input)
+	], name);
+};
+
+/**
+ * Returns error with reaction type input
+ * @memberof tools/Validation
+ * @param {String} name Name of field
+ * @param {String} input Field input
+ * @return {Object} Error message (or null)
+ */
+module.exports.reactionType = function (name, input) {
+	return getNamedErrorFromArray([
+		isInvalidString(input),
+		isInvalidReactionType(input)
+	], name);
+};
+
+/**
+ * Returns error with currency code input
+ * @memberof tools/Validation
+ * @param {String} name Name of field
+ * @param {String} input Field input
+ * @return {Object} Error message (or null)
+ */
+module.exports.currencyCode = function (name, input) {
+	return getNamedErrorFromArray([
+		isInvalidString(input),
+		isInvalidCurrencyCode(input)
+	], name);
+};
+
 /**
  * Returns error with object type input
  * @memberof tools/Validation
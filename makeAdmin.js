@@ -0,0 +1,64 @@
+// makeAdmin.js: grants administrator access to an existing user (usage: node makeAdmin.js email)
+
+// Initialize dependencies
+const Mongoose = require('mongoose');
+const Async = require('async');
+const Database = require('./api/tools/Database');
+
+// Initialize config
+const config = require('./config');
+
+// Initialize models
+const User = require('./api/model/User');
+
+// Get email from arguments
+const email = process.argv[2];
+if (!email) {
+	console.log('Usage: node makeAdmin.js email');
+	process.exit(1);
+}
+
+// Run tasks =====================================================================
+
+Async.waterfall([
+
+	// Connect to database
+	function (callback) {
+		Mongoose.connect(config.database, {
+			'useMongoClient': true,
+		});
+		Mongoose.connection.once('open', function () {
+			callback();
+		});
+		Mongoose.connection.on('error', function (err) {
+			callback(err);
+		});
+	},
+
+	// Find user using email (matched exactly, as emails are stored as entered)
+	function (callback) {
+		Database.findOne({
+			'model': User,
+			'query': {
+				'email': email,
+			},
+		}, function (err, user) {
+			if (!user) callback('No user found for ' + email);
+			else callback(err, user);
+		});
+	},
+
+	// Grant administrator access
+	function (user, callback) {
+		user.setAdmin({
+			'admin': true,
+		}, function (err, user) {
+			callback(err, user);
+		});
+	},
+
+], function (err, user) {
+	if (err) console.log(err);
+	else console.log(user.name + ' (' + user.email + ') is now an administrator');
+	Mongoose.connection.close();
+});
@@ -9,6 +9,9 @@ const Morgan = require('morgan');
 // Initialize config
 const config = require('./config');
 
+// Check payment settings before starting (throws if config.payments is missing a provider or webhook secret)
+require('./api/tools/Payments');
+
 // Initialize server
 const server = Express();
 
@@ -33,12 +36,28 @@ function startDatabase (callback) {
 	Mongoose.connection.on('error', console.error.bind(console, 'Database error:'))
 };
 
+// Recover Transactions: rolls back donations and deposits interrupted by a crash (transactions other servers are still
+// applying are left alone)
+function recoverTransactions (callback) {
+	console.log('Recovering interrupted transactions...');
+	const Transaction = require('./api/model/Transaction');
+	Transaction.recover(function (err, count) {
+		if (err) console.log(err);
+		else console.log('Rolled back ' + count + ' interrupted transactions');
+		callback();
+	});
+};
+
 // Start Server: listens to ip:port using config settings
 function startServer (callback) {
 	console.log('Starting server...')
 
 	// Setup express plugins
-	server.use(BodyParser.json());
+	server.use(BodyParser.json({
+		'verify': function (req, res, buffer) {
+			req.rawBody = buffer.toString(); // Kept for checking webhook signatures
+		},
+	}));
 	server.use(Morgan('dev'));
 
 	// Start listening to port
@@ -59,6 +78,12 @@ function startServer (callback) {
 	})
 };
 
+// Start Scheduler: runs background jobs such as recurring donations
+function startScheduler (callback) {
+	require('./api/tools/Scheduler').start();
+	callback();
+};
+
 // Run startup functions =======================================================
 
 Async.waterfall([
@@ -69,12 +94,24 @@ Async.waterfall([
 		})
 	},
 
+	function (callback) {
+		recoverTransactions(function () {
+			callback();
+		});
+	},
+
 	function (callback) {
 		startServer(function () {
 			callback();
 		});
 	},
 
+	function (callback) {
+		startScheduler(function () {
+			callback();
+		});
+	},
+
 ], function (err) {
 
 });